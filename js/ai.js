@@ -0,0 +1,528 @@
+/**
+ * 电脑对手模块
+ * 基于 Rules.generateLegalMoves 的走子搜索。
+ * 复杂算法说明：
+ * - 评估：子力价值 + 位置分表（以红方视角定义，黑方按行镜像），返回走子方视角的分数；
+ * - 搜索：负极大值形式的 Alpha-Beta，迭代加深，被将时延伸一层；
+ * - 静态搜索：叶节点只继续展开吃子着法，缓解“水平线效应”；
+ * - 置换表：以 Zobrist 哈希为键缓存深度、分数、边界类型与最佳着法，并用于着法排序与主要变例提取；
+ * - 着法排序：置换表着法 > 吃子（MVV-LVA：先吃大子、后用小子）> 历史表启发；
+ * - 无合法着法即判负（象棋规则下困毙亦负），杀棋分数随层数递减以优先最快杀。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./config'), require('./logger'), require('./rules'), require('./zobrist')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Rules, Zobrist } = deps;
+
+  const INF = 1000000;
+  const MATE = 30000;
+  const MATE_BOUND = MATE - 200;
+  const MAX_PLY = 64;
+  const MAX_QDEPTH = 8;
+  const TT_BITS = 16;
+  const TT_MASK = (1 << TT_BITS) - 1;
+  const TT_EXACT = 1;
+  const TT_LOWER = 2;
+  const TT_UPPER = 3;
+  const SQUARES = CONFIG.rows * CONFIG.cols;
+
+  /** 子力价值 */
+  const PIECE_VALUES = { K: 0, A: 120, E: 120, H: 270, R: 600, C: 285, S: 30 };
+
+  /** 位置分表（红方视角，第 0 行为黑方底线） */
+  const PST = {
+    K: [
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, -16, -20, -16, 0, 0, 0],
+      [0, 0, 0, -8, -10, -8, 0, 0, 0],
+      [0, 0, 0, 2, 6, 2, 0, 0, 0],
+    ],
+    A: [
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, -2, 0, -2, 0, 0, 0],
+      [0, 0, 0, 0, 4, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    ],
+    E: [
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, -2, 0, 0, 0, -2, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [-2, 0, 0, 0, 4, 0, 0, 0, -2],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    ],
+    H: [
+      [4, 8, 16, 12, 4, 12, 16, 8, 4],
+      [4, 10, 28, 16, 8, 16, 28, 10, 4],
+      [12, 14, 16, 20, 18, 20, 16, 14, 12],
+      [8, 24, 18, 24, 20, 24, 18, 24, 8],
+      [6, 16, 14, 18, 16, 18, 14, 16, 6],
+      [4, 12, 16, 14, 12, 14, 16, 12, 4],
+      [2, 6, 8, 6, 10, 6, 8, 6, 2],
+      [4, 2, 8, 8, 4, 8, 8, 2, 4],
+      [0, 2, 4, 4, -2, 4, 4, 2, 0],
+      [0, -4, 0, 0, 0, 0, 0, -4, 0],
+    ],
+    R: [
+      [14, 14, 12, 18, 16, 18, 12, 14, 14],
+      [16, 20, 18, 24, 26, 24, 18, 20, 16],
+      [12, 12, 12, 18, 18, 18, 12, 12, 12],
+      [12, 18, 16, 22, 22, 22, 16, 18, 12],
+      [12, 14, 12, 18, 18, 18, 12, 14, 12],
+      [12, 16, 14, 20, 20, 20, 14, 16, 12],
+      [6, 10, 8, 14, 14, 14, 8, 10, 6],
+      [4, 8, 6, 14, 12, 14, 6, 8, 4],
+      [8, 4, 8, 16, 8, 16, 8, 4, 8],
+      [-2, 10, 6, 14, 12, 14, 6, 10, -2],
+    ],
+    C: [
+      [6, 4, 0, -10, -12, -10, 0, 4, 6],
+      [2, 2, 0, -4, -14, -4, 0, 2, 2],
+      [2, 2, 0, -10, -8, -10, 0, 2, 2],
+      [0, 0, -2, 4, 10, 4, -2, 0, 0],
+      [0, 0, 0, 2, 8, 2, 0, 0, 0],
+      [-2, 0, 4, 2, 6, 2, 4, 0, -2],
+      [0, 0, 0, 2, 4, 2, 0, 0, 0],
+      [4, 0, 8, 6, 10, 6, 8, 0, 4],
+      [0, 2, 4, 6, 6, 6, 4, 2, 0],
+      [0, 0, 2, 6, 6, 6, 2, 0, 0],
+    ],
+    S: [
+      [0, 3, 6, 9, 12, 9, 6, 3, 0],
+      [18, 36, 56, 80, 120, 80, 56, 36, 18],
+      [14, 26, 42, 60, 80, 60, 42, 26, 14],
+      [10, 20, 30, 34, 40, 34, 30, 20, 10],
+      [6, 12, 18, 18, 20, 18, 18, 12, 6],
+      [2, 0, 8, 0, 8, 0, 8, 0, 2],
+      [0, 0, -2, 0, 4, 0, -2, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0, 0, 0, 0, 0],
+    ],
+  };
+
+  /**
+   * pieceScore
+   * 参数：piece, row, col
+   * 返回：该棋子的子力 + 位置分（己方视角）
+   */
+  function pieceScore(piece, row, col) {
+    const r = piece.side === 'red' ? row : CONFIG.rows - 1 - row;
+    return PIECE_VALUES[piece.type] + PST[piece.type][r][col];
+  }
+
+  /**
+   * evaluate
+   * 参数：board, side
+   * 返回：走子方视角的静态评估分（正数对 side 有利）
+   */
+  function evaluate(board, side) {
+    let score = 0;
+    for (let r = 0; r < board.rows; r++) {
+      for (let c = 0; c < board.cols; c++) {
+        const p = board.grid[r][c];
+        if (!p) continue;
+        const s = pieceScore(p, r, c);
+        score += p.side === side ? s : -s;
+      }
+    }
+    return score;
+  }
+
+  /** 着法编码：起点下标 * 90 + 终点下标 */
+  function encodeMove(m) {
+    return (m.from.row * CONFIG.cols + m.from.col) * SQUARES + m.to.row * CONFIG.cols + m.to.col;
+  }
+
+  function decodeMove(code) {
+    const from = Math.floor(code / SQUARES);
+    const to = code % SQUARES;
+    return {
+      from: { row: Math.floor(from / CONFIG.cols), col: from % CONFIG.cols },
+      to: { row: Math.floor(to / CONFIG.cols), col: to % CONFIG.cols },
+    };
+  }
+
+  function opposite(side) {
+    return side === 'red' ? 'black' : 'red';
+  }
+
+  /**
+   * createContext
+   * 参数：board, options
+   * 返回：搜索上下文（工作棋盘、置换表、历史表、计时与统计）
+   */
+  function createContext(board, options) {
+    const size = 1 << TT_BITS;
+    return {
+      board: board.clone(),
+      startTime: Date.now(),
+      deadline: options.timeMs ? Date.now() + options.timeMs : Infinity,
+      shouldStop: options.shouldStop || null,
+      nodes: 0,
+      stopped: false,
+      ttHi: new Uint32Array(size),
+      ttFlag: new Uint8Array(size),
+      ttDepth: new Int8Array(size),
+      ttScore: new Int32Array(size),
+      ttMove: new Int32Array(size).fill(-1),
+      historyTable: new Int32Array(SQUARES * SQUARES),
+    };
+  }
+
+  /** 每 1024 个节点检查一次超时与外部中止 */
+  function checkTime(ctx) {
+    if ((ctx.nodes & 1023) !== 0) return;
+    if (Date.now() >= ctx.deadline || (ctx.shouldStop && ctx.shouldStop())) ctx.stopped = true;
+  }
+
+  /** 杀棋分数写入置换表时转为“距当前节点”，读出时还原为“距根节点” */
+  function scoreToTT(score, ply) {
+    if (score > MATE_BOUND) return score + ply;
+    if (score < -MATE_BOUND) return score - ply;
+    return score;
+  }
+
+  function scoreFromTT(score, ply) {
+    if (score > MATE_BOUND) return score - ply;
+    if (score < -MATE_BOUND) return score + ply;
+    return score;
+  }
+
+  function storeTT(ctx, hash, depth, score, flag, moveCode, ply) {
+    const i = hash.lo & TT_MASK;
+    // 深度优先替换：仅在新结果不浅于旧结果或为不同局面时覆盖
+    if (ctx.ttHi[i] === hash.hi && ctx.ttFlag[i] && ctx.ttDepth[i] > depth) return;
+    ctx.ttHi[i] = hash.hi;
+    ctx.ttFlag[i] = flag;
+    ctx.ttDepth[i] = depth;
+    ctx.ttScore[i] = scoreToTT(score, ply);
+    ctx.ttMove[i] = moveCode;
+  }
+
+  /**
+   * orderMoves
+   * 参数：ctx, moves, ttMove(编码，-1 表示无)
+   * 返回：按置换表着法、MVV-LVA、历史表排序后的着法数组
+   */
+  function orderMoves(ctx, moves, ttMove) {
+    const b = ctx.board;
+    const keyed = moves.map(m => {
+      const code = encodeMove(m);
+      let key;
+      if (code === ttMove) key = 1e9;
+      else {
+        const victim = b.grid[m.to.row][m.to.col];
+        if (victim) {
+          const attacker = b.grid[m.from.row][m.from.col];
+          key = 1e8 + PIECE_VALUES[victim.type] * 10 - PIECE_VALUES[attacker.type] / 10;
+        } else {
+          key = ctx.historyTable[code];
+        }
+      }
+      return { m, key };
+    });
+    keyed.sort((a, b2) => b2.key - a.key);
+    return keyed.map(k => k.m);
+  }
+
+  /**
+   * quiesce
+   * 参数：ctx, alpha, beta, side, ply, qdepth
+   * 返回：只展开吃子着法的静态搜索分数
+   */
+  function quiesce(ctx, alpha, beta, side, ply, qdepth) {
+    ctx.nodes++;
+    checkTime(ctx);
+    if (ctx.stopped) return 0;
+    const standPat = evaluate(ctx.board, side);
+    if (standPat >= beta) return standPat;
+    if (standPat > alpha) alpha = standPat;
+    if (qdepth >= MAX_QDEPTH || ply >= MAX_PLY) return standPat;
+
+    const b = ctx.board;
+    const captures = Rules.generateLegalMoves(b, side, true);
+    const ordered = orderMoves(ctx, captures, -1);
+    for (const m of ordered) {
+      const captured = b.movePiece(m.from.row, m.from.col, m.to.row, m.to.col).captured;
+      const score = -quiesce(ctx, -beta, -alpha, opposite(side), ply + 1, qdepth + 1);
+      b.movePiece(m.to.row, m.to.col, m.from.row, m.from.col);
+      b.setPiece(m.to.row, m.to.col, captured);
+      if (ctx.stopped) return 0;
+      if (score >= beta) return score;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  /**
+   * alphaBeta
+   * 参数：ctx, depth, alpha, beta, side, hash, ply
+   * 返回：走子方视角的搜索分数
+   */
+  function alphaBeta(ctx, depth, alpha, beta, side, hash, ply) {
+    const b = ctx.board;
+    const inCheck = Rules.isInCheck(b, side);
+    if (inCheck && ply < MAX_PLY) depth++; // 被将延伸
+    if (depth <= 0) return quiesce(ctx, alpha, beta, side, ply, 0);
+    ctx.nodes++;
+    checkTime(ctx);
+    if (ctx.stopped) return 0;
+
+    // 置换表探查
+    const ti = hash.lo & TT_MASK;
+    let ttMove = -1;
+    if (ctx.ttFlag[ti] && ctx.ttHi[ti] === hash.hi) {
+      ttMove = ctx.ttMove[ti];
+      if (ctx.ttDepth[ti] >= depth) {
+        const s = scoreFromTT(ctx.ttScore[ti], ply);
+        const flag = ctx.ttFlag[ti];
+        if (flag === TT_EXACT) return s;
+        if (flag === TT_LOWER && s >= beta) return s;
+        if (flag === TT_UPPER && s <= alpha) return s;
+      }
+    }
+
+    const moves = Rules.generateLegalMoves(b, side);
+    if (!moves.length) return -MATE + ply; // 将死或困毙均判负
+
+    const origAlpha = alpha;
+    let best = -INF;
+    let bestCode = -1;
+    for (const m of orderMoves(ctx, moves, ttMove)) {
+      const piece = b.grid[m.from.row][m.from.col];
+      const captured = b.movePiece(m.from.row, m.from.col, m.to.row, m.to.col).captured;
+      const childHash = Zobrist.applyMove(hash, piece, m, captured);
+      const score = -alphaBeta(ctx, depth - 1, -beta, -alpha, opposite(side), childHash, ply + 1);
+      b.movePiece(m.to.row, m.to.col, m.from.row, m.from.col);
+      b.setPiece(m.to.row, m.to.col, captured);
+      if (ctx.stopped) return 0;
+      if (score > best) {
+        best = score;
+        bestCode = encodeMove(m);
+        if (score > alpha) {
+          alpha = score;
+          if (alpha >= beta) {
+            if (!captured) ctx.historyTable[bestCode] += depth * depth;
+            break;
+          }
+        }
+      }
+    }
+    const flag = best <= origAlpha ? TT_UPPER : best >= beta ? TT_LOWER : TT_EXACT;
+    storeTT(ctx, hash, depth, best, flag, bestCode, ply);
+    return best;
+  }
+
+  /**
+   * searchRoot
+   * 参数：ctx, rootMoves, depth, side, hash, randomness, multiPV
+   * 返回：{ move, score, top }，本层全部根着法搜索后的最佳结果，top 为分数最高的 multiPV 个 { m, score }；超时时返回 null
+   * 说明：randomness > 0 时为各根着法叠加随机扰动，用于低难度的变化走法；
+   *       multiPV > 1 时以当前第 multiPV 好的分数为窗口下界，保证前 multiPV 个着法的分数准确（分析模式的多条候选变例）。
+   */
+  function searchRoot(ctx, rootMoves, depth, side, hash, randomness, multiPV) {
+    const b = ctx.board;
+    let alpha = -INF;
+    let best = null;
+    const scored = [];
+    for (const m of rootMoves) {
+      const piece = b.grid[m.from.row][m.from.col];
+      const captured = b.movePiece(m.from.row, m.from.col, m.to.row, m.to.col).captured;
+      const childHash = Zobrist.applyMove(hash, piece, m, captured);
+      let score = -alphaBeta(ctx, depth - 1, -INF, -alpha, opposite(side), childHash, 1);
+      b.movePiece(m.to.row, m.to.col, m.from.row, m.from.col);
+      b.setPiece(m.to.row, m.to.col, captured);
+      if (ctx.stopped) return null;
+      if (randomness && Math.abs(score) < MATE_BOUND) score += Math.floor(Math.random() * randomness);
+      scored.push({ m, score });
+      if (!best || score > best.score) best = { move: m, score };
+      if (!randomness) {
+        if (multiPV > 1) {
+          if (scored.length >= multiPV) alpha = scored.map(x => x.score).sort((x, y) => y - x)[multiPV - 1];
+        } else if (score > alpha) {
+          alpha = score;
+        }
+      }
+    }
+    // 下一层迭代按本层分数排序根着法
+    scored.sort((a, b2) => b2.score - a.score);
+    rootMoves.splice(0, rootMoves.length, ...scored.map(s => s.m));
+    storeTT(ctx, hash, depth, best.score, TT_EXACT, encodeMove(best.move), 0);
+    best.top = scored.slice(0, multiPV);
+    return best;
+  }
+
+  /**
+   * extractPV
+   * 参数：ctx, board, side, hash, maxLen
+   * 返回：沿置换表最佳着法得到的主要变例 [{from,to}]
+   */
+  function extractPV(ctx, board, side, hash, maxLen) {
+    const b = board.clone();
+    const pv = [];
+    const seen = new Set();
+    let s = side;
+    let h = hash;
+    while (pv.length < maxLen) {
+      const i = h.lo & TT_MASK;
+      if (!ctx.ttFlag[i] || ctx.ttHi[i] !== h.hi || ctx.ttMove[i] < 0) break;
+      const m = decodeMove(ctx.ttMove[i]);
+      if (!Rules.isLegalMove(b, m.from.row, m.from.col, m.to.row, m.to.col, s)) break;
+      const key = Zobrist.toHex(h);
+      if (seen.has(key)) break;
+      seen.add(key);
+      const piece = b.getPiece(m.from.row, m.from.col);
+      const captured = b.movePiece(m.from.row, m.from.col, m.to.row, m.to.col).captured;
+      h = Zobrist.applyMove(h, piece, m, captured);
+      pv.push(m);
+      s = opposite(s);
+    }
+    return pv;
+  }
+
+  /**
+   * linePV
+   * 参数：ctx, side, hash, move(根着法), maxLen
+   * 返回：以该根着法开头、其后沿置换表延伸的变例 [{from,to}]
+   */
+  function linePV(ctx, side, hash, move, maxLen) {
+    const b = ctx.board.clone();
+    const piece = b.getPiece(move.from.row, move.from.col);
+    const captured = b.movePiece(move.from.row, move.from.col, move.to.row, move.to.col).captured;
+    const childHash = Zobrist.applyMove(hash, piece, move, captured);
+    return [move].concat(extractPV(ctx, b, opposite(side), childHash, maxLen - 1));
+  }
+
+  /**
+   * createSearch
+   * 参数：board(Board), side(走子方), options({ depth?, timeMs?, randomness?, multiPV?, onProgress?, shouldStop? })
+   * 返回：{ step(), stop(), result }
+   * - step(): 完成下一层迭代加深，仍需继续时返回 true；
+   * - stop(): 中止搜索，result 保留上一完整层的结果；
+   * - result: { move, score, depth, nodes, elapsedMs, pv, lines }，无合法着法时 move 为 null；
+   *   lines 为分数最高的 multiPV（默认 1）条候选变例 [{ move, score, pv }]，按分数降序。
+   * 说明：逐层推进便于调用方在层与层之间让出线程（如 Web Worker 处理 stop 消息）；
+   *       每完成一层调用 onProgress，超时或中止时保留上一完整层的结果。
+   */
+  function createSearch(board, side, options = {}) {
+    const maxDepth = options.depth || 4;
+    const ctx = createContext(board, options);
+    const hash = Zobrist.hashBoard(ctx.board, side);
+    const rootMoves = Rules.generateLegalMoves(ctx.board, side);
+    const multiPV = Math.max(1, options.multiPV || 1);
+    const result = {
+      move: rootMoves[0] || null, score: rootMoves.length ? 0 : -MATE, depth: 0, nodes: 0, elapsedMs: 0, pv: [], lines: [],
+    };
+    let depth = 0;
+    let done = !rootMoves.length;
+
+    function step() {
+      if (done) return false;
+      try {
+        depth++;
+        const best = searchRoot(ctx, rootMoves, depth, side, hash, options.randomness || 0, multiPV);
+        if (!best) {
+          done = true; // 超时或被中止，沿用上一层结果
+        } else {
+          result.move = best.move;
+          result.score = best.score;
+          result.depth = depth;
+          result.pv = extractPV(ctx, ctx.board, side, hash, depth);
+          if (!result.pv.length) result.pv = [best.move];
+          result.lines = best.top.map(({ m, score }, i) => ({
+            move: m, score, pv: i === 0 ? result.pv : linePV(ctx, side, hash, m, depth),
+          }));
+          result.nodes = ctx.nodes;
+          result.elapsedMs = Date.now() - ctx.startTime;
+          if (typeof options.onProgress === 'function') options.onProgress(Object.assign({}, result));
+          // 已到深度上限、找到杀棋或唯一着法时无需加深（多条变例时须各条都已见杀）
+          const mated = result.lines.every(l => Math.abs(l.score) > MATE_BOUND);
+          if (depth >= maxDepth || mated || rootMoves.length === 1) done = true;
+        }
+      } catch (err) {
+        logger.error('搜索失败', err);
+        done = true;
+      }
+      result.nodes = ctx.nodes;
+      result.elapsedMs = Date.now() - ctx.startTime;
+      return !done;
+    }
+
+    /** 请求在下一次超时检查时中止 */
+    function stop() {
+      ctx.stopped = true;
+      done = true;
+    }
+
+    return { step, stop, result };
+  }
+
+  /**
+   * search
+   * 参数：同 createSearch
+   * 返回：{ move, score, depth, nodes, elapsedMs, pv }
+   * 说明：同步完成全部迭代加深。
+   */
+  function search(board, side, options = {}) {
+    const s = createSearch(board, side, options);
+    while (s.step()) { /* 逐层加深 */ }
+    return s.result;
+  }
+
+  /**
+   * normalizeScore
+   * 参数：score(side 视角的搜索分数), side
+   * 返回：{ score, mate }，score 为红方视角的分数；mate 为杀棋的回合数（正数为红方杀、负数为黑方杀，0 为走子方已被将死），
+   *       非杀棋时为 null
+   */
+  function normalizeScore(score, side) {
+    const red = side === 'red' ? score : -score;
+    if (Math.abs(red) <= MATE_BOUND) return { score: red, mate: null };
+    const moves = Math.ceil((MATE - Math.abs(red)) / 2);
+    return { score: red, mate: red > 0 ? moves : -moves };
+  }
+
+  /**
+   * getLevel
+   * 参数：name(难度名，缺省取 CONFIG.ai.level)
+   * 返回：{ label, depth, timeMs, randomness }
+   */
+  function getLevel(name = CONFIG.ai.level) {
+    return CONFIG.ai.levels[name] || CONFIG.ai.levels[Object.keys(CONFIG.ai.levels)[0]];
+  }
+
+  const AI = {
+    MATE,
+    MATE_BOUND,
+    evaluate,
+    createSearch,
+    search,
+    getLevel,
+    normalizeScore,
+    encodeMove,
+    decodeMove,
+  };
+
+  return { AI };
+});
@@ -0,0 +1,205 @@
+/**
+ * 开局库模块
+ * 以局面的 Zobrist 哈希为键记录开局名称与库中着法（ICCS）及其权重，用于：
+ * - 随对局进行识别当前开局（取走过的局面中最后一个有名称的局面）；
+ * - 分析时列出当前局面的库中着法；
+ * - 电脑开局时按权重随机选用库中着法，使开局多样。
+ * 内置开局库由各开局的着法序列（ICCS）生成，每条序列同时加入左右对称的走法；同一局面由不同次序走到时共用条目。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign(
+      {}, require('./config'), require('./logger'), require('./model'), require('./zobrist'), require('./notation'),
+    ));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Board, Zobrist, Notation } = deps;
+
+  /** 内置开局：[名称, 自初始局面起的 ICCS 着法序列]，名称记在序列走完后的局面上 */
+  const LINES = [
+    ['中炮', 'h2e2'],
+    ['中炮对屏风马', 'h2e2 h9g7 h0g2 b9c7'],
+    ['中炮直车对屏风马', 'h2e2 h9g7 h0g2 i9h9 i0h0 b9c7'],
+    ['中炮过河车对屏风马', 'h2e2 h9g7 h0g2 i9h9 i0h0 b9c7 h0h6'],
+    ['中炮巡河车对屏风马', 'h2e2 h9g7 h0g2 i9h9 i0h0 b9c7 h0h4'],
+    ['五七炮对屏风马', 'h2e2 h9g7 h0g2 i9h9 i0h0 b9c7 b2c2'],
+    ['中炮对反宫马', 'h2e2 b9c7 h0g2 h7f7'],
+    ['顺炮', 'h2e2 h7e7'],
+    ['顺炮直车对横车', 'h2e2 h7e7 h0g2 h9g7 i0h0 i9i8'],
+    ['顺炮直车对缓开车', 'h2e2 h7e7 h0g2 h9g7 i0h0 b9c7'],
+    ['列炮', 'h2e2 b7e7'],
+    ['飞相局', 'g0e2'],
+    ['飞相对左过宫炮', 'g0e2 h7d7'],
+    ['飞相对左中炮', 'g0e2 h7e7'],
+    ['飞相对进７卒', 'g0e2 g6g5'],
+    ['仙人指路', 'c3c4'],
+    ['仙人指路对卒底炮', 'c3c4 b7c7'],
+    ['仙人指路对飞象', 'c3c4 c9e7'],
+    ['对兵局', 'c3c4 g6g5'],
+    ['起马局', 'h0g2'],
+    ['起马对挺卒', 'h0g2 g6g5'],
+    ['过宫炮', 'h2d2'],
+    ['士角炮', 'h2f2'],
+  ];
+
+  const FILES = 'abcdefghi';
+
+  /** ICCS 着法左右翻转（a 路与 i 路互换） */
+  function mirrorMove(text) {
+    return text.replace(/[a-i]/g, ch => FILES[CONFIG.cols - 1 - FILES.indexOf(ch)]);
+  }
+
+  /** 局面键：含走子方的 Zobrist 哈希（十六进制） */
+  function keyOf(board, side) {
+    return Zobrist.toHex(Zobrist.hashBoard(board, side));
+  }
+
+  let standardBook = null;
+
+  /**
+   * OpeningBook
+   * 方法：
+   * - addLine(name, moves, weight?): 自初始局面加入一条着法序列，途经局面的库中着法累加权重，末局面记下名称
+   * - lookup(board, side): 该局面的库条目 { name, moves: [{ iccs, move, weight, share }] }（按权重降序，只含合法着法），不在库中为 null
+   * - nameOf(history): 按历史记录（引擎的 history，每条含走后哈希）识别开局名称，未入库时为空串
+   * - pickMove(board, side, random?): 按权重随机选一着库中着法 { from, to }，不在库中为 null
+   * - toJSON()/OpeningBook.fromJSON(data): 紧凑格式 { version, positions: { 局面键: { name?, moves: 'h2e2:3 b2e2:3' } } }
+   * - OpeningBook.fromLines(lines, mirror?)/OpeningBook.standard(): 由着法序列生成开局库、内置开局库（首次使用时生成）
+   * - OpeningBook.LINES: 内置开局序列
+   */
+  class OpeningBook {
+    constructor() {
+      this.positions = new Map(); // 局面键 → { name, moves: Map<ICCS, 权重> }
+    }
+
+    _entry(key) {
+      let entry = this.positions.get(key);
+      if (!entry) {
+        entry = { name: '', moves: new Map() };
+        this.positions.set(key, entry);
+      }
+      return entry;
+    }
+
+    /**
+     * addLine
+     * 参数：name(开局名称), moves(ICCS 着法数组或以空白分隔的字符串), weight?(每着累加的权重，默认 1)
+     * 返回：是否加入；序列中有不合法着法时整条不加入并记录警告
+     */
+    addLine(name, moves, weight = 1) {
+      const list = Array.isArray(moves) ? moves : String(moves).trim().split(/\s+/);
+      const board = new Board();
+      board.setupInitial();
+      let side = 'red';
+      const steps = [];
+      for (const text of list) {
+        const move = Notation.parseICCS(board, text, side);
+        if (!move) {
+          logger.warn('开局库着法不合法，已跳过该开局', { name, move: text });
+          return false;
+        }
+        steps.push({ key: keyOf(board, side), iccs: Notation.toICCS(move) });
+        board.movePiece(move.from.row, move.from.col, move.to.row, move.to.col);
+        side = side === 'red' ? 'black' : 'red';
+      }
+      steps.forEach(({ key, iccs }) => {
+        const { moves: entryMoves } = this._entry(key);
+        entryMoves.set(iccs, (entryMoves.get(iccs) || 0) + weight);
+      });
+      const last = this._entry(keyOf(board, side));
+      if (name && !last.name) last.name = name;
+      return true;
+    }
+
+    lookup(board, side) {
+      const entry = this.positions.get(keyOf(board, side));
+      if (!entry) return null;
+      const moves = [];
+      let total = 0;
+      entry.moves.forEach((weight, iccs) => {
+        const move = Notation.parseICCS(board, iccs, side);
+        if (!move) return;
+        moves.push({ iccs, move, weight });
+        total += weight;
+      });
+      moves.sort((a, b) => b.weight - a.weight);
+      moves.forEach((m) => { m.share = m.weight / total; });
+      return { name: entry.name, moves };
+    }
+
+    nameOf(history) {
+      for (let i = history.length - 1; i >= 0; i--) {
+        const entry = this.positions.get(Zobrist.toHex(history[i].hash));
+        if (entry && entry.name) return entry.name;
+      }
+      return '';
+    }
+
+    pickMove(board, side, random = Math.random) {
+      const entry = this.lookup(board, side);
+      if (!entry || !entry.moves.length) return null;
+      let r = random() * entry.moves.reduce((sum, m) => sum + m.weight, 0);
+      for (const m of entry.moves) {
+        r -= m.weight;
+        if (r < 0) return m.move;
+      }
+      return entry.moves[entry.moves.length - 1].move;
+    }
+
+    toJSON() {
+      const positions = {};
+      this.positions.forEach((entry, key) => {
+        const item = {};
+        if (entry.name) item.name = entry.name;
+        item.moves = [...entry.moves].map(([iccs, weight]) => `${iccs}:${weight}`).join(' ');
+        positions[key] = item;
+      });
+      return { version: 1, positions };
+    }
+
+    /**
+     * fromJSON
+     * 参数：data(toJSON 的结果)
+     * 返回：OpeningBook；格式不符的条目被跳过
+     */
+    static fromJSON(data) {
+      const book = new OpeningBook();
+      const positions = (data && data.positions) || {};
+      Object.keys(positions).forEach((key) => {
+        const item = positions[key];
+        if (!/^[0-9a-f]{16}$/.test(key) || !item) return;
+        const entry = book._entry(key);
+        if (typeof item.name === 'string') entry.name = item.name;
+        String(item.moves || '').split(/\s+/).forEach((token) => {
+          const m = /^([a-i][0-9][a-i][0-9]):(\d+)$/.exec(token);
+          if (m) entry.moves.set(m[1], Number(m[2]));
+        });
+      });
+      return book;
+    }
+
+    /**
+     * fromLines
+     * 参数：lines([名称, 着法序列][]), mirror?(是否同时加入左右对称的序列，默认 true)
+     */
+    static fromLines(lines, mirror = true) {
+      const book = new OpeningBook();
+      lines.forEach(([name, moves]) => {
+        book.addLine(name, moves);
+        if (mirror) book.addLine(name, mirrorMove(moves));
+      });
+      return book;
+    }
+
+    static standard() {
+      if (!standardBook) standardBook = OpeningBook.fromLines(LINES);
+      return standardBook;
+    }
+  }
+
+  OpeningBook.LINES = LINES;
+
+  return { OpeningBook };
+});
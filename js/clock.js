@@ -0,0 +1,216 @@
+/**
+ * 棋钟模块
+ * 为双方分别计时，支持三种计时方式：
+ * - sudden：包干制，用完基本时间即超时；
+ * - fischer：费舍尔加秒，每走一着给走子方加 incrementMs；
+ * - byoyomi：读秒，基本时间用完后进入读秒，每着须在 periodMs 内走出，超出则耗掉一次读秒机会，机会用尽即超时。
+ * 复杂算法说明：
+ * - 只记录“开始计时的时刻”，在走子、暂停、查询时才把流逝的时间结算到当前计时方，不依赖定时器精度；
+ * - 读秒阶段把超出基本时间的部分计入当前读秒周期，逐周期扣除读秒次数；走子后当前周期清零；
+ * - 时间源可注入（options.now），便于测试与回放。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TYPES = ['none', 'sudden', 'fischer', 'byoyomi'];
+
+  /**
+   * normalizeControl
+   * 参数：control({ type, baseMs, incrementMs, periodMs, periods, label? })
+   * 返回：补全缺省值后的计时方式；未知类型按不计时处理
+   */
+  function normalizeControl(control) {
+    const c = Object.assign({ type: 'none', baseMs: 0, incrementMs: 0, periodMs: 0, periods: 0 }, control || {});
+    if (!TYPES.includes(c.type)) c.type = 'none';
+    return c;
+  }
+
+  /**
+   * formatTime
+   * 参数：ms
+   * 返回：'mm:ss'，满一小时为 'h:mm:ss'（秒数向上取整，避免显示 00:00 时尚未超时）
+   */
+  function formatTime(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const pad = n => String(n).padStart(2, '0');
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+  }
+
+  /**
+   * GameClock
+   * 方法：
+   * - isEnabled(): 是否计时
+   * - start(side)/pause()/isRunning(): 开始为某方计时、暂停、是否正在计时
+   * - press(side): side 走子完成，结算用时、加秒或重置读秒，并转为对方计时；返回是否未超时
+   * - check(): 结算当前计时方用时，返回超时方（'red' | 'black'）或 null
+   * - getState(side): 某方当前剩余时间 { mainMs, periods, periodMs, byoyomi, flagged }
+   * - toJSON()/GameClock.fromJSON(data): 存档与恢复（恢复后处于暂停状态）
+   * - GameClock.formatTime(ms): 剩余时间显示文本
+   */
+  class GameClock {
+    constructor(control, options = {}) {
+      this.control = normalizeControl(control);
+      this.now = options.now || (() => Date.now());
+      this.remaining = { red: this.control.baseMs, black: this.control.baseMs }; // 基本时间余量
+      this.periods = { red: this.control.periods, black: this.control.periods }; // 剩余读秒次数
+      this.periodUsed = { red: 0, black: 0 }; // 当前读秒周期已用时间
+      this.active = null; // 正在计时的一方
+      this.startedAt = 0;
+      this.flagged = null; // 超时方
+    }
+
+    isEnabled() {
+      return this.control.type !== 'none';
+    }
+
+    isRunning() {
+      return !!this.active;
+    }
+
+    /** 开始为 side 计时（已超时或不计时则忽略） */
+    start(side) {
+      if (!this.isEnabled() || this.flagged) return;
+      if (this.active) this._settle();
+      this.active = side;
+      this.startedAt = this.now();
+    }
+
+    /** 暂停计时，已流逝时间计入当前计时方 */
+    pause() {
+      if (!this.active) return;
+      this._settle();
+      this.active = null;
+    }
+
+    /**
+     * press
+     * 参数：side(刚走完一着的一方)
+     * 返回：走子方是否未超时；未超时则按计时方式加秒或重置读秒，并转为对方计时
+     * 说明：暂停中走子（如悔棋、回看后或按暂停时）不扣时也不加秒，直接转为对方计时，以免借暂停走子反而多得时间。
+     */
+    press(side) {
+      if (!this.isEnabled() || this.flagged) return !this.flagged;
+      const running = this.active === side;
+      if (running) this._settle();
+      if (this.flagged) return false;
+      if (this.control.type === 'fischer' && running) this.remaining[side] += this.control.incrementMs;
+      if (this.control.type === 'byoyomi') this.periodUsed[side] = 0;
+      this.active = null;
+      this.start(side === 'red' ? 'black' : 'red');
+      return true;
+    }
+
+    /** 结算当前计时方用时，返回超时方或 null */
+    check() {
+      if (this.active) this._settle();
+      return this.flagged;
+    }
+
+    /**
+     * getState
+     * 参数：side
+     * 返回：{ mainMs, periods, periodMs, byoyomi, flagged }，含尚未结算的流逝时间，不改变计时状态
+     * - periodMs: 读秒阶段当前周期剩余时间
+     */
+    getState(side) {
+      const copy = {
+        remaining: this.remaining[side],
+        periods: this.periods[side],
+        periodUsed: this.periodUsed[side],
+        flagged: this.flagged === side,
+      };
+      if (this.active === side && !copy.flagged) {
+        copy.flagged = this._charge(copy, this.now() - this.startedAt);
+      }
+      const byoyomi = this.control.type === 'byoyomi' && copy.remaining <= 0;
+      return {
+        mainMs: copy.remaining,
+        periods: copy.periods,
+        periodMs: byoyomi ? Math.max(0, this.control.periodMs - copy.periodUsed) : 0,
+        byoyomi,
+        flagged: copy.flagged,
+      };
+    }
+
+    /** 存档数据（不含计时中的时刻，恢复后为暂停状态） */
+    toJSON() {
+      if (this.active) this._settle();
+      return {
+        control: Object.assign({}, this.control),
+        remaining: Object.assign({}, this.remaining),
+        periods: Object.assign({}, this.periods),
+        periodUsed: Object.assign({}, this.periodUsed),
+        flagged: this.flagged,
+      };
+    }
+
+    /** 把自 startedAt 起流逝的时间计入当前计时方 */
+    _settle() {
+      const t = this.now();
+      const side = this.active;
+      const state = { remaining: this.remaining[side], periods: this.periods[side], periodUsed: this.periodUsed[side] };
+      const flagged = this._charge(state, t - this.startedAt);
+      this.remaining[side] = state.remaining;
+      this.periods[side] = state.periods;
+      this.periodUsed[side] = state.periodUsed;
+      this.startedAt = t;
+      if (flagged) {
+        this.flagged = side;
+        this.active = null;
+      }
+    }
+
+    /**
+     * _charge
+     * 参数：state({ remaining, periods, periodUsed }，原地修改), ms(流逝时间)
+     * 返回：是否超时
+     */
+    _charge(state, ms) {
+      let left = Math.max(0, ms);
+      if (state.remaining > 0) {
+        const used = Math.min(state.remaining, left);
+        state.remaining -= used;
+        left -= used;
+        if (state.remaining > 0) return false;
+      }
+      if (this.control.type !== 'byoyomi') return true;
+      state.periodUsed += left;
+      while (state.periods > 0 && state.periodUsed >= this.control.periodMs) {
+        state.periods--;
+        state.periodUsed -= this.control.periodMs;
+      }
+      return state.periods === 0;
+    }
+
+    /**
+     * fromJSON
+     * 参数：data(toJSON 的结果), options?
+     * 返回：恢复剩余时间的棋钟（暂停状态）；数据无效时返回不计时的棋钟
+     */
+    static fromJSON(data, options) {
+      const clock = new GameClock(data && data.control, options);
+      if (!data || !data.remaining) return clock;
+      ['red', 'black'].forEach((side) => {
+        clock.remaining[side] = Number(data.remaining[side]) || 0;
+        if (data.periods) clock.periods[side] = Number(data.periods[side]) || 0;
+        if (data.periodUsed) clock.periodUsed[side] = Number(data.periodUsed[side]) || 0;
+      });
+      clock.flagged = data.flagged === 'red' || data.flagged === 'black' ? data.flagged : null;
+      return clock;
+    }
+
+    /** 剩余时间显示文本，见 formatTime */
+    static formatTime(ms) {
+      return formatTime(ms);
+    }
+  }
+
+  return { GameClock };
+});
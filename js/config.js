@@ -3,13 +3,26 @@
  * 用于集中管理棋盘尺寸、主题颜色、字体、存储键名等配置项。
  * 通过公开的 updateConfig 方法支持后续扩展与可配置化。
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
   /**
    * CONFIG 全局配置对象
    * - rows/cols: 棋盘行列数
    * - canvas: 默认画布宽高与内边距
    * - theme: 颜色与字体
-   * - storageKeys: 本地存储键名
+   * - storageKeys: 本地存储键名（对局存档、残局练习进度）
+   * - notation: 着法显示格式（'chinese' | 'iccs' | 'wxf'）
+   * - ai: 电脑对手难度（搜索深度上限、单步思考时间、根着法随机扰动）；useBook 为开局时是否按权重选用开局库着法
+   * - clock: 棋钟（control 为新对局默认计时方式，controls 为可选计时方式，tickMs 为界面刷新间隔）
+   * - rules: 对局规则档（profile 为新对局默认采用的规则档，各档决定困毙、重复局面与自然限着的裁决）
+   * - replay: 回看自动播放（speed 为默认速度，speeds 为可选速度及每着间隔）
+   * - analysis: 分析模式（multiPV 为候选变例条数，maxDepth 为持续搜索的深度上限，evalScale 为评估条的分数换算尺度）
+   * - review: 复盘分析（每个局面的搜索深度与时限，评估下降达到 thresholds 各值即记为缓着/劣着/败着，evalCap 为评估封顶）
    */
   const CONFIG = {
     rows: 10,
@@ -32,11 +45,97 @@
       highlight: '#2c98f0',
       legalDot: '#2c98f0',
       selectStroke: '#ff8800',
+      markupSquare: 'rgba(46, 160, 67, 0.35)',
+      markupArrow: 'rgba(46, 160, 67, 0.8)',
+      analysisArrow: 'rgba(30, 110, 220, 0.85)',
+      evalRed: '#c0392b',
+      evalBlack: '#2b2b2b',
+      reviewMarks: { inaccuracy: '#e0a800', mistake: '#e67e22', blunder: '#c0392b' },
       textFont: '600 20px "Microsoft YaHei", sans-serif',
       pieceFont: '700 26px "Microsoft YaHei", sans-serif',
     },
     storageKeys: {
       localState: 'xiangqi_local_state_v1',
+      puzzleProgress: 'xiangqi_puzzle_progress_v1',
+    },
+    notation: {
+      format: 'chinese',
+    },
+    ai: {
+      level: 'normal',
+      useBook: true,
+      levels: {
+        easy: { label: '入门', depth: 2, timeMs: 500, randomness: 60 },
+        normal: { label: '业余', depth: 4, timeMs: 2000, randomness: 0 },
+        hard: { label: '专业', depth: 12, timeMs: 5000, randomness: 0 },
+      },
+    },
+    clock: {
+      control: 'none',
+      tickMs: 200,
+      // type: 'none' 不计时 | 'sudden' 包干 | 'fischer' 每着加秒 | 'byoyomi' 读秒
+      controls: {
+        none: { label: '不计时', type: 'none' },
+        rapid: { label: '包干 15 分钟', type: 'sudden', baseMs: 15 * 60000 },
+        fischer: { label: '10 分钟 + 每着 5 秒', type: 'fischer', baseMs: 10 * 60000, incrementMs: 5000 },
+        byoyomi: { label: '20 分钟 + 读秒 3×30 秒', type: 'byoyomi', baseMs: 20 * 60000, periodMs: 30000, periods: 3 },
+      },
+    },
+    replay: {
+      speed: 'normal',
+      speeds: {
+        slow: { label: '慢速', intervalMs: 2000 },
+        normal: { label: '中速', intervalMs: 1000 },
+        fast: { label: '快速', intervalMs: 400 },
+      },
+    },
+    analysis: {
+      multiPV: 3,
+      maxDepth: 16,
+      evalScale: 400,
+    },
+    review: {
+      depth: 6,
+      timeMs: 1000,
+      evalCap: 1500,
+      thresholds: { inaccuracy: 60, mistake: 150, blunder: 300 },
+    },
+    rules: {
+      profile: 'cxa',
+      // stalemateLoses: 困毙（无子可走）判负，否则作和
+      // repetitionLimit: 同一局面出现多少次时按长将/长捉/不变作和裁决
+      // perpetualCheckLoses / perpetualChaseLoses: 单方长将、长捉是否判负，否则不变作和
+      // mixedCheckChase: 一将一捉是否按长捉论
+      // moveLimit: 自然限着，双方均未吃子的回合数达到该值作和，0 为不限
+      profiles: {
+        cxa: {
+          label: '中国象棋协会',
+          stalemateLoses: true,
+          repetitionLimit: 3,
+          perpetualCheckLoses: true,
+          perpetualChaseLoses: true,
+          mixedCheckChase: true,
+          moveLimit: 60,
+        },
+        axf: {
+          label: '亚洲象棋联合会',
+          stalemateLoses: true,
+          repetitionLimit: 3,
+          perpetualCheckLoses: true,
+          perpetualChaseLoses: true,
+          mixedCheckChase: false,
+          moveLimit: 60,
+        },
+        casual: {
+          label: '休闲',
+          stalemateLoses: false,
+          repetitionLimit: 3,
+          perpetualCheckLoses: false,
+          perpetualChaseLoses: false,
+          mixedCheckChase: false,
+          moveLimit: 0,
+        },
+      },
     },
     security: {
       enableAuth: true,
@@ -78,7 +177,6 @@
     return CONFIG;
   }
 
-  // 暴露到全局
-  window.CONFIG = CONFIG;
-  window.updateConfig = updateConfig;
-})();
\ No newline at end of file
+  // 导出（浏览器中挂到全局）
+  return { CONFIG, updateConfig };
+});
@@ -1,26 +1,107 @@
 /**
  * 引擎模块
- * 管理整局状态：当前棋盘、回合方、选择与走子、悔棋/重做、胜负判定。
+ * 管理整局状态：当前棋盘、回合方、选择与走子、悔棋/重做、棋钟、胜负判定（含长将、长捉与重复局面）。
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign(
+      {}, require('./config'), require('./logger'), require('./model'), require('./rules'), require('./zobrist'),
+      require('./repetition'), require('./clock'), require('./notation'), require('./record'),
+    ));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Piece, Board, Rules, Zobrist, Repetition, GameClock, Notation, GameRecord } = deps;
+
+  const SIDE_NAMES = { red: '红方', black: '黑方' };
+  /** 对局结束原因代码及其说明，代码随棋谱的 Termination 标签保存 */
+  const RESULT_REASONS = {
+    checkmate: '将死',
+    stalemate: '困毙',
+    'perpetual-check': '长将',
+    'perpetual-chase': '长捉',
+    repetition: '重复局面',
+    'move-limit': '自然限着',
+    'insufficient-material': '子力不足',
+    resign: '认输',
+    agreement: '议和',
+    timeout: '超时',
+  };
+
+  /** 两着起终点是否相同 */
+  function sameMove(a, b) {
+    return a.from.row === b.from.row && a.from.col === b.from.col && a.to.row === b.to.row && a.to.col === b.to.col;
+  }
+
+  /** 历史记录中的走动棋子与被吃棋子（记录只存类型，执子方由走子方推出） */
+  function movedPiece(entry) {
+    return new Piece(entry.piece, entry.side);
+  }
+
+  function capturedPiece(entry) {
+    return entry.captured ? new Piece(entry.captured, entry.side === 'red' ? 'black' : 'red') : null;
+  }
+
+  /** 在棋盘上重走历史记录中的一着 */
+  function applyEntry(board, entry) {
+    const { from, to } = entry.move;
+    board.movePiece(from.row, from.col, to.row, to.col);
+  }
+
+  /** 在棋盘上撤销历史记录中的一着：棋子退回原位并放回被吃子 */
+  function revertEntry(board, entry) {
+    const { from, to } = entry.move;
+    board.movePiece(to.row, to.col, from.row, from.col);
+    board.setPiece(to.row, to.col, capturedPiece(entry));
+  }
+
   /**
    * GameEngine
    * 方法：
    * - newGame(): 新开一局
    * - selectSquare(row, col): 选择或执行走子
+   * - makeMove(...)/makeMoveFromText(text): 直接走子或按记谱走子
+   * - setOpponent(aiSide)/isAiTurn(): 设置电脑执子方并判断是否轮到电脑
    * - getLegalMovesOfSelection(): 当前选中棋子的合法落点
-   * - undo()/redo(): 悔棋/重做
-   * - getStatus(): 获取状态（被将、将死、僵局）
+   * - undo()/redo(): 悔棋/重做（悔棋后走出不同着法时新建变着，原着法保留）
+   * - goToNode(node)/goToPath(path)/getPath(): 在着法树中跳转与定位
+   * - switchVariation(offset)/promoteVariation()/deleteVariation(): 兄弟变着切换、变着升为主线、删除变着
+   * - getContinuation(): 当前节点之后可重做的着法
+   * - getLine(fmt?): 当前一路的全部着法及其记谱（着法列表与回看用）
+   * - annotate(annotation): 为当前着设置注释、评注符号与棋盘标记
+   * - resign(side)/offerDraw(side)/acceptDraw(side)/declineDraw(): 认输、提和、同意与拒绝和棋
+   * - checkClock()/flagTimeout(side): 检查棋钟与超时判负（对方无进攻子力时判和）
+   * - adjudicate(score, reason): 按给定结果结束对局（读取棋谱时恢复认输、议和等结果）
+   * - getHash(): 当前局面的 Zobrist 哈希（用于重复局面判定）
+   * - getRuleProfile(): 本局采用的规则档（困毙、重复局面与自然限着的裁决）
+   * - getDrawStatus(): 自然限着剩余回合与子力不足
+   * - getStatus(): 获取状态（被将、将死、僵局、自然限着与子力不足）
    */
   class GameEngine {
     constructor() {
       this.board = new Board();
       this.sideToMove = 'red';
       this.selected = null; // { row, col }
-      this.history = []; // 存储克隆棋盘与当前方
-      this.redoStack = [];
+      // 着法树：每个节点 { entry, parent, children, next, ending? }，children[0] 为主线，其余为变着；ending 为在该处结束时的结果；
+      // next 为重做时进入的子节点（最近一次离开的分支）。history 为自根到当前节点的历史记录
+      // 历史记录只存着法 { side, move, piece, captured, hash, check, halfmoveClock, fullmoveNumber, notation, comment?, nag?, markup? }，
+      // 悔棋/重做在当前棋盘上撤销或重走该着，不保存整盘快照
+      this.root = null;
+      this.current = null;
+      this.history = [];
+      this.halfmoveClock = 0; // 自上次吃子以来的半回合数（FEN 第 5 段）
+      this.fullmoveNumber = 1; // 回合数，黑方走后加一（FEN 第 6 段）
+      this.startFen = GameRecord.INITIAL_FEN; // 本局起始局面，用于棋谱回放
+      this.headers = GameRecord.defaultHeaders(); // 棋谱标签（赛事、日期、双方等）
+      this.aiSide = null; // 电脑执子方，null 表示双人对战
       this.gameOver = false;
       this.gameOverReason = '';
+      // 对局结果：score 为 '1-0' | '0-1' | '1/2-1/2' | '*'，reason 为结束原因代码（见 RESULT_REASONS），未结束时为 null
+      this.result = { score: '*', reason: null };
+      this.drawOffer = null; // 提和方（'red' | 'black'），对方走子即视为拒绝
+      this.clock = new GameClock(); // 棋钟，新局按 CONFIG.clock.control 重建
+      this.replaying = false; // 读取棋谱重放着法时为 true：走子后只记录将军，胜负留待重放结束后在所停局面判定
       this.newGame();
     }
 
@@ -33,10 +114,19 @@
         this.board.setupInitial();
         this.sideToMove = 'red';
         this.selected = null;
-        this.history = [];
-        this.redoStack = [];
+        this.resetHistory();
+        this.halfmoveClock = 0;
+        this.fullmoveNumber = 1;
+        this.startFen = GameRecord.INITIAL_FEN;
+        // 沿用双方与赛事信息，日期与结果按新局重置
+        this.headers = Object.assign(GameRecord.defaultHeaders(), {
+          Event: this.headers.Event, Red: this.headers.Red, Black: this.headers.Black, Rules: CONFIG.rules.profile,
+        });
         this.gameOver = false;
         this.gameOverReason = '';
+        this.result = { score: '*', reason: null };
+        this.drawOffer = null;
+        this.clock = new GameClock(CONFIG.clock.controls[CONFIG.clock.control]);
         logger.info('新开一局');
       } catch (err) {
         logger.error('新开一局失败', err);
@@ -62,7 +152,7 @@
      */
     selectSquare(row, col) {
       try {
-        if (this.gameOver) return false;
+        if (this.gameOver || this.isAiTurn()) return false;
         const clicked = this.board.getPiece(row, col);
         if (clicked && clicked.side === this.sideToMove) {
           this.selected = { row, col };
@@ -71,40 +161,9 @@
         }
         if (this.selected) {
           const { row: sr, col: sc } = this.selected;
-          if (Rules.isLegalMove(this.board, sr, sc, row, col, this.sideToMove)) {
-            // 执行走子并入历史
-            const before = this.board.clone();
-            const moveRes = this.board.movePiece(sr, sc, row, col);
-            const after = this.board.clone();
-            this.history.push({ before, after, side: this.sideToMove });
-            this.redoStack = []; // 清空重做栈
-            logger.info('走子成功', { from: { row: sr, col: sc }, to: { row, col }, captured: !!moveRes.captured });
-
-            // 回合切换
-            this.sideToMove = this.sideToMove === 'red' ? 'black' : 'red';
-            this.selected = null;
-
-            // 胜负判定
-            const enemy = this.sideToMove;
-            const inCheck = Rules.isInCheck(this.board, enemy);
-            const checkmate = Rules.isCheckmate(this.board, enemy);
-            const stalemate = Rules.isStalemate(this.board, enemy);
-            if (checkmate) {
-              this.gameOver = true;
-              this.gameOverReason = `${enemy === 'red' ? '红方' : '黑方'}被将死，${enemy === 'red' ? '黑方' : '红方'}胜！`;
-              logger.info('对局结束', { reason: this.gameOverReason });
-            } else if (stalemate) {
-              this.gameOver = true;
-              this.gameOverReason = '双方僵局，无合法着法。';
-              logger.info('对局结束', { reason: this.gameOverReason });
-            } else if (inCheck) {
-              logger.warn(`${enemy === 'red' ? '红方' : '黑方'}被将！`);
-            }
-            return true;
-          } else {
-            logger.warn('非法走子', { from: this.selected, to: { row, col } });
-            return false;
-          }
+          if (this.makeMove(sr, sc, row, col)) return true;
+          logger.warn('非法走子', { from: this.selected, to: { row, col } });
+          return false;
         }
         return false;
       } catch (err) {
@@ -113,17 +172,84 @@
       }
     }
 
-    /** 悔棋 */
+    /**
+     * setOpponent
+     * 参数：aiSide('red'|'black'|null)，电脑执子方；null 为双人对战
+     */
+    setOpponent(aiSide) {
+      this.aiSide = aiSide === 'red' || aiSide === 'black' ? aiSide : null;
+      logger.info('对局模式', { aiSide: this.aiSide || 'none' });
+    }
+
+    /** 是否轮到电脑走子 */
+    isAiTurn() {
+      return !this.gameOver && this.aiSide === this.sideToMove;
+    }
+
+    /**
+     * makeMove
+     * 参数：fromRow, fromCol, toRow, toCol
+     * 返回：是否成功走子（非当前方棋子或不合法时返回 false）
+     * 说明：点击走子与记谱输入共用；完成后切换回合并做胜负判定。
+     */
+    makeMove(fromRow, fromCol, toRow, toCol) {
+      try {
+        if (this.gameOver || this.checkClock()) return false;
+        if (!Rules.isLegalMove(this.board, fromRow, fromCol, toRow, toCol, this.sideToMove)) return false;
+        // 已有同一着的分支则沿用，否则新建节点：首个子节点为主线，其后为变着（记谱需基于走子前的棋盘）
+        const move = { from: { row: fromRow, col: fromCol }, to: { row: toRow, col: toCol } };
+        const display = Notation.format(this.board, move);
+        const mover = this.sideToMove;
+        let node = this.current.children.find(n => sameMove(n.entry.move, move));
+        if (!node) {
+          const piece = this.board.getPiece(fromRow, fromCol);
+          const target = this.board.getPiece(toRow, toCol);
+          const entry = {
+            side: mover, move, piece: piece.type, captured: target ? target.type : null,
+            hash: Zobrist.applyMove(this.getHash(), piece, move, target), check: false,
+            halfmoveClock: this.halfmoveClock, fullmoveNumber: this.fullmoveNumber, notation: Notation.toChinese(this.board, move),
+          };
+          node = { entry, parent: this.current, children: [], next: null };
+          this.current.children.push(node);
+          if (this.current.children.length > 1) logger.info('新建变着', { index: this.current.children.length - 1 });
+        }
+        this._enter(node);
+        this.clock.press(mover);
+        if (this.drawOffer && this.drawOffer !== mover) {
+          logger.info(`${SIDE_NAMES[mover]}走子，视为拒绝和棋`);
+          this.drawOffer = null;
+        }
+        logger.info(`走子成功：${display}`, { from: move.from, to: move.to, captured: !!node.entry.captured });
+
+        this._updateGameOver();
+        return true;
+      } catch (err) {
+        logger.error('走子失败', err);
+        return false;
+      }
+    }
+
+    /**
+     * makeMoveFromText
+     * 参数：text(中文、WXF 或 ICCS 记谱)
+     * 返回：是否成功走子
+     */
+    makeMoveFromText(text) {
+      const move = Notation.parse(this.board, text, this.sideToMove);
+      if (!move) {
+        logger.warn('无法识别的着法', { text });
+        return false;
+      }
+      return this.makeMove(move.from.row, move.from.col, move.to.row, move.to.col);
+    }
+
+    /** 悔棋：退回父节点，已走的着法保留在着法树中可重做；该处的认输、议和或超时结果随之撤销 */
     undo() {
       try {
-        if (!this.history.length) return false;
-        const last = this.history.pop();
-        this.redoStack.push({ before: last.before, after: last.after, side: last.side });
-        this.board = last.before.clone();
-        this.sideToMove = last.side; // 回合回退到执行走子前方
-        this.selected = null;
-        this.gameOver = false;
-        this.gameOverReason = '';
+        if (!this.current.parent) return false;
+        delete this.current.ending;
+        this._back();
+        this.clock.pause(); // 悔棋后暂停计时，下一着走出时转为对方计时
         logger.info('悔棋成功');
         return true;
       } catch (err) {
@@ -132,15 +258,13 @@
       }
     }
 
-    /** 重做 */
+    /** 重做：进入最近一次离开的分支（缺省为主线） */
     redo() {
       try {
-        if (!this.redoStack.length) return false;
-        const next = this.redoStack.pop();
-        this.board = next.after.clone();
-        // 重做后切换到对方
-        this.sideToMove = next.side === 'red' ? 'black' : 'red';
-        this.selected = null;
+        const next = this.current.next || this.current.children[0];
+        if (!next) return false;
+        this._enter(next);
+        this._updateGameOver();
         logger.info('重做成功');
         return true;
       } catch (err) {
@@ -149,20 +273,458 @@
       }
     }
 
+    /**
+     * resetHistory
+     * 行为：清空着法树，以当前局面为根（新局、读取局面时调用）
+     */
+    resetHistory() {
+      this.root = { entry: null, parent: null, children: [], next: null };
+      this.current = this.root;
+      this.history = [];
+    }
+
+    /**
+     * getContinuation
+     * 返回：当前节点之后、沿重做方向的历史记录（即可重做的着法）
+     */
+    getContinuation() {
+      const out = [];
+      for (let n = this.current.next || this.current.children[0]; n; n = n.next || n.children[0]) out.push(n.entry);
+      return out;
+    }
+
+    /**
+     * getLine
+     * 参数：fmt?(记谱格式，缺省取 CONFIG.notation.format)
+     * 返回：当前一路（自根经当前节点、沿重做方向至末着）的着法 [{ node, side, fullmoveNumber, text }]，供着法列表显示与跳转
+     */
+    getLine(fmt) {
+      const board = this.board.clone();
+      for (let i = this.history.length - 1; i >= 0; i--) revertEntry(board, this.history[i]);
+      const nodes = [];
+      for (let n = this.current; n.parent; n = n.parent) nodes.unshift(n);
+      for (let n = this.current.next || this.current.children[0]; n; n = n.next || n.children[0]) nodes.push(n);
+      return nodes.map((node) => {
+        const { entry } = node;
+        const text = Notation.format(board, entry.move, fmt);
+        applyEntry(board, entry);
+        return { node, side: entry.side, fullmoveNumber: entry.fullmoveNumber, text };
+      });
+    }
+
+    /**
+     * annotate
+     * 参数：annotation({ comment?, nag?, markup?: { squares, arrows } })，整体替换当前着的注解，内容为空即清除
+     * 返回：是否成功（尚未走子时返回 false）
+     */
+    annotate(annotation) {
+      const { entry } = this.current;
+      if (!entry) return false;
+      delete entry.comment;
+      delete entry.nag;
+      delete entry.markup;
+      Object.assign(entry, GameRecord.normalizeAnnotation(annotation));
+      return true;
+    }
+
+    /**
+     * getPath
+     * 返回：自根到当前节点各层所选子节点的下标（0 为主线）
+     */
+    getPath() {
+      const path = [];
+      for (let n = this.current; n.parent; n = n.parent) path.unshift(n.parent.children.indexOf(n));
+      return path;
+    }
+
+    /**
+     * goToNode
+     * 参数：target(着法树节点)
+     * 行为：悔棋到与目标的公共祖先，再沿目标路径重做；不改变棋钟
+     * 返回：是否成功
+     */
+    goToNode(target) {
+      try {
+        const path = [];
+        for (let n = target; n; n = n.parent) path.unshift(n);
+        if (path[0] !== this.root) return false;
+        while (!path.includes(this.current)) this._back();
+        for (let i = path.indexOf(this.current) + 1; i < path.length; i++) this._enter(path[i]);
+        this._updateGameOver();
+        return true;
+      } catch (err) {
+        logger.error('跳转失败', err);
+        return false;
+      }
+    }
+
+    /**
+     * goToPath
+     * 参数：path(各层子节点下标)
+     * 返回：是否成功；下标越界时停在最后一个有效节点
+     */
+    goToPath(path) {
+      let node = this.root;
+      for (const i of path || []) {
+        if (!node.children[i]) break;
+        node = node.children[i];
+      }
+      return this.goToNode(node);
+    }
+
+    /**
+     * switchVariation
+     * 参数：offset(-1 上一变着，1 下一变着)
+     * 行为：在当前着的兄弟着法（同一局面下的其他走法）间切换
+     * 返回：是否成功
+     */
+    switchVariation(offset) {
+      const node = this.current;
+      if (!node.parent) return false;
+      const siblings = node.parent.children;
+      const index = siblings.indexOf(node) + offset;
+      if (!siblings[index] || !this.goToNode(siblings[index])) return false;
+      logger.info('切换变着', { index, total: siblings.length });
+      return true;
+    }
+
+    /**
+     * promoteVariation
+     * 行为：把当前所在的变着（自当前节点向上最近的非主线分支）升为主线
+     * 返回：是否成功（已在主线上时返回 false）
+     */
+    promoteVariation() {
+      const start = this._variationStart();
+      if (!start) return false;
+      const siblings = start.parent.children;
+      siblings.splice(siblings.indexOf(start), 1);
+      siblings.unshift(start);
+      logger.info('变着已升为主线');
+      return true;
+    }
+
+    /**
+     * deleteVariation
+     * 行为：删除当前所在的变着（自当前节点向上最近的非主线分支及其后续），并退回到分支点
+     * 返回：是否成功（主线不可删除）
+     */
+    deleteVariation() {
+      const start = this._variationStart();
+      if (!start) return false;
+      const parent = start.parent;
+      this.goToNode(parent);
+      parent.children.splice(parent.children.indexOf(start), 1);
+      if (parent.next === start) parent.next = null;
+      logger.info('变着已删除');
+      return true;
+    }
+
+    /** 自当前节点向上最近的非主线节点（变着起点），在主线上时返回 null */
+    _variationStart() {
+      for (let n = this.current; n.parent; n = n.parent) {
+        if (n.parent.children[0] !== n) return n;
+      }
+      return null;
+    }
+
+    /**
+     * _enter
+     * 参数：node(当前节点的子节点)
+     * 行为：走入该节点：在棋盘上重走该着，更新计数与回合方，并记住该分支供重做（胜负判定由调用方完成）
+     */
+    _enter(node) {
+      const { entry } = node;
+      applyEntry(this.board, entry);
+      this.history.push(entry);
+      this._advanceCounters(entry.side, entry.captured);
+      this.sideToMove = entry.side === 'red' ? 'black' : 'red';
+      node.parent.next = node;
+      this.current = node;
+      this.selected = null;
+      this._clearResult();
+    }
+
+    /** 退回父节点：撤销该着（棋子退回原位、放回被吃子），恢复计数与回合方，并清除对局结果 */
+    _back() {
+      const node = this.current;
+      const { entry } = node;
+      this.history.pop();
+      revertEntry(this.board, entry);
+      this.sideToMove = entry.side; // 回合回退到执行走子前方
+      this.halfmoveClock = entry.halfmoveClock;
+      this.fullmoveNumber = entry.fullmoveNumber;
+      node.parent.next = node;
+      this.current = node.parent;
+      this.selected = null;
+      this._clearResult();
+      this.drawOffer = null;
+    }
+
+    /** 清除对局结束状态（局面回退或改变后重新判定） */
+    _clearResult() {
+      this.gameOver = false;
+      this.gameOverReason = '';
+      this.result = { score: '*', reason: null };
+    }
+
+    /**
+     * resign
+     * 参数：side(认输方，缺省为当前走子方)
+     * 返回：是否成功（对局已结束时返回 false）
+     */
+    resign(side = this.sideToMove) {
+      if (this.gameOver) return false;
+      const winner = side === 'red' ? 'black' : 'red';
+      this._endGame(winner, 'resign', `${SIDE_NAMES[side]}认输，${SIDE_NAMES[winner]}胜！`);
+      return true;
+    }
+
+    /**
+     * offerDraw
+     * 参数：side(提和方，缺省为当前走子方)
+     * 返回：是否成功；提和在对方走子前有效，对方可 acceptDraw 同意或走子拒绝
+     */
+    offerDraw(side = this.sideToMove) {
+      if (this.gameOver) return false;
+      this.drawOffer = side;
+      logger.info(`${SIDE_NAMES[side]}提和`);
+      return true;
+    }
+
+    /**
+     * acceptDraw
+     * 参数：side(同意方，缺省为提和方的对方)
+     * 返回：是否成功（无对方提和时返回 false）
+     */
+    acceptDraw(side = this.drawOffer === 'red' ? 'black' : 'red') {
+      if (this.gameOver || !this.drawOffer || this.drawOffer === side) return false;
+      this._endGame(null, 'agreement', '双方同意和棋。');
+      return true;
+    }
+
+    /** 拒绝对方提和 */
+    declineDraw() {
+      if (!this.drawOffer) return false;
+      logger.info(`${SIDE_NAMES[this.drawOffer === 'red' ? 'black' : 'red']}拒绝和棋`);
+      this.drawOffer = null;
+      return true;
+    }
+
+    /**
+     * checkClock
+     * 返回：是否已有一方超时；超时则按 flagTimeout 结束对局
+     * 说明：走子前与界面定时刷新时调用。
+     */
+    checkClock() {
+      if (this.gameOver) return false;
+      const flagged = this.clock.check();
+      if (!flagged) return false;
+      this.flagTimeout(flagged);
+      return true;
+    }
+
+    /**
+     * flagTimeout
+     * 参数：side(超时方)
+     * 行为：超时判负；对方已无进攻子力（无法将死）时判和
+     * 返回：是否成功（对局已结束时返回 false）
+     */
+    flagTimeout(side) {
+      if (this.gameOver) return false;
+      const winner = side === 'red' ? 'black' : 'red';
+      if (Rules.hasAttackingMaterial(this.board, winner)) {
+        this._endGame(winner, 'timeout', `${SIDE_NAMES[side]}超时，${SIDE_NAMES[winner]}胜！`);
+      } else {
+        this._endGame(null, 'timeout', `${SIDE_NAMES[side]}超时，${SIDE_NAMES[winner]}无进攻子力，判和。`);
+      }
+      return true;
+    }
+
+    /**
+     * adjudicate
+     * 参数：score('1-0'|'0-1'|'1/2-1/2'), reason(结束原因代码)
+     * 行为：按外部给定的结果结束对局，用于读取以认输、议和等非棋盘原因结束的棋谱
+     * 返回：是否成功（结果无效或对局已结束时返回 false）
+     */
+    adjudicate(score, reason) {
+      if (this.gameOver) return false;
+      const winner = { '1-0': 'red', '0-1': 'black', '1/2-1/2': null }[score];
+      if (winner === undefined) return false;
+      let text = `对局结果：${score}`;
+      if (reason === 'resign') {
+        const loser = winner === 'red' ? 'black' : 'red';
+        text = winner ? `${SIDE_NAMES[loser]}认输，${SIDE_NAMES[winner]}胜！` : text;
+      } else if (reason === 'agreement' && !winner) {
+        text = '双方同意和棋。';
+      } else if (reason === 'timeout' && winner) {
+        const loser = winner === 'red' ? 'black' : 'red';
+        text = `${SIDE_NAMES[loser]}超时，${SIDE_NAMES[winner]}胜！`;
+      }
+      this._endGame(winner, reason || null, text);
+      return true;
+    }
+
+    /**
+     * getHash
+     * 返回：当前局面（含走子方）的 Zobrist 哈希 { lo, hi }
+     * 说明：每着走后的哈希随历史记录保存，无历史时按棋盘计算。
+     */
+    getHash() {
+      const last = this.history[this.history.length - 1];
+      return last ? last.hash : Zobrist.hashBoard(this.board, this.sideToMove);
+    }
+
+    /**
+     * getRuleProfile
+     * 返回：本局采用的规则档（按棋谱标签 Rules 取 CONFIG.rules.profiles，未知或缺省时取默认档）
+     * 说明：规则档随棋谱保存，读取旧局时按原规则裁决，结果可复现。
+     */
+    getRuleProfile() {
+      const { profile, profiles } = CONFIG.rules;
+      return profiles[this.headers.Rules] || profiles[profile];
+    }
+
+    /**
+     * _updateGameOver
+     * 行为：走子或重做后，按当前局面与规则档判定将死、困毙、重复局面（长将、长捉、不变作和）、
+     *       自然限着与子力不足，
+     *       并记录上一着是否将军，供长将判定使用；已在此处结束过的对局（含认输、议和、超时）按记录的结果恢复。
+     *       重放棋谱期间（replaying）只记录将军，外部棋谱在判和之后续走的着法照常读入。
+     */
+    _updateGameOver() {
+      const side = this.sideToMove;
+      const sideName = side === 'red' ? '红方' : '黑方';
+      const { inCheck, checkmate, stalemate } = Rules.getGameStatus(this.board, side);
+      const last = this.history[this.history.length - 1];
+      if (last) last.check = inCheck;
+      if (this.replaying) return;
+      const { ending } = this.current;
+      if (ending) {
+        this._endGame(ending.winner, ending.code, ending.text);
+        return;
+      }
+      if (checkmate) {
+        this._endGame(side === 'red' ? 'black' : 'red', 'checkmate', `${sideName}被将死，${side === 'red' ? '黑方' : '红方'}胜！`);
+        return;
+      }
+      if (stalemate) {
+        if (this.getRuleProfile().stalemateLoses) {
+          this._endGame(side === 'red' ? 'black' : 'red', 'stalemate', `${sideName}困毙，${side === 'red' ? '黑方' : '红方'}胜！`);
+        } else {
+          this._endGame(null, 'stalemate', '双方僵局，无合法着法。');
+        }
+        return;
+      }
+      const repetition = this._judgeRepetition();
+      if (repetition) {
+        const { loser, code, reason } = repetition;
+        this._endGame(loser ? (loser === 'red' ? 'black' : 'red') : null, code, reason);
+        return;
+      }
+      const draw = this.getDrawStatus();
+      if (draw.moveLimitReached) {
+        this._endGame(null, 'move-limit', `双方${this.getRuleProfile().moveLimit}回合未吃子，按自然限着作和。`);
+        return;
+      }
+      if (draw.insufficientMaterial) {
+        this._endGame(null, 'insufficient-material', '双方均无进攻子力，判和。');
+        return;
+      }
+      if (inCheck) logger.warn(`${sideName}被将！`);
+    }
+
+    /**
+     * _judgeRepetition
+     * 返回：当前局面重复次数达到规则档 repetitionLimit 时的裁决 { loser, reason }，否则 null
+     * 说明：Zobrist 哈希按异或累加，对首着再做一次同样的异或即得起始局面的哈希。
+     */
+    _judgeRepetition() {
+      if (!this.history.length) return null;
+      const first = this.history[0];
+      const keys = [Zobrist.toHex(Zobrist.applyMove(first.hash, movedPiece(first), first.move, capturedPiece(first)))]
+        .concat(this.history.map(h => Zobrist.toHex(h.hash)));
+      const captures = this.history.map(h => !!h.captured);
+      const profile = this.getRuleProfile();
+      const previous = Repetition.findRepetition(keys, captures, profile.repetitionLimit);
+      if (previous < 0) return null;
+      return Repetition.judge(this._replayCycle(this.history.slice(previous)), profile);
+    }
+
+    /**
+     * _replayCycle
+     * 参数：cycle(循环内的历史记录)
+     * 返回：补上每着走子前后棋盘 { before, after } 的记录副本，供长捉判定
+     * 说明：循环起点与当前局面相同，从当前棋盘的副本依次重走即可，历史记录本身不保存棋盘。
+     */
+    _replayCycle(cycle) {
+      const board = this.board.clone();
+      return cycle.map((entry) => {
+        const before = board.clone();
+        applyEntry(board, entry);
+        return Object.assign({}, entry, { before, after: board.clone() });
+      });
+    }
+
+    /**
+     * _endGame
+     * 参数：winner('red'|'black'|null，null 为和棋), code(结束原因代码), text(结束原因说明)
+     */
+    _endGame(winner, code, text) {
+      this.current.ending = { winner, code, text }; // 结果记在终局节点上，回看离开后再回到此处时恢复
+      this.gameOver = true;
+      this.gameOverReason = text;
+      this.result = { score: winner === 'red' ? '1-0' : winner === 'black' ? '0-1' : '1/2-1/2', reason: code };
+      this.drawOffer = null;
+      this.clock.pause();
+      logger.info('对局结束', { reason: text, result: this.result.score });
+    }
+
+    /**
+     * _advanceCounters
+     * 参数：side(走子方), captured(被吃棋子类型或 null)
+     * 行为：走子后更新无吃子半回合计数与回合数
+     */
+    _advanceCounters(side, captured) {
+      this.halfmoveClock = captured ? 0 : this.halfmoveClock + 1;
+      if (side === 'black') this.fullmoveNumber++;
+    }
+
+    /**
+     * getDrawStatus
+     * 返回：{ movesToLimit, moveLimitReached, insufficientMaterial }
+     * - movesToLimit: 距自然限着还剩的回合数（按规则档 moveLimit，自最近一次吃子起计；不限着时为 null）
+     * - insufficientMaterial: 双方均无车、马、炮与兵
+     * 说明：不生成着法，可在每次刷新状态栏时调用。
+     */
+    getDrawStatus() {
+      const { moveLimit } = this.getRuleProfile();
+      const movesToLimit = moveLimit > 0 ? Math.max(0, Math.ceil((moveLimit * 2 - this.halfmoveClock) / 2)) : null;
+      return {
+        movesToLimit,
+        moveLimitReached: movesToLimit === 0,
+        insufficientMaterial: Rules.isInsufficientMaterial(this.board),
+      };
+    }
+
     /** 获取当前状态 */
     getStatus() {
       try {
-        const enemy = this.sideToMove;
-        const inCheck = Rules.isInCheck(this.board, enemy);
-        const checkmate = Rules.isCheckmate(this.board, enemy);
-        const stalemate = Rules.isStalemate(this.board, enemy);
-        return { inCheck, checkmate, stalemate, gameOver: this.gameOver, gameOverReason: this.gameOverReason };
+        const { inCheck, checkmate, stalemate } = Rules.getGameStatus(this.board, this.sideToMove);
+        return Object.assign(
+          { inCheck, checkmate, stalemate, gameOver: this.gameOver, gameOverReason: this.gameOverReason },
+          this.getDrawStatus(),
+        );
       } catch (err) {
         logger.error('状态计算失败', err);
-        return { inCheck: false, checkmate: false, stalemate: false, gameOver: false, gameOverReason: '' };
+        return {
+          inCheck: false, checkmate: false, stalemate: false, gameOver: false, gameOverReason: '',
+          movesToLimit: null, moveLimitReached: false, insufficientMaterial: false,
+        };
       }
     }
   }
 
-  window.GameEngine = GameEngine;
-})();
\ No newline at end of file
+  GameEngine.RESULT_REASONS = RESULT_REASONS;
+
+  return { GameEngine };
+});
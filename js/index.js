@@ -0,0 +1,31 @@
+/**
+ * Node 入口
+ * 汇总可在浏览器与 Node 间共用的模块，供服务端、命令行工具与测试以 require 引用。
+ * 模块约定：
+ * - 每个共用模块以工厂函数定义，依赖经参数注入，返回具名导出对象（如 { Board, Piece }）；
+ * - 浏览器中以 <script> 按 index.html 顺序加载，导出挂到全局（window / Worker 的 self），页面行为与原先一致；
+ * - Node 中经 module.exports 导出，依赖以 require('./xxx') 解析。
+ * 仅依赖 DOM 的模块（render、feedback、metrics、errors、auth、search、main）不在此列。
+ */
+module.exports = Object.assign(
+  {},
+  require('./config'),
+  require('./logger'),
+  require('./utils'),
+  require('./model'),
+  require('./rules'),
+  require('./validator'),
+  require('./zobrist'),
+  require('./repetition'),
+  require('./clock'),
+  require('./ai'),
+  require('./notation'),
+  require('./record'),
+  require('./xqf'),
+  require('./engine'),
+  require('./book'),
+  require('./setup'),
+  require('./storage'),
+  require('./puzzle'),
+  require('./review'),
+);
@@ -2,7 +2,13 @@
  * 日志模块
  * 提供统一日志记录与面板输出，支持级别过滤与简单错误处理。
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
   /**
    * Logger
    * 参数说明：
@@ -81,6 +87,5 @@
 
   // 全局唯一默认 logger
   const defaultLogger = new Logger();
-  window.Logger = Logger;
-  window.logger = defaultLogger;
-})();
\ No newline at end of file
+  return { Logger, logger: defaultLogger };
+});
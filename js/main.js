@@ -3,14 +3,51 @@
  * 负责页面交互绑定与整体初始化。
  */
 (function () {
+  // 距自然限着不足该回合数时在状态栏提示
+  const MOVE_LIMIT_WARNING = 10;
+  // 电脑在对方提和时，自身评分低于该值（劣势）才同意和棋
+  const AI_DRAW_ACCEPT_SCORE = -150;
+  // 棋钟剩余时间低于该值时以醒目颜色显示
+  const CLOCK_LOW_MS = 10000;
   let engine = null;
   let canvas = null;
   let turnStatus = null;
   let checkStatus = null;
   let gameStatus = null;
+  let drawStatus = null;
+  let moveList = null;
+  let openingStatus = null;
+  let book = null;
   let loginOverlay = null;
-  // 轻量本地缓存：保存当前选中棋子的合法落点，避免重复计算
+  // 轻量本地缓存：保存当前选中棋子的合法落点，避免重复筛选
   let legalCache = { key: null, moves: null };
+  // 当前局面的分析结果（由搜索线程给出）：全部合法着法与被将状态
+  let analysis = null;
+  let analysisFen = null;
+  // 电脑走子调度：令牌用于作废新局/悔棋前已排队的思考
+  let aiToken = 0;
+  let aiThinking = false;
+  // 回看自动播放：timer 为定时器，node 为上一次播放到的节点（局面被其他操作改变时自动停止）
+  let autoplay = null;
+  // 摆局：setup 为摆局中的 BoardSetup（null 表示未在摆局），setupTool 为面板选中的棋子（{ type, side } 或 'erase'），
+  // setupDrag 为在棋盘上按下的棋子所在格，松开时挪动或拖出棋盘移除
+  let setup = null;
+  let setupTool = null;
+  let setupDrag = null;
+  // 残局练习：puzzle 为进行中的 PuzzleSession（null 表示未在练习），puzzleHint 为提示的棋盘标记（走子或换题后清除），
+  // puzzleProgress 为本机保存的做题进度
+  let puzzle = null;
+  let puzzleHint = null;
+  let puzzleProgress = null;
+  // 分析模式：liveAnalysis 为持续分析的状态 { fen, side, result, done }（null 表示未在分析），
+  // 令牌用于作废局面改变前发出的分析；分析期间电脑不走子
+  let liveAnalysis = null;
+  let liveAnalysisToken = 0;
+  // 复盘：review 为复盘中的 GameReview（null 表示未在复盘），令牌用于作废关闭复盘前发出的局面搜索；
+  // reviewHint 为点击失误后在该着之前的局面上标出的更佳着法 { node, markup }
+  let review = null;
+  let reviewToken = 0;
+  let reviewHint = null;
 
   /**
    * 异步更新性能看板
@@ -43,9 +80,14 @@
       turnStatus = document.getElementById('turnStatus');
       checkStatus = document.getElementById('checkStatus');
       gameStatus = document.getElementById('gameStatus');
+      drawStatus = document.getElementById('drawStatus');
+      moveList = document.getElementById('moveList');
+      openingStatus = document.getElementById('openingStatus');
+      book = OpeningBook.standard();
       logger.attachPanel(document.getElementById('logPanel'));
+      setInterval(tickClock, CONFIG.clock.tickMs);
 
-      Renderer.init(canvas);
+      Renderer.init(canvas, document.getElementById('evalBarCanvas'));
       Renderer.resizeToContainer();
       bindEvents();
       Feedback.initAudio();
@@ -60,11 +102,16 @@
    * 渲染当前状态
    *
    * 功能：绘制棋盘与棋子，显示选中高亮与合法落点提示。
-   * 性能优化：对“当前选中棋子的合法落点”进行一次性内存缓存，避免同一选择周期内重复计算。
+   * 性能优化：合法落点取自搜索线程的局面分析，主线程仅按选中点筛选并缓存，避免同一选择周期内重复筛选。
    * 错误处理：渲染异常将记录日志并不中断交互。
    */
   function renderNow() {
     try {
+      Renderer.renderEvalBar(currentEvaluation());
+      if (setup) {
+        Renderer.renderAll(setup.board, setupDrag, [], null);
+        return;
+      }
       // 基于选中点和当前行方构造缓存键
       const sel = engine.selected;
       const key = sel ? `${sel.row},${sel.col}-${engine.sideToMove}` : 'none';
@@ -72,10 +119,18 @@
       if (legalCache.key === key && Array.isArray(legalCache.moves)) {
         legal = legalCache.moves;
       } else {
-        legal = engine.getLegalMovesOfSelection();
-        legalCache = { key, moves: legal };
+        legal = sel && analysis
+          ? analysis.moves.filter(m => m.from.row === sel.row && m.from.col === sel.col).map(m => m.to)
+          : [];
+        // 分析结果未返回前不缓存，待返回后重绘
+        if (analysis) legalCache = { key, moves: legal };
       }
-      Renderer.renderAll(engine.board, engine.selected, legal);
+      const { entry } = engine.current;
+      let markup = entry && entry.markup;
+      if (puzzleHint && engine.current === puzzle.node) markup = puzzleHint;
+      else if (reviewHint && engine.current === reviewHint.node) markup = reviewHint.markup;
+      const candidates = liveAnalysis && liveAnalysis.result ? liveAnalysis.result.lines.map(l => l.move) : null;
+      Renderer.renderAll(engine.board, engine.selected, legal, markup, candidates);
     } catch (err) {
       logger.error('渲染失败', err);
     }
@@ -84,15 +139,740 @@
   /** 更新状态文本 */
   function updateStatus() {
     try {
-      turnStatus.textContent = `回合：${engine.sideToMove === 'red' ? '红方' : '黑方'}`;
-      const st = engine.getStatus();
-      checkStatus.textContent = st.inCheck ? '（被将）' : '';
-      gameStatus.textContent = st.gameOver ? `结果：${st.gameOverReason}` : '';
+      turnStatus.textContent = `回合：${engine.sideToMove === 'red' ? '红方' : '黑方'}${aiThinking ? '（电脑思考中…）' : ''}`;
+      checkStatus.textContent = analysis && analysis.inCheck ? '（被将）' : '';
+      gameStatus.textContent = engine.gameOver ? `结果：${engine.gameOverReason}` : '';
+      const { movesToLimit } = engine.getDrawStatus();
+      if (engine.drawOffer) {
+        drawStatus.textContent = `（${engine.drawOffer === 'red' ? '红方' : '黑方'}提和）`;
+      } else if (!engine.gameOver && movesToLimit !== null && movesToLimit <= MOVE_LIMIT_WARNING) {
+        drawStatus.textContent = `（${movesToLimit}回合内无吃子即按自然限着作和）`;
+      } else {
+        drawStatus.textContent = '';
+      }
+      // 人机对局时由电脑决定是否同意，按钮只供双人对战的对方使用
+      document.getElementById('acceptDrawBtn').disabled = !engine.drawOffer || !!engine.aiSide;
+      const reviewBtn = document.getElementById('reviewBtn');
+      reviewBtn.disabled = !review && !lineEnded();
+      reviewBtn.textContent = review ? '关闭复盘' : '复盘分析';
+      updateClock();
     } catch (err) {
       logger.error('状态更新失败', err);
     }
   }
 
+  /** 更新双方棋钟显示与暂停按钮 */
+  function updateClock() {
+    try {
+      const clock = engine.clock;
+      const display = clock.isEnabled() ? '' : 'none';
+      [['red', 'redClock', '红'], ['black', 'blackClock', '黑']].forEach(([side, id, label]) => {
+        const el = document.getElementById(id);
+        el.style.display = display;
+        if (!clock.isEnabled()) return;
+        const st = clock.getState(side);
+        const left = st.byoyomi ? st.periodMs : st.mainMs;
+        el.textContent = st.byoyomi
+          ? `${label} 读秒 ${GameClock.formatTime(left)}（${st.periods}）`
+          : `${label} ${GameClock.formatTime(left)}`;
+        el.classList.toggle('active', clock.active === side);
+        el.classList.toggle('low', left < CLOCK_LOW_MS);
+      });
+      const pauseBtn = document.getElementById('pauseClockBtn');
+      pauseBtn.style.display = clock.isEnabled() && !engine.gameOver ? '' : 'none';
+      pauseBtn.textContent = clock.isRunning() ? '暂停计时' : '继续计时';
+    } catch (err) {
+      logger.error('棋钟更新失败', err);
+    }
+  }
+
+  /** 为当前走子方开始计时（新局、读取后与暂停后继续时调用） */
+  function resumeClock() {
+    if (engine && !engine.gameOver) engine.clock.start(engine.sideToMove);
+  }
+
+  /** 定时刷新棋钟；走子方用完时间时按超时结束对局 */
+  function tickClock() {
+    try {
+      if (!engine || !engine.clock.isRunning()) return;
+      if (engine.checkClock()) {
+        cancelAiMove();
+        refreshView();
+        Feedback.showSuccess('critical', engine.gameOverReason);
+        return;
+      }
+      updateClock();
+    } catch (err) {
+      logger.error('棋钟刷新失败', err);
+    }
+  }
+
+  /**
+   * requestAnalysis
+   * 局面变化时请求搜索线程分析当前局面；返回后若局面未变则更新落点提示与状态栏。
+   */
+  function requestAnalysis() {
+    try {
+      const fen = StorageAdapter.engineToFEN(engine);
+      if (!fen || fen === analysisFen) return;
+      analysisFen = fen;
+      analysis = null;
+      SearchService.analyze(fen).then((res) => {
+        if (fen !== analysisFen) return;
+        analysis = res;
+        legalCache = { key: null, moves: null };
+        renderNow();
+        updateStatus();
+      }).catch((err) => logger.error('局面分析失败', err));
+    } catch (err) {
+      logger.error('局面分析请求失败', err);
+    }
+  }
+
+  /** 局面或选中变化后刷新视图，并在局面变化时重新分析（分析模式下同时重新开始持续搜索） */
+  function refreshView() {
+    legalCache = { key: null, moves: null };
+    requestAnalysis();
+    updateLiveAnalysis();
+    renderNow();
+    updateStatus();
+    renderMoveList();
+    updateOpening();
+    if (review) renderReviewGraph();
+  }
+
+  /** 分析模式下当前局面的评估（红方视角，见 AI.normalizeScore）；未在分析时为 null */
+  function currentEvaluation() {
+    if (!liveAnalysis) return null;
+    const { result, side } = liveAnalysis;
+    return result ? AI.normalizeScore(result.score, side) : { score: 0, mate: null };
+  }
+
+  /** 评估的文字形式：杀棋写明哪方几步杀，否则为红方视角的带符号分数 */
+  function formatEvaluation(ev) {
+    if (ev.mate === 0) return '已将死';
+    if (ev.mate !== null) return `${ev.score > 0 ? '红' : '黑'}方${Math.abs(ev.mate)}步杀`;
+    return ev.score > 0 ? `+${ev.score}` : String(ev.score);
+  }
+
+  /**
+   * startLiveAnalysis
+   * 进入分析模式：中止电脑思考，摆局与练习随之结束（避免直接看到解法）；分析随回看与走子跟随当前局面
+   */
+  function startLiveAnalysis() {
+    cancelAiMove();
+    if (setup) exitSetup();
+    if (puzzle) exitPuzzle();
+    closeReview();
+    liveAnalysis = { fen: null, side: engine.sideToMove, result: null, done: false };
+    document.getElementById('analysisPanel').style.display = '';
+    document.getElementById('analysisBtn').textContent = '停止分析';
+    refreshView();
+  }
+
+  /** 退出分析模式：停止搜索并收起评估条与箭头 */
+  function stopLiveAnalysis() {
+    if (!liveAnalysis) return;
+    liveAnalysis = null;
+    liveAnalysisToken++;
+    SearchService.stop();
+    document.getElementById('analysisPanel').style.display = 'none';
+    document.getElementById('analysisBtn').textContent = '分析局面';
+    renderNow();
+  }
+
+  /**
+   * updateLiveAnalysis
+   * 分析模式下局面变化时中止上一局面的分析，在新局面上持续搜索（至 CONFIG.analysis.maxDepth），
+   * 每完成一层即更新评估条、候选箭头与变例列表
+   */
+  function updateLiveAnalysis() {
+    try {
+      if (!liveAnalysis) return;
+      const fen = StorageAdapter.engineToFEN(engine);
+      if (fen === liveAnalysis.fen) return;
+      const token = ++liveAnalysisToken;
+      SearchService.stop();
+      liveAnalysis = { fen, side: engine.sideToMove, result: null, done: false };
+      renderLiveAnalysis();
+      const accept = (res, done) => {
+        if (token !== liveAnalysisToken) return;
+        liveAnalysis.result = res;
+        liveAnalysis.done = done;
+        renderLiveAnalysis();
+        renderNow();
+      };
+      SearchService.search(fen, {
+        depth: CONFIG.analysis.maxDepth,
+        multiPV: CONFIG.analysis.multiPV,
+        onProgress: p => accept(p, false),
+      }).then(res => accept(res, true)).catch((err) => {
+        if (token === liveAnalysisToken) logger.error('局面分析失败', err);
+      });
+    } catch (err) {
+      logger.error('局面分析请求失败', err);
+    }
+  }
+
+  /** 分析面板：搜索深度与各候选变例（评估 + 按记谱格式写出的着法序列） */
+  function renderLiveAnalysis() {
+    try {
+      const info = document.getElementById('analysisInfo');
+      const list = document.getElementById('analysisLines');
+      list.textContent = '';
+      const { result, side, done } = liveAnalysis;
+      if (!result) {
+        info.textContent = '分析中…';
+        return;
+      }
+      if (!result.lines.length) {
+        info.textContent = '当前局面无着可走';
+        return;
+      }
+      info.textContent = `深度 ${result.depth}${done ? '（已完成）' : ''} · ${result.nodes} 节点 · ${(result.elapsedMs / 1000).toFixed(1)} 秒`;
+      result.lines.forEach((line) => {
+        const li = document.createElement('li');
+        const score = document.createElement('span');
+        score.className = 'analysis-score';
+        score.textContent = formatEvaluation(AI.normalizeScore(line.score, side));
+        const b = engine.board.clone();
+        const text = line.pv.map((m) => {
+          const s = Notation.format(b, m);
+          b.movePiece(m.from.row, m.from.col, m.to.row, m.to.col);
+          return s;
+        }).join(' ');
+        li.appendChild(score);
+        li.appendChild(document.createTextNode(text));
+        list.appendChild(li);
+      });
+    } catch (err) {
+      logger.error('分析结果显示失败', err);
+    }
+  }
+
+  /**
+   * updateOpening
+   * 按开局库识别当前一路的开局名称并显示；对局进行中（当前位置之后没有着法）同时写入棋谱的开局标签。
+   * 开局库面板列出当前局面的库中着法及其占比。
+   */
+  function updateOpening() {
+    try {
+      const name = book.nameOf(engine.history);
+      openingStatus.textContent = name ? `开局：${name}` : '';
+      if (name && !engine.current.children.length) engine.headers.Opening = name;
+      const list = document.getElementById('bookMoves');
+      list.textContent = '';
+      const entry = book.lookup(engine.board, engine.sideToMove);
+      if (!entry || !entry.moves.length) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = '当前局面不在开局库中';
+        list.appendChild(empty);
+        return;
+      }
+      entry.moves.forEach((m) => {
+        const li = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.textContent = `${Notation.format(engine.board, m.move)} ${Math.round(m.share * 100)}%`;
+        btn.addEventListener('click', () => playBookMove(m.move));
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+    } catch (err) {
+      logger.error('开局识别失败', err);
+    }
+  }
+
+  /** 走开局库面板中点击的着法（摆局、练习、电脑思考中或对局结束时忽略） */
+  function playBookMove(move) {
+    if (setup || puzzle || engine.gameOver || engine.isAiTurn()) return;
+    if (!engine.makeMove(move.from.row, move.from.col, move.to.row, move.to.col)) return;
+    refreshView();
+    scheduleAiMove();
+  }
+
+  /**
+   * renderMoveList
+   * 按回合成对列出当前一路的着法（记谱格式随设置），高亮当前所在着；黑方先行时首回合红方一格留空。
+   */
+  function renderMoveList() {
+    try {
+      const line = engine.getLine();
+      moveList.textContent = '';
+      let row = null;
+      line.forEach((item, i) => {
+        if (!row || item.side === 'red') {
+          row = document.createElement('li');
+          const no = document.createElement('span');
+          no.className = 'move-no';
+          no.textContent = `${item.fullmoveNumber}.`;
+          row.appendChild(no);
+          if (item.side === 'black') {
+            const blank = document.createElement('span');
+            blank.className = 'move';
+            row.appendChild(blank);
+          }
+          moveList.appendChild(row);
+        }
+        const cell = document.createElement('span');
+        const { entry } = item.node;
+        cell.className = `move${item.node === engine.current ? ' current' : ''}${entry.comment ? ' commented' : ''}`;
+        cell.dataset.index = String(i);
+        cell.textContent = item.text + (entry.nag || '');
+        if (entry.comment) cell.title = entry.comment;
+        row.appendChild(cell);
+        if (item.side === 'black') row = null;
+      });
+      const current = moveList.querySelector('.current');
+      if (current) current.scrollIntoView({ block: 'nearest' });
+      document.getElementById('autoplayBtn').textContent = autoplay ? '停止播放' : '自动播放';
+      syncAnnotationEditor();
+    } catch (err) {
+      logger.error('着法列表更新失败', err);
+    }
+  }
+
+  /** 注解编辑框回填当前着的评注符号、棋盘标记与注释；尚未走子时禁用 */
+  function syncAnnotationEditor() {
+    const { entry } = engine.current;
+    const markup = entry && entry.markup;
+    const fields = {
+      nagSelect: entry && entry.nag,
+      markupInput: markup && markup.squares.concat(markup.arrows).join(' '),
+      commentInput: entry && entry.comment,
+    };
+    Object.keys(fields).forEach((id) => {
+      const el = document.getElementById(id);
+      el.value = fields[id] || '';
+      el.disabled = !entry;
+    });
+    document.getElementById('saveAnnotationBtn').disabled = !entry;
+  }
+
+  /**
+   * navigateTo
+   * 参数：node(着法树节点)
+   * 行为：回看时跳到该着：只移动当前位置，不改动着法树与已记录的结果；暂停计时，电脑不在回看中走子
+   * 返回：是否跳转
+   */
+  function navigateTo(node) {
+    if (!node || node === engine.current) return false;
+    cancelAiMove();
+    engine.clock.pause();
+    if (!engine.goToNode(node)) return false;
+    refreshView();
+    return true;
+  }
+
+  /** 回看导航的目标节点：开局、上一着、下一着、终局 */
+  const NAV_TARGETS = {
+    first: () => engine.root,
+    prev: () => engine.current.parent,
+    next: () => engine.current.next || engine.current.children[0],
+    last: () => {
+      const line = engine.getLine();
+      return line.length ? line[line.length - 1].node : engine.root;
+    },
+  };
+
+  /** 停止自动播放 */
+  function stopAutoplay() {
+    if (!autoplay) return;
+    clearInterval(autoplay.timer);
+    autoplay = null;
+    document.getElementById('autoplayBtn').textContent = '自动播放';
+  }
+
+  /**
+   * startAutoplay
+   * 自当前位置按设定速度逐着前进（已在末着时从开局重播），到末着或局面被其他操作改变时停止。
+   */
+  function startAutoplay() {
+    stopAutoplay();
+    if (!NAV_TARGETS.next()) navigateTo(engine.root);
+    const { intervalMs } = CONFIG.replay.speeds[CONFIG.replay.speed];
+    autoplay = { node: engine.current, timer: null };
+    autoplay.timer = setInterval(() => {
+      try {
+        const next = NAV_TARGETS.next();
+        if (engine.current !== autoplay.node || !next) {
+          stopAutoplay();
+          return;
+        }
+        navigateTo(next);
+        autoplay.node = engine.current;
+      } catch (err) {
+        logger.error('自动播放失败', err);
+        stopAutoplay();
+      }
+    }, intervalMs);
+    document.getElementById('autoplayBtn').textContent = '停止播放';
+  }
+
+  /**
+   * scheduleAiMove
+   * 轮到电脑时交由搜索线程思考，主线程保持响应；
+   * 搜索结束后走子，并以线程内的搜索耗时记录 moveDecision。
+   */
+  function scheduleAiMove() {
+    try {
+      // 分析与复盘搜索进行中电脑不走子，以免抢占搜索线程
+      if (!engine || !engine.isAiTurn() || liveAnalysis || (review && !review.isComplete())) return;
+      const token = ++aiToken;
+      aiThinking = true;
+      updateStatus();
+      const level = AI.getLevel();
+      // 开局阶段按权重随机选用库中着法；对方提和时仍需搜索评估局面
+      const bookMove = CONFIG.ai.useBook && !engine.drawOffer ? book.pickMove(engine.board, engine.sideToMove) : null;
+      const request = bookMove
+        ? Promise.resolve({ move: bookMove, score: 0, depth: 0, nodes: 0, elapsedMs: 0, book: true })
+        : SearchService.search(StorageAdapter.engineToFEN(engine), {
+          depth: level.depth,
+          timeMs: level.timeMs,
+          randomness: level.randomness,
+          onProgress: (p) => {
+            if (token === aiToken) logger.debug('电脑思考', { depth: p.depth, score: p.score, nodes: p.nodes });
+          },
+        });
+      request.then((res) => {
+        if (token !== aiToken) return;
+        aiThinking = false;
+        // 对方提和：电脑在自评劣势时同意，否则走子（视为拒绝）
+        if (engine.drawOffer && engine.drawOffer !== engine.aiSide && res.score < AI_DRAW_ACCEPT_SCORE) {
+          engine.acceptDraw(engine.aiSide);
+          refreshView();
+          Feedback.showSuccess('critical', engine.gameOverReason);
+          return;
+        }
+        if (res.book) {
+          engine.makeMove(res.move.from.row, res.move.from.col, res.move.to.row, res.move.to.col);
+          logger.info('电脑走子（开局库）');
+        } else {
+          if (res.move) {
+            engine.makeMove(res.move.from.row, res.move.from.col, res.move.to.row, res.move.to.col);
+            logger.info('电脑走子', { depth: res.depth, score: res.score, nodes: res.nodes, ms: res.elapsedMs });
+          }
+          Metrics.recordMetric('moveDecision', res.elapsedMs);
+          scheduleMetricsUpdate();
+        }
+        refreshView();
+        if (engine.gameOver) Feedback.showSuccess('critical', engine.gameOverReason);
+      }).catch((err) => {
+        if (token !== aiToken) return;
+        aiThinking = false;
+        updateStatus();
+        logger.error('电脑走子失败', err);
+      });
+    } catch (err) {
+      aiThinking = false;
+      logger.error('电脑走子失败', err);
+    }
+  }
+
+  /** 作废并中止进行中的电脑思考（新局、悔棋、读取前调用） */
+  function cancelAiMove() {
+    aiToken++;
+    if (aiThinking) SearchService.stop();
+    aiThinking = false;
+  }
+
+  /** 当前一路（沿重做方向至末着）是否已分出结果：复盘只对下完的对局开放 */
+  function lineEnded() {
+    let n = engine.current;
+    while (n.next || n.children[0]) n = n.next || n.children[0];
+    return !!n.ending;
+  }
+
+  /**
+   * startReview
+   * 复盘当前一路：停止分析与电脑思考，经搜索线程按 CONFIG.review 的深度与时限逐个局面搜索，
+   * 每评估完一个局面即更新曲线与失误列表；搜索在后台进行，期间可照常回看
+   */
+  function startReview() {
+    cancelAiMove();
+    stopLiveAnalysis();
+    const session = GameReview.fromEngine(engine);
+    const token = ++reviewToken;
+    review = session;
+    reviewHint = null;
+    document.getElementById('reviewPanel').style.display = '';
+    renderReview();
+    updateStatus();
+    const next = (i) => {
+      if (token !== reviewToken) return;
+      if (i >= session.positions.length) {
+        renderReview();
+        Feedback.showSuccess('normal', '复盘分析完成');
+        scheduleAiMove();
+        return;
+      }
+      SearchService.search(session.positions[i].fen, { depth: CONFIG.review.depth, timeMs: CONFIG.review.timeMs }).then((res) => {
+        if (token !== reviewToken) return;
+        // 搜索被中止而未完成一层时不记录，重新搜索该局面
+        if (!session.setEvaluation(i, res)) {
+          next(i);
+          return;
+        }
+        renderReview();
+        next(i + 1);
+      }).catch((err) => {
+        if (token !== reviewToken) return;
+        document.getElementById('reviewStatus').textContent = '复盘分析失败，请重试';
+        logger.error('复盘分析失败', err);
+      });
+    };
+    next(0);
+  }
+
+  /** 关闭复盘：未完成的搜索随之中止 */
+  function closeReview() {
+    if (!review) return;
+    if (!review.isComplete()) SearchService.stop();
+    review = null;
+    reviewToken++;
+    reviewHint = null;
+    document.getElementById('reviewPanel').style.display = 'none';
+  }
+
+  /** 当前局面在复盘局面中的下标，不在复盘的一路上时为 -1 */
+  function reviewPly() {
+    return review.positions.findIndex(p => p.node === engine.current);
+  }
+
+  /** 复盘曲线：已评估局面的评估、失误标记与当前局面 */
+  function renderReviewGraph() {
+    const { points, moves } = review.report();
+    const marks = moves.filter(m => m.judgement).map(m => ({ ply: m.ply, judgement: m.judgement }));
+    Renderer.renderEvalGraph(document.getElementById('reviewGraph'), points, { current: reviewPly(), marks });
+  }
+
+  /**
+   * renderReview
+   * 复盘面板：进度或双方失误统计、评估曲线，以及失误列表（着法、等级、评估下降与更佳着法），
+   * 点击失误跳到该着之前的局面并以箭头标出更佳着法
+   */
+  function renderReview() {
+    try {
+      const { moves, summary } = review.report();
+      const status = document.getElementById('reviewStatus');
+      const done = review.evaluations.filter(Boolean).length;
+      if (done < review.positions.length) {
+        status.textContent = `复盘中… ${done}/${review.positions.length}`;
+      } else {
+        const J = GameReview.JUDGEMENTS;
+        status.textContent = [['red', '红方'], ['black', '黑方']].map(([side, name]) => {
+          const st = summary[side];
+          return `${name}：${J.inaccuracy.label} ${st.inaccuracy}、${J.mistake.label} ${st.mistake}、${J.blunder.label} ${st.blunder}，平均损失 ${st.averageDrop}`;
+        }).join('；');
+      }
+      renderReviewGraph();
+      const list = document.getElementById('reviewMoves');
+      list.textContent = '';
+      moves.filter(m => m.judgement).forEach((m) => {
+        const j = GameReview.JUDGEMENTS[m.judgement];
+        const li = document.createElement('li');
+        li.className = `review-move ${m.judgement}`;
+        const prefix = `${m.fullmoveNumber}${m.side === 'black' ? '…' : '.'}`;
+        li.textContent = `${prefix} ${m.text}${j.nag} ${j.label}（-${m.drop}）${m.best ? `，更佳：${m.best.pv.join(' ')}` : ''}`;
+        li.addEventListener('click', () => {
+          const pos = review.positions[m.ply - 1];
+          reviewHint = m.best ? { node: pos.node, markup: { squares: [], arrows: [Notation.toICCS(m.best.move)] } } : null;
+          if (!navigateTo(pos.node)) renderNow();
+        });
+        list.appendChild(li);
+      });
+      if (!list.children.length && done === review.positions.length) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = '未发现明显失误';
+        list.appendChild(empty);
+      }
+    } catch (err) {
+      logger.error('复盘结果显示失败', err);
+    }
+  }
+
+  /** 棋谱标签与输入框的对应关系 */
+  const HEADER_INPUTS = { Red: 'redPlayerInput', Black: 'blackPlayerInput', Event: 'eventInput' };
+
+  /** 将引擎中的棋谱标签回填到输入框（新局、读取后调用） */
+  function syncHeaderInputs() {
+    try {
+      Object.keys(HEADER_INPUTS).forEach(k => {
+        document.getElementById(HEADER_INPUTS[k]).value = engine.headers[k] || '';
+      });
+    } catch (err) {
+      logger.error('对局信息回填失败', err);
+    }
+  }
+
+  /**
+   * enterSetup
+   * 进入摆局：以当前局面为底稿，暂停对局与计时；摆局期间棋盘点击与拖动只作用于摆局棋盘。
+   */
+  function enterSetup() {
+    if (puzzle) exitPuzzle();
+    stopLiveAnalysis();
+    closeReview();
+    cancelAiMove();
+    stopAutoplay();
+    engine.clock.pause();
+    setup = new BoardSetup(engine.board, engine.sideToMove);
+    setupTool = null;
+    setupDrag = null;
+    document.getElementById('setupPanel').style.display = '';
+    document.getElementById('setupSideSelect').value = setup.sideToMove;
+    document.getElementById('setupProblems').textContent = '';
+    renderSetupPalette();
+    renderNow();
+    updateClock();
+    logger.info('进入摆局');
+  }
+
+  /** 退出摆局，回到原对局 */
+  function exitSetup() {
+    setup = null;
+    setupDrag = null;
+    document.getElementById('setupPanel').style.display = 'none';
+    refreshView();
+  }
+
+  /** 生成摆局棋子面板（红黑各七种与“移除”），选中项高亮；棋子可拖到棋盘上放置 */
+  function renderSetupPalette() {
+    const palette = document.getElementById('setupPalette');
+    palette.textContent = '';
+    const tools = [];
+    ['red', 'black'].forEach(side => BoardSetup.PALETTE_TYPES.forEach(type => tools.push({ type, side })));
+    tools.push('erase');
+    tools.forEach((tool) => {
+      const btn = document.createElement('button');
+      const active = tool === 'erase'
+        ? setupTool === 'erase'
+        : setupTool && setupTool !== 'erase' && setupTool.type === tool.type && setupTool.side === tool.side;
+      btn.className = `setup-piece ${tool === 'erase' ? 'erase' : tool.side}${active ? ' active' : ''}`;
+      btn.textContent = tool === 'erase' ? '移除' : Renderer.getPieceLabel(tool.type, tool.side);
+      if (tool !== 'erase') {
+        btn.draggable = true;
+        btn.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', `${tool.side}:${tool.type}`));
+      }
+      btn.addEventListener('click', () => {
+        setupTool = active ? null : tool;
+        renderSetupPalette();
+      });
+      palette.appendChild(btn);
+    });
+  }
+
+  /** 摆局中点击某格：按选中的棋子放置（同一棋子再点即移除），选中“移除”时移除 */
+  function applySetupTool(g) {
+    if (!setupTool) return;
+    const current = setup.board.getPiece(g.row, g.col);
+    if (setupTool === 'erase' || (current && current.type === setupTool.type && current.side === setupTool.side)) {
+      setup.remove(g.row, g.col);
+    } else {
+      setup.place(g.row, g.col, setupTool);
+    }
+  }
+
+  /**
+   * startPuzzle
+   * 参数：item(PUZZLES 中的题目)
+   * 行为：在当前引擎上载入题目局面（双人模式、不计时），显示练习面板；摆局或回看中的操作随之结束
+   */
+  function startPuzzle(item) {
+    cancelAiMove();
+    stopAutoplay();
+    stopLiveAnalysis();
+    closeReview();
+    if (setup) exitSetup();
+    const session = new PuzzleSession(item, engine, puzzleProgress);
+    if (!session.start()) {
+      ErrorCenter.reportError('LOAD_FAIL', '残局题目读取失败', { id: item.id });
+      return;
+    }
+    puzzle = session;
+    puzzleHint = null;
+    document.getElementById('puzzlePanel').style.display = '';
+    renderPuzzlePanel();
+    setPuzzleStatus(`${item.category}：${session.solver === 'red' ? '红方' : '黑方'}先走`);
+    syncHeaderInputs();
+    refreshView();
+  }
+
+  /** 退出练习：局面留在棋盘上，可继续双人对弈或新开一局 */
+  function exitPuzzle() {
+    puzzle = null;
+    puzzleHint = null;
+    document.getElementById('puzzlePanel').style.display = 'none';
+  }
+
+  /** 练习面板：题目下拉框（已解出的题目打勾）与做题统计 */
+  function renderPuzzlePanel() {
+    const select = document.getElementById('puzzleSelect');
+    select.textContent = '';
+    PUZZLES.forEach((item) => {
+      const opt = document.createElement('option');
+      opt.value = item.id;
+      opt.textContent = `${item.category}·${item.title}${puzzleProgress.get(item.id).solved ? ' ✓' : ''}`;
+      select.appendChild(opt);
+    });
+    if (puzzle) select.value = puzzle.puzzle.id;
+    const stats = puzzleProgress.getStats();
+    const rate = stats.successRate === null ? '—' : `${Math.round(stats.successRate * 100)}%`;
+    document.getElementById('puzzleStats').textContent = `已解出 ${stats.solved}/${stats.total} 题，尝试 ${stats.attempts} 次，一次做对率 ${rate}`;
+  }
+
+  /** 练习状态文本，kind 为 'wrong' | 'solved' 时以对应颜色显示 */
+  function setPuzzleStatus(text, kind) {
+    const el = document.getElementById('puzzleStatus');
+    el.textContent = text;
+    el.className = `puzzle-status${kind ? ` ${kind}` : ''}`;
+  }
+
+  /**
+   * playPuzzleMove
+   * 参数：move({ from, to })
+   * 行为：交给练习会话比对解法；走错时不走子并提示重走，走对后对方应着已自动走出
+   */
+  function playPuzzleMove(move) {
+    const res = puzzle.play(move.from.row, move.from.col, move.to.row, move.to.col);
+    engine.selected = null;
+    if (res.result === 'illegal' || res.result === 'finished') {
+      renderNow();
+      return;
+    }
+    if (res.result === 'wrong') {
+      setPuzzleStatus('不是解法，请再想想', 'wrong');
+    } else {
+      puzzleHint = null;
+      if (res.result === 'correct') {
+        setPuzzleStatus(`正确！对方应着：${res.reply}，请继续`);
+      } else {
+        setPuzzleStatus(`解出！${puzzle.mistakes || puzzle.hints ? '' : '一次做对。'}可点“下一题”继续`, 'solved');
+        Feedback.showSuccess('important', `残局练习“${puzzle.puzzle.title}”已解出`);
+      }
+    }
+    renderPuzzlePanel();
+    refreshView();
+  }
+
+  /** 练习中点击棋盘：点己方棋子为选中，已选中后点目标格即交给练习会话走子 */
+  function handlePuzzleClick(g) {
+    // 回看别处时先回到做题局面
+    if (puzzle.status === 'playing' && engine.current !== puzzle.node) {
+      navigateTo(puzzle.node);
+      return;
+    }
+    const clicked = engine.board.getPiece(g.row, g.col);
+    const sel = engine.selected;
+    if (!sel || (clicked && clicked.side === engine.sideToMove)) {
+      engine.selectSquare(g.row, g.col);
+      renderNow();
+      return;
+    }
+    playPuzzleMove({ from: sel, to: g });
+  }
+
   /** 将点击坐标转换为棋盘格点 */
   function pixelToGrid(e) {
     const rect = canvas.getBoundingClientRect();
@@ -121,27 +901,145 @@
     try {
       // Canvas点击
       canvas.addEventListener('click', (e) => {
+        if (setup) return; // 摆局中的点击由 pointerup 处理
         // 点击可能改变选中或走子，先清理缓存
         legalCache = { key: null, moves: null };
         const g = pixelToGrid(e);
+        if (puzzle) {
+          handlePuzzleClick(g);
+          return;
+        }
         const ok = engine.selectSquare(g.row, g.col);
         if (ok) {
           const t0 = performance.now();
-          renderNow();
-          updateStatus();
+          refreshView();
           const t1 = performance.now();
           Metrics.recordMetric('clickToRender', Math.round(t1 - t0));
           scheduleMetricsUpdate();
-          const st = engine.getStatus();
-          if (st.gameOver) {
-            Feedback.showSuccess('critical', st.gameOverReason);
+          if (engine.gameOver) {
+            Feedback.showSuccess('critical', engine.gameOverReason);
           }
+          scheduleAiMove();
         } else {
           // 无效点击也重绘以更新提示
           renderNow();
         }
       });
 
+      // 摆局：按下棋子后松开在另一格即挪动，拖出棋盘即移除；原地松开按面板选中的棋子放置或移除
+      canvas.addEventListener('pointerdown', (e) => {
+        if (!setup) return;
+        const g = pixelToGrid(e);
+        setupDrag = setup.board.getPiece(g.row, g.col) ? g : null;
+        if (!setupDrag) applySetupTool(g);
+        renderNow();
+      });
+      document.addEventListener('pointerup', (e) => {
+        if (!setup || !setupDrag) return;
+        const from = setupDrag;
+        setupDrag = null;
+        if (e.target !== canvas) {
+          setup.remove(from.row, from.col);
+        } else {
+          const to = pixelToGrid(e);
+          if (to.row === from.row && to.col === from.col) applySetupTool(to);
+          else setup.move(from.row, from.col, to.row, to.col);
+        }
+        renderNow();
+      });
+      canvas.addEventListener('contextmenu', (e) => {
+        if (!setup) return;
+        e.preventDefault();
+        const g = pixelToGrid(e);
+        setup.remove(g.row, g.col);
+        renderNow();
+      });
+      canvas.addEventListener('dragover', (e) => {
+        if (setup) e.preventDefault();
+      });
+      canvas.addEventListener('drop', (e) => {
+        if (!setup) return;
+        e.preventDefault();
+        const [side, type] = e.dataTransfer.getData('text/plain').split(':');
+        const g = pixelToGrid(e);
+        setup.place(g.row, g.col, { type, side });
+        renderNow();
+      });
+      document.getElementById('setupBtn').addEventListener('click', () => {
+        if (setup) exitSetup();
+        else enterSetup();
+      });
+      document.getElementById('setupSideSelect').addEventListener('change', (e) => {
+        setup.setSideToMove(e.target.value);
+      });
+      document.getElementById('setupClearBtn').addEventListener('click', () => {
+        setup.clear();
+        renderNow();
+      });
+      document.getElementById('setupInitialBtn').addEventListener('click', () => {
+        setup.reset();
+        document.getElementById('setupSideSelect').value = setup.sideToMove;
+        renderNow();
+      });
+      document.getElementById('setupCancelBtn').addEventListener('click', exitSetup);
+      // 残局练习：默认从第一道未解出的题目开始
+      puzzleProgress = new PuzzleProgress();
+      document.getElementById('puzzleBtn').addEventListener('click', () => {
+        if (puzzle) {
+          exitPuzzle();
+          refreshView();
+          return;
+        }
+        startPuzzle(PUZZLES.find(item => !puzzleProgress.get(item.id).solved) || PUZZLES[0]);
+      });
+      document.getElementById('puzzleSelect').addEventListener('change', (e) => {
+        const item = PUZZLES.find(p => p.id === e.target.value);
+        if (item) startPuzzle(item);
+      });
+      document.getElementById('puzzleStartBtn').addEventListener('click', () => startPuzzle(puzzle.puzzle));
+      document.getElementById('puzzleNextBtn').addEventListener('click', () => {
+        const index = PUZZLES.findIndex(p => p.id === puzzle.puzzle.id);
+        startPuzzle(PUZZLES[(index + 1) % PUZZLES.length]);
+      });
+      document.getElementById('puzzleHintBtn').addEventListener('click', () => {
+        const hint = puzzle.hint();
+        if (!hint) return;
+        puzzleHint = hint.markup;
+        setPuzzleStatus(hint.text);
+        renderPuzzlePanel();
+        refreshView();
+      });
+      document.getElementById('puzzleExitBtn').addEventListener('click', () => {
+        exitPuzzle();
+        refreshView();
+      });
+      document.getElementById('reviewBtn').addEventListener('click', () => {
+        if (review) {
+          closeReview();
+          refreshView();
+          return;
+        }
+        startReview();
+      });
+      // 点击复盘曲线跳到对应着数的局面
+      const reviewGraph = document.getElementById('reviewGraph');
+      reviewGraph.addEventListener('click', (e) => {
+        if (!review) return;
+        const rect = reviewGraph.getBoundingClientRect();
+        const last = review.positions.length - 1;
+        const ply = Math.round(((e.clientX - rect.left) / rect.width) * last);
+        const pos = review.positions[Math.max(0, Math.min(last, ply))];
+        navigateTo(pos.node);
+      });
+      document.getElementById('analysisBtn').addEventListener('click', () => {
+        if (!liveAnalysis) {
+          startLiveAnalysis();
+          return;
+        }
+        stopLiveAnalysis();
+        scheduleAiMove(); // 轮到电脑时恢复走子
+      });
+
       // 窗口尺寸变化
       window.addEventListener('resize', () => {
         Renderer.resizeToContainer();
@@ -149,45 +1047,301 @@
       });
 
       // 控件绑定
+      // 对局模式与电脑难度
+      const opponentSelect = document.getElementById('opponentSelect');
+      const levelSelect = document.getElementById('aiLevelSelect');
+      Object.keys(CONFIG.ai.levels).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = CONFIG.ai.levels[name].label;
+        levelSelect.appendChild(opt);
+      });
+      levelSelect.value = CONFIG.ai.level;
+      levelSelect.addEventListener('change', () => {
+        updateConfig({ ai: { level: levelSelect.value } });
+      });
+      // 规则档：新对局起生效；尚未走子时直接作用于当前对局
+      const ruleSelect = document.getElementById('ruleProfileSelect');
+      Object.keys(CONFIG.rules.profiles).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = `${CONFIG.rules.profiles[name].label}规则`;
+        ruleSelect.appendChild(opt);
+      });
+      ruleSelect.value = CONFIG.rules.profile;
+      ruleSelect.addEventListener('change', () => {
+        updateConfig({ rules: { profile: ruleSelect.value } });
+        if (!engine.root.children.length) engine.headers.Rules = ruleSelect.value;
+        logger.info('对局规则已切换', { profile: ruleSelect.value });
+      });
+      // 计时方式：同规则档，新对局起生效；尚未走子时直接作用于当前对局
+      const clockSelect = document.getElementById('timeControlSelect');
+      Object.keys(CONFIG.clock.controls).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = CONFIG.clock.controls[name].label;
+        clockSelect.appendChild(opt);
+      });
+      clockSelect.value = CONFIG.clock.control;
+      clockSelect.addEventListener('change', () => {
+        updateConfig({ clock: { control: clockSelect.value } });
+        if (!engine.root.children.length && !engine.gameOver) {
+          engine.clock = new GameClock(CONFIG.clock.controls[clockSelect.value]);
+          resumeClock();
+        }
+        updateStatus();
+        logger.info('计时方式已切换', { control: clockSelect.value });
+      });
+      document.getElementById('pauseClockBtn').addEventListener('click', () => {
+        if (engine.clock.isRunning()) engine.clock.pause();
+        else resumeClock();
+        updateClock();
+      });
+
       document.getElementById('newGameBtn').addEventListener('click', () => {
+        cancelAiMove();
+        if (setup) exitSetup();
+        if (puzzle) exitPuzzle();
+        stopLiveAnalysis();
+        closeReview();
+        engine.setOpponent(opponentSelect.value === 'none' ? null : opponentSelect.value);
         engine.newGame();
-        legalCache = { key: null, moves: null };
-        renderNow();
-        updateStatus();
+        resumeClock();
+        refreshView();
+        scheduleAiMove();
+      });
+      // 从摆好的局面开局：同新开一局，按当前的对局模式、规则与计时方式
+      document.getElementById('setupStartBtn').addEventListener('click', () => {
+        const check = setup.validate();
+        document.getElementById('setupProblems').textContent = Validator.describe(check);
+        if (!check.valid) {
+          logger.warn('局面不合法，无法开局', { reasons: check.errors.map(r => r.code) });
+          return;
+        }
+        if (!StorageAdapter.applyFENToEngine(setup.toFEN(), engine)) return;
+        engine.setOpponent(opponentSelect.value === 'none' ? null : opponentSelect.value);
+        engine.headers.Rules = CONFIG.rules.profile;
+        engine.clock = new GameClock(CONFIG.clock.controls[CONFIG.clock.control]);
+        exitSetup();
+        syncHeaderInputs();
+        resumeClock();
+        refreshView();
+        scheduleAiMove();
       });
       document.getElementById('undoBtn').addEventListener('click', () => {
+        cancelAiMove();
         engine.undo();
-        legalCache = { key: null, moves: null };
+        // 人机对局时连同电脑的应着一并悔回，回到己方走子
+        if (engine.aiSide && engine.sideToMove === engine.aiSide && engine.history.length) engine.undo();
+        refreshView();
+        scheduleAiMove();
+      });
+      // 变着：悔棋后走出不同着法即新建变着，可在兄弟变着间切换、升为主线或删除
+      const variationActions = {
+        prevVariationBtn: () => engine.switchVariation(-1),
+        nextVariationBtn: () => engine.switchVariation(1),
+        promoteVariationBtn: () => engine.promoteVariation(),
+        deleteVariationBtn: () => engine.deleteVariation(),
+      };
+      Object.keys(variationActions).forEach((id) => {
+        document.getElementById(id).addEventListener('click', () => {
+          cancelAiMove();
+          if (variationActions[id]()) refreshView();
+          scheduleAiMove();
+        });
+      });
+      // 回看：着法列表点击跳转，开局/上一着/下一着/终局按钮与方向键，自动播放
+      moveList.addEventListener('click', (e) => {
+        const index = e.target.dataset && e.target.dataset.index;
+        if (index === undefined) return;
+        const item = engine.getLine()[Number(index)];
+        stopAutoplay();
+        if (item) navigateTo(item.node);
+      });
+      const navButtons = { firstMoveBtn: 'first', prevMoveBtn: 'prev', nextMoveBtn: 'next', lastMoveBtn: 'last' };
+      Object.keys(navButtons).forEach((id) => {
+        document.getElementById(id).addEventListener('click', () => {
+          stopAutoplay();
+          navigateTo(NAV_TARGETS[navButtons[id]]());
+        });
+      });
+      const navKeys = { ArrowLeft: 'prev', ArrowRight: 'next', Home: 'first', End: 'last' };
+      document.addEventListener('keydown', (e) => {
+        if (!engine || setup || !navKeys[e.key] || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+        e.preventDefault();
+        stopAutoplay();
+        navigateTo(NAV_TARGETS[navKeys[e.key]]());
+      });
+      document.getElementById('autoplayBtn').addEventListener('click', () => {
+        if (autoplay) stopAutoplay();
+        else startAutoplay();
+      });
+      const speedSelect = document.getElementById('replaySpeedSelect');
+      Object.keys(CONFIG.replay.speeds).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = CONFIG.replay.speeds[name].label;
+        speedSelect.appendChild(opt);
+      });
+      speedSelect.value = CONFIG.replay.speed;
+      speedSelect.addEventListener('change', () => {
+        updateConfig({ replay: { speed: speedSelect.value } });
+        if (autoplay) startAutoplay();
+      });
+      // 注解：为当前着设置评注符号、棋盘标记（格点如 e2，箭头如 h2e2）与注释
+      const nagSelect = document.getElementById('nagSelect');
+      Object.keys(GameRecord.GLYPHS).forEach(glyph => {
+        const opt = document.createElement('option');
+        opt.value = glyph;
+        opt.textContent = `${glyph} ${GameRecord.GLYPHS[glyph]}`;
+        nagSelect.appendChild(opt);
+      });
+      document.getElementById('saveAnnotationBtn').addEventListener('click', () => {
+        const tokens = document.getElementById('markupInput').value.trim().split(/[\s,，]+/).filter(Boolean);
+        const ok = engine.annotate({
+          nag: nagSelect.value,
+          comment: document.getElementById('commentInput').value,
+          markup: { squares: tokens.filter(t => t.length === 2), arrows: tokens.filter(t => t.length === 4) },
+        });
+        if (!ok) return;
+        logger.info('注解已保存', { ply: engine.history.length });
         renderNow();
+        renderMoveList();
+      });
+      // 认输与提和：人机对局时以人执子方的名义，双人对战时以当前走子方的名义
+      const humanSide = () => (engine.aiSide ? (engine.aiSide === 'red' ? 'black' : 'red') : engine.sideToMove);
+      document.getElementById('resignBtn').addEventListener('click', () => {
+        if (!engine.resign(humanSide())) return;
+        cancelAiMove();
+        refreshView();
+        Feedback.showSuccess('critical', engine.gameOverReason);
+      });
+      document.getElementById('offerDrawBtn').addEventListener('click', () => {
+        if (!engine.offerDraw(humanSide())) return;
         updateStatus();
       });
+      document.getElementById('acceptDrawBtn').addEventListener('click', () => {
+        if (!engine.acceptDraw()) return;
+        refreshView();
+        Feedback.showSuccess('critical', engine.gameOverReason);
+      });
       document.getElementById('redoBtn').addEventListener('click', () => {
+        cancelAiMove();
         engine.redo();
-        legalCache = { key: null, moves: null };
-        renderNow();
-        updateStatus();
+        if (engine.aiSide && engine.sideToMove === engine.aiSide && engine.getContinuation().length) engine.redo();
+        refreshView();
+        scheduleAiMove();
+      });
+      // 记谱显示格式与着法输入
+      const formatSelect = document.getElementById('notationFormat');
+      formatSelect.value = CONFIG.notation.format;
+      formatSelect.addEventListener('change', () => {
+        updateConfig({ notation: { format: formatSelect.value } });
+        renderMoveList();
+        updateOpening();
+        if (liveAnalysis) renderLiveAnalysis();
+        logger.info('记谱格式已切换', { format: formatSelect.value });
+      });
+      const moveInput = document.getElementById('moveInput');
+      const submitMoveText = () => {
+        const text = moveInput.value.trim();
+        if (!text || !engine || engine.isAiTurn()) return;
+        if (puzzle) {
+          const move = Notation.parse(engine.board, text, engine.sideToMove);
+          if (!move) return;
+          moveInput.value = '';
+          playPuzzleMove(move);
+          return;
+        }
+        if (engine.makeMoveFromText(text)) {
+          moveInput.value = '';
+          refreshView();
+          if (engine.gameOver) Feedback.showSuccess('critical', engine.gameOverReason);
+          scheduleAiMove();
+        }
+      };
+      document.getElementById('moveInputBtn').addEventListener('click', submitMoveText);
+      moveInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitMoveText();
       });
       document.getElementById('saveLocalBtn').addEventListener('click', () => {
         StorageAdapter.saveToLocalStorage(engine);
       });
       document.getElementById('loadLocalBtn').addEventListener('click', () => {
-        StorageAdapter.loadFromLocalStorage(engine);
-        legalCache = { key: null, moves: null };
-        renderNow();
-        updateStatus();
+        cancelAiMove();
+        if (!StorageAdapter.loadFromLocalStorage(engine)) return; // 读取失败时原对局不变，原因已记入日志
+        if (puzzle) exitPuzzle();
+        closeReview();
+        syncHeaderInputs();
+        resumeClock();
+        refreshView();
+        scheduleAiMove();
       });
       document.getElementById('exportBtn').addEventListener('click', () => {
         StorageAdapter.exportToFile(engine);
       });
+      document.getElementById('exportRecordBtn').addEventListener('click', () => {
+        StorageAdapter.exportRecordToFile(engine);
+      });
+      Object.keys(HEADER_INPUTS).forEach(k => {
+        document.getElementById(HEADER_INPUTS[k]).addEventListener('change', (e) => {
+          if (engine) engine.headers[k] = e.target.value.trim();
+        });
+      });
+      document.getElementById('copyFenBtn').addEventListener('click', async () => {
+        const fen = StorageAdapter.engineToFEN(engine);
+        if (!fen) return;
+        document.getElementById('fenInput').value = fen;
+        try {
+          await navigator.clipboard.writeText(fen);
+          Feedback.showSuccess('normal', 'FEN 已复制到剪贴板');
+        } catch (err) {
+          // 剪贴板不可用（如 file:// 打开）时保留输入框内容供手动复制
+          logger.warn('剪贴板写入失败，请手动复制输入框内容', err);
+        }
+      });
+      document.getElementById('pasteFenBtn').addEventListener('click', async () => {
+        const input = document.getElementById('fenInput');
+        let fen = input.value.trim();
+        if (!fen) {
+          try {
+            fen = (await navigator.clipboard.readText()).trim();
+            input.value = fen;
+          } catch (err) {
+            logger.warn('剪贴板读取失败，请将 FEN 粘贴到输入框', err);
+            return;
+          }
+        }
+        cancelAiMove();
+        if (StorageAdapter.applyFENToEngine(fen, engine)) {
+          if (puzzle) exitPuzzle();
+          closeReview();
+          refreshView();
+          scheduleAiMove();
+        } else {
+          ErrorCenter.reportError('LOAD_FAIL', 'FEN 格式无效或局面不合法', { fen });
+        }
+      });
+      // 选择文件期间暂停计时（文件对话框为模态），读取后按存档恢复
+      document.getElementById('importFile').addEventListener('click', () => {
+        engine.clock.pause();
+        updateClock();
+      });
       document.getElementById('importFile').addEventListener('change', async (e) => {
         const file = e.target.files && e.target.files[0];
         if (file) {
+          cancelAiMove();
           const ok = await StorageAdapter.importFromFile(file, engine);
+          e.target.value = ''; // 允许重复导入同一文件
           if (ok) {
-            legalCache = { key: null, moves: null };
-            renderNow();
-            updateStatus();
+            if (puzzle) exitPuzzle();
+            closeReview();
+            syncHeaderInputs();
+            resumeClock();
+            refreshView();
             scheduleMetricsUpdate();
+            scheduleAiMove();
           }
         }
       });
@@ -225,9 +1379,8 @@
    */
   function startGame() {
     engine = new GameEngine();
-    legalCache = { key: null, moves: null };
-    renderNow();
-    updateStatus();
+    resumeClock();
+    refreshView();
     scheduleMetricsUpdate();
   }
 
@@ -2,7 +2,23 @@
  * 数据模型模块
  * 定义棋子、棋盘与初始布局，提供基础数据操作。
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./config'), require('./logger'), require('./utils')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Utils } = deps;
+
+  /**
+   * FEN 棋子字母映射
+   * 采用通用象棋 FEN 记法：大写为红方、小写为黑方；相记为 B、马记为 N、兵记为 P。
+   * 解析时兼容部分软件使用的 E/H 写法。
+   */
+  const FEN_CHAR_BY_TYPE = { K: 'k', A: 'a', E: 'b', H: 'n', R: 'r', C: 'c', S: 'p' };
+  const TYPE_BY_FEN_CHAR = { k: 'K', a: 'A', b: 'E', e: 'E', n: 'H', h: 'H', r: 'R', c: 'C', p: 'S' };
+
   /**
    * Piece 棋子
    * 字段：
@@ -88,6 +104,56 @@
       return null;
     }
 
+    /**
+     * toFEN
+     * 返回：棋子布局部分的 FEN 串（自黑方底线第 0 行起，行间以 / 分隔）
+     */
+    toFEN() {
+      const ranks = [];
+      for (let r = 0; r < this.rows; r++) {
+        let rank = '';
+        let empty = 0;
+        for (let c = 0; c < this.cols; c++) {
+          const p = this.grid[r][c];
+          if (!p) { empty++; continue; }
+          if (empty) { rank += empty; empty = 0; }
+          const ch = FEN_CHAR_BY_TYPE[p.type];
+          rank += p.side === 'red' ? ch.toUpperCase() : ch;
+        }
+        if (empty) rank += empty;
+        ranks.push(rank);
+      }
+      return ranks.join('/');
+    }
+
+    /**
+     * fromFEN
+     * 参数：placement(string)，FEN 的棋子布局部分
+     * 返回：新的 Board
+     * 错误处理：行数、列数或字母非法时抛出 Error，由调用方记录日志
+     */
+    static fromFEN(placement) {
+      const b = new Board();
+      const ranks = String(placement || '').trim().split('/');
+      if (ranks.length !== b.rows) throw new Error(`FEN 行数应为 ${b.rows}，实际为 ${ranks.length}`);
+      ranks.forEach((rank, r) => {
+        let c = 0;
+        for (const ch of rank) {
+          if (ch >= '1' && ch <= '9') {
+            c += Number(ch);
+            continue;
+          }
+          const type = TYPE_BY_FEN_CHAR[ch.toLowerCase()];
+          if (!type) throw new Error(`FEN 含非法棋子字母：${ch}`);
+          if (c >= b.cols) throw new Error(`FEN 第 ${r + 1} 行超出 ${b.cols} 列`);
+          b.grid[r][c] = new Piece(type, ch === ch.toUpperCase() ? 'red' : 'black');
+          c++;
+        }
+        if (c !== b.cols) throw new Error(`FEN 第 ${r + 1} 行应为 ${b.cols} 列，实际为 ${c}`);
+      });
+      return b;
+    }
+
     /**
      * setupInitial
      * 设置标准中国象棋初始布局。
@@ -144,6 +210,5 @@
     }
   }
 
-  window.Piece = Piece;
-  window.Board = Board;
-})();
\ No newline at end of file
+  return { Piece, Board };
+});
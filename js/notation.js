@@ -0,0 +1,359 @@
+/**
+ * 着法记谱模块
+ * 提供三种记谱的生成与解析：
+ * - 中文纵线记谱，如“炮二平五”“马８进７”；
+ * - WXF 记谱，如“C2.5”“H8+7”；
+ * - ICCS 坐标记谱，如“h2e2”。
+ * 中文/WXF 记谱约定：
+ * - 红方纵线自右向左记为 一～九，黑方自其右向左记为 １～９（WXF 双方均用 1～9）；
+ * - 进/退（+/-）以走子方朝向对方为“进”；直行棋子（车炮兵帅）进退记步数，斜行棋子（马相仕）记落点纵线；
+ * - 同一纵线上有两个同类棋子时以 前/后（+/-）区分，兵卒三个以上以 前/中/后 或 一二三四五（WXF 为 1～5）区分；
+ *   若两条纵线上均有两个以上兵卒，则以“位置 + 纵线”代替兵字，如“前九平八”（WXF 为“+P9.8”）。
+ * ICCS 约定：列自红方左起记 a～i，行自红方底线起记 0～9。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./config'), require('./logger'), require('./rules')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Rules } = deps;
+
+  const RED_NAMES = { K: '帅', A: '仕', E: '相', H: '马', R: '车', C: '炮', S: '兵' };
+  const BLACK_NAMES = { K: '将', A: '士', E: '象', H: '马', R: '车', C: '炮', S: '卒' };
+  const RED_NUMERALS = ['', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+  const BLACK_NUMERALS = ['', '１', '２', '３', '４', '５', '６', '７', '８', '９'];
+  const WXF_LETTERS = { K: 'K', A: 'A', E: 'E', H: 'H', R: 'R', C: 'C', S: 'P' };
+  const ICCS_FILES = 'abcdefghi';
+
+  /** 解析时兼容的棋子异体字与字母 */
+  const TYPE_BY_CHAR = {
+    '帅': 'K', '帥': 'K', '将': 'K', '將': 'K',
+    '仕': 'A', '士': 'A',
+    '相': 'E', '象': 'E',
+    '马': 'H', '馬': 'H', '傌': 'H',
+    '车': 'R', '車': 'R', '俥': 'R',
+    '炮': 'C', '砲': 'C', '包': 'C',
+    '兵': 'S', '卒': 'S',
+  };
+  const TYPE_BY_LETTER = { K: 'K', A: 'A', E: 'E', B: 'E', H: 'H', N: 'H', R: 'R', C: 'C', P: 'S' };
+  const ACTION_BY_CHAR = { '进': '+', '進': '+', '退': '-', '平': '=' };
+  const ACTION_BY_SYMBOL = { '+': '+', '-': '-', '.': '=', '=': '=' };
+  const ACTION_WORDS = { '+': '进', '-': '退', '=': '平' };
+  const WXF_ACTIONS = { '+': '+', '-': '-', '=': '.' };
+  const POSITION_WORDS = { 2: ['前', '后'], 3: ['前', '中', '后'] };
+  const ORDINALS = ['一', '二', '三', '四', '五'];
+  /** 直行棋子：进退时末位记步数 */
+  const STRAIGHT_TYPES = ['K', 'R', 'C', 'S'];
+  /** 需以前后区分的棋子（仕相在同一纵线时以进退即可区分） */
+  const ORDERED_TYPES = ['R', 'H', 'C', 'S'];
+
+  /**
+   * fileOf
+   * 参数：col, side
+   * 返回：该方视角下的纵线序号 1～9
+   */
+  function fileOf(col, side) {
+    return side === 'red' ? CONFIG.cols - col : col + 1;
+  }
+
+  /**
+   * colOfFile
+   * 参数：file(1～9), side
+   * 返回：棋盘列号
+   */
+  function colOfFile(file, side) {
+    return side === 'red' ? CONFIG.cols - file : file - 1;
+  }
+
+  /** 该方的前进方向（行号增量） */
+  function forwardDir(side) {
+    return side === 'red' ? -1 : 1;
+  }
+
+  /** 数字按走子方习惯书写 */
+  function numeral(n, side) {
+    return (side === 'red' ? RED_NUMERALS : BLACK_NUMERALS)[n] || String(n);
+  }
+
+  /**
+   * columnsOf
+   * 参数：board, type, side
+   * 返回：{ [col]: [row...] }，各列上该类棋子的行号，按由前到后排序
+   */
+  function columnsOf(board, type, side) {
+    const cols = {};
+    for (let r = 0; r < board.rows; r++) {
+      for (let c = 0; c < board.cols; c++) {
+        const p = board.getPiece(r, c);
+        if (p && p.type === type && p.side === side) (cols[c] = cols[c] || []).push(r);
+      }
+    }
+    // 红方行号越小越靠前，黑方相反
+    Object.keys(cols).forEach(c => cols[c].sort((a, b) => (side === 'red' ? a - b : b - a)));
+    return cols;
+  }
+
+  /**
+   * describeMove
+   * 参数：board(走子前的 Board), move({ from, to })
+   * 返回：记谱要素 { type, side, file, pos, action, n }，起点无子时返回 null
+   * - file: 起点纵线；pos: 同线区分信息 { index, count, withFile } 或 null
+   * - action: '+'|'-'|'='；n: 步数或落点纵线
+   */
+  function describeMove(board, move) {
+    const { from, to } = move;
+    const piece = board.getPiece(from.row, from.col);
+    if (!piece) return null;
+    const { type, side } = piece;
+    let pos = null;
+    if (ORDERED_TYPES.includes(type)) {
+      const cols = columnsOf(board, type, side);
+      const sameFile = cols[from.col] || [];
+      if (sameFile.length >= 2) {
+        const crowdedFiles = Object.keys(cols).filter(c => cols[c].length >= 2).length;
+        pos = { index: sameFile.indexOf(from.row), count: sameFile.length, withFile: type === 'S' && crowdedFiles >= 2 };
+      }
+    }
+    const dr = to.row - from.row;
+    let action = '=';
+    let n = fileOf(to.col, side);
+    if (dr !== 0) {
+      action = Math.sign(dr) === forwardDir(side) ? '+' : '-';
+      if (STRAIGHT_TYPES.includes(type)) n = Math.abs(dr);
+    }
+    return { type, side, file: fileOf(from.col, side), pos, action, n };
+  }
+
+  /** 同列 count 个棋子中第 index 个的位置词 */
+  function positionWord(index, count) {
+    return POSITION_WORDS[count] ? POSITION_WORDS[count][index] : ORDINALS[index];
+  }
+
+  /** 位置词转下标，无法识别时返回 -1 */
+  function positionIndex(word, count) {
+    if (POSITION_WORDS[count]) return POSITION_WORDS[count].indexOf(word);
+    return ORDINALS.indexOf(word);
+  }
+
+  /**
+   * toChinese
+   * 参数：board(走子前的 Board), move({ from:{row,col}, to:{row,col} })
+   * 返回：中文记谱字符串，起点无子时返回空串
+   */
+  function toChinese(board, move) {
+    const d = describeMove(board, move);
+    if (!d) return '';
+    const name = (d.side === 'red' ? RED_NAMES : BLACK_NAMES)[d.type];
+    let head = name + numeral(d.file, d.side);
+    if (d.pos) {
+      const word = positionWord(d.pos.index, d.pos.count);
+      head = word + (d.pos.withFile ? numeral(d.file, d.side) : name);
+    }
+    return `${head}${ACTION_WORDS[d.action]}${numeral(d.n, d.side)}`;
+  }
+
+  /**
+   * toWXF
+   * 参数：board(走子前的 Board), move
+   * 返回：WXF 记谱字符串，如 C2.5、+R+1、2P.4
+   */
+  function toWXF(board, move) {
+    const d = describeMove(board, move);
+    if (!d) return '';
+    const letter = WXF_LETTERS[d.type];
+    let head = letter + d.file;
+    if (d.pos) {
+      const mark = d.pos.count === 2 ? (d.pos.index === 0 ? '+' : '-') : String(d.pos.index + 1);
+      head = mark + letter + (d.pos.withFile ? d.file : '');
+    }
+    return `${head}${WXF_ACTIONS[d.action]}${d.n}`;
+  }
+
+  /**
+   * toICCS
+   * 参数：move
+   * 返回：ICCS 坐标记谱，如 h2e2
+   */
+  function toICCS(move) {
+    const sq = p => `${ICCS_FILES[p.col]}${CONFIG.rows - 1 - p.row}`;
+    return sq(move.from) + sq(move.to);
+  }
+
+  /**
+   * normalize
+   * 参数：text
+   * 返回：去除空白、统一简繁异体与全角字符后的字符串
+   */
+  function normalize(text) {
+    return String(text || '')
+      .replace(/\s+/g, '')
+      .replace(/[０-９＋－．]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xfee0))
+      .replace(/後/g, '后');
+  }
+
+  /** 纵线/步数字符转数字：兼容中文数字与阿拉伯数字 */
+  function parseNumber(ch) {
+    if (ch >= '1' && ch <= '9') return Number(ch);
+    const n = RED_NUMERALS.indexOf(ch);
+    return n > 0 ? n : NaN;
+  }
+
+  /**
+   * targetOf
+   * 参数：type, side, from, action('+'|'-'|'='), n
+   * 返回：按记谱推算的落点 { row, col }，无法推算时返回 null
+   */
+  function targetOf(type, side, from, action, n) {
+    if (action === '=') {
+      if (!STRAIGHT_TYPES.includes(type)) return null;
+      return { row: from.row, col: colOfFile(n, side) };
+    }
+    const dir = (action === '+' ? 1 : -1) * forwardDir(side);
+    if (STRAIGHT_TYPES.includes(type)) return { row: from.row + dir * n, col: from.col };
+    const col = colOfFile(n, side);
+    const adc = Math.abs(col - from.col);
+    let adr = 0;
+    if (type === 'H') adr = adc === 1 ? 2 : adc === 2 ? 1 : 0;
+    else if (type === 'A') adr = adc === 1 ? 1 : 0;
+    else if (type === 'E') adr = adc === 2 ? 2 : 0;
+    if (!adr) return null;
+    return { row: from.row + dir * adr, col };
+  }
+
+  /**
+   * resolveMove
+   * 参数：board, side, tokens({ type, file?, pos?, action, n })
+   * - pos: 位置下标解析函数 (count) => index，未写位置时为 null
+   * 返回：唯一合法的 { from, to }，否则返回 null
+   * 说明：先按记谱确定候选棋子与落点，再经 Rules.isLegalMove 校验。
+   */
+  function resolveMove(board, side, tokens) {
+    const { type, file, pos, action, n } = tokens;
+    if (!type || !action || !n) return null;
+    const cols = columnsOf(board, type, side);
+    let candidates = [];
+    if (!pos) {
+      if (!file) return null;
+      const col = colOfFile(file, side);
+      candidates = (cols[col] || []).map(row => ({ row, col }));
+    } else {
+      const crowded = Object.keys(cols).map(Number).filter(c => cols[c].length >= 2);
+      const col = file ? colOfFile(file, side) : (crowded.length === 1 ? crowded[0] : null);
+      if (col === null || !cols[col]) return null;
+      const index = pos(cols[col].length);
+      if (!(index >= 0 && index < cols[col].length)) return null;
+      candidates = [{ row: cols[col][index], col }];
+    }
+
+    const legal = [];
+    candidates.forEach(from => {
+      const to = targetOf(type, side, from, action, n);
+      if (to && Rules.isLegalMove(board, from.row, from.col, to.row, to.col, side)) legal.push({ from, to });
+    });
+    // 同纵线多子却未写前后时视为歧义
+    return legal.length === 1 ? legal[0] : null;
+  }
+
+  /**
+   * parseChinese
+   * 参数：board(当前 Board), text(记谱字符串), side('red'|'black')
+   * 返回：{ from:{row,col}, to:{row,col} }；无法解析或着法不合法时返回 null
+   */
+  function parseChinese(board, text, side) {
+    try {
+      const s = normalize(text);
+      if (s.length !== 4) return null;
+      const action = ACTION_BY_CHAR[s[2]];
+      const n = parseNumber(s[3]);
+      if (TYPE_BY_CHAR[s[0]]) {
+        // 棋子 + 纵线
+        return resolveMove(board, side, { type: TYPE_BY_CHAR[s[0]], file: parseNumber(s[1]), pos: null, action, n });
+      }
+      // 位置 + 棋子，或 位置 + 纵线（仅兵卒）
+      const type = TYPE_BY_CHAR[s[1]] || 'S';
+      const file = TYPE_BY_CHAR[s[1]] ? null : parseNumber(s[1]);
+      if (!TYPE_BY_CHAR[s[1]] && !file) return null;
+      return resolveMove(board, side, { type, file, pos: count => positionIndex(s[0], count), action, n });
+    } catch (err) {
+      logger.error('中文记谱解析失败', err);
+      return null;
+    }
+  }
+
+  /**
+   * parseWXF
+   * 参数：board, text, side
+   * 返回：{ from, to } 或 null
+   */
+  function parseWXF(board, text, side) {
+    try {
+      const m = /^([+\-]|[1-5])?([KAEBHNRCP])([1-9])?([+\-.=])([1-9])$/.exec(normalize(text).toUpperCase());
+      if (!m) return null;
+      const [, mark, letter, file, op, n] = m;
+      let pos = null;
+      if (mark === '+' || mark === '-') pos = count => (count === 2 ? (mark === '+' ? 0 : 1) : -1);
+      else if (mark) pos = () => Number(mark) - 1;
+      return resolveMove(board, side, {
+        type: TYPE_BY_LETTER[letter],
+        file: file ? Number(file) : null,
+        pos,
+        action: ACTION_BY_SYMBOL[op],
+        n: Number(n),
+      });
+    } catch (err) {
+      logger.error('WXF记谱解析失败', err);
+      return null;
+    }
+  }
+
+  /**
+   * parseICCS
+   * 参数：board, text(如 h2e2、H2-E2), side
+   * 返回：合法时为 { from, to }，否则 null
+   */
+  function parseICCS(board, text, side) {
+    const m = /^([a-i])([0-9])-?([a-i])([0-9])$/.exec(normalize(text).toLowerCase());
+    if (!m) return null;
+    const from = { row: CONFIG.rows - 1 - Number(m[2]), col: ICCS_FILES.indexOf(m[1]) };
+    const to = { row: CONFIG.rows - 1 - Number(m[4]), col: ICCS_FILES.indexOf(m[3]) };
+    return Rules.isLegalMove(board, from.row, from.col, to.row, to.col, side) ? { from, to } : null;
+  }
+
+  /**
+   * format
+   * 参数：board(走子前的 Board), move, fmt('chinese'|'iccs'|'wxf'，缺省取 CONFIG.notation.format)
+   * 返回：对应记谱字符串
+   */
+  function format(board, move, fmt = CONFIG.notation.format) {
+    if (fmt === 'iccs') return toICCS(move);
+    if (fmt === 'wxf') return toWXF(board, move);
+    return toChinese(board, move);
+  }
+
+  /**
+   * parse
+   * 参数：board, text, side
+   * 返回：{ from, to } 或 null
+   * 说明：自动识别 ICCS、WXF 与中文记谱。
+   */
+  function parse(board, text, side) {
+    return parseICCS(board, text, side) || parseWXF(board, text, side) || parseChinese(board, text, side);
+  }
+
+  const Notation = {
+    toChinese,
+    toWXF,
+    toICCS,
+    parseChinese,
+    parseWXF,
+    parseICCS,
+    format,
+    parse,
+    fileOf,
+    colOfFile,
+  };
+
+  return { Notation };
+});
@@ -0,0 +1,293 @@
+/**
+ * 残局练习模块
+ * 内置经典杀法与残局题目（局面 FEN 与解法着法），练习时在 GameEngine 上从题目局面走子：
+ * 己方着法与解法比对，对方应着按解法自动走出；可分两步求提示（先标出要动的棋子，再给出整着）。
+ * 做题进度（尝试、成功、提示次数与是否解出）保存在本地存储。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign(
+      {}, require('./config'), require('./logger'), require('./rules'), require('./notation'), require('./engine'),
+      require('./storage'),
+    ));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Rules, Notation, GameEngine, StorageAdapter } = deps;
+
+  /**
+   * 内置题目：{ id, title, category, fen, solution, hint }
+   * - fen 的走子方即做题方；solution 为 ICCS 着法序列，做题方与对方交替，末着将死对方；
+   * - hint 为一句杀法要领，第一步提示时显示。
+   */
+  const PUZZLES = [
+    {
+      id: 'mate1-01', title: '对面笑', category: '一步杀',
+      fen: '3k5/R8/R8/9/9/9/9/9/9/4K4 w - - 0 1', solution: ['a7d7'],
+      hint: '帅占中路封住将门，车从侧面将军',
+    },
+    {
+      id: 'mate1-02', title: '马后炮', category: '一步杀',
+      fen: '4k4/9/4N4/9/9/9/C8/9/9/3K5 w - - 0 1', solution: ['a3e3'],
+      hint: '马控将的两侧，再以马为炮架',
+    },
+    {
+      id: 'mate1-03', title: '马后炮（黑先）', category: '一步杀',
+      fen: '3k5/9/9/c8/9/9/9/4n4/9/4K4 b - - 0 1', solution: ['a6e6'],
+      hint: '马控帅的两侧，再以马为炮架',
+    },
+    {
+      id: 'mate2-01', title: '白脸将', category: '两步杀',
+      fen: '5k3/9/9/9/9/9/9/9/4R4/3K5 w - - 0 1', solution: ['d0e0', 'f9f8', 'e1f1'],
+      hint: '帅先占中，黑将回不到中路',
+    },
+    {
+      id: 'mate2-02', title: '白脸将（黑先）', category: '两步杀',
+      fen: '3k5/4r4/9/9/9/9/9/9/9/5K3 b - - 0 1', solution: ['d9e9', 'f0f1', 'e8f8'],
+      hint: '将先占中，红帅回不到中路',
+    },
+    {
+      id: 'mate2-03', title: '双车错', category: '两步杀',
+      fen: '9/4k4/3a2R2/9/9/9/2R6/9/3K5/9 w - - 0 1', solution: ['c3c8', 'e8e9', 'g7g9'],
+      hint: '两车交替将军，一车封线、一车照将',
+    },
+    {
+      id: 'mate2-04', title: '双车吃士', category: '两步杀',
+      fen: '5a2R/3k5/9/9/4R4/9/9/5K3/9/9 w - - 0 1', solution: ['i9f9', 'd8d7', 'f9d9'],
+      hint: '底车吃士将军，逼将上楼后平车照将',
+    },
+    {
+      id: 'mate2-05', title: '沉底车', category: '两步杀',
+      fen: '3k2b1R/9/3a5/9/9/9/9/1R7/5K3/9 w - - 0 1', solution: ['i9g9', 'd9d8', 'b2b8'],
+      hint: '底车吃象将军，另一车横线封杀',
+    },
+    {
+      id: 'mate2-06', title: '车马冷着', category: '两步杀',
+      fen: '9/5k3/8b/5N3/9/9/2R6/9/9/3K5 w - - 0 1', solution: ['f6h7', 'f8f9', 'c3c9'],
+      hint: '跳马将军逼将退到底线，车沉底照将',
+    },
+    {
+      id: 'mate2-07', title: '车马破士', category: '两步杀',
+      fen: '5a3/3ka4/b8/5N3/2b6/9/2R6/9/9/4K4 w - - 0 1', solution: ['c3d3', 'e8d7', 'd3d7'],
+      hint: '车占将门将军，吃掉垫将的士',
+    },
+  ];
+
+  /**
+   * PuzzleProgress
+   * 方法：
+   * - get(id): 某题的进度 { attempts, successes, hints, solved }
+   * - recordAttempt(id, success)/markSolved(id)/recordHint(id): 记一次尝试（是否一次做对）、记为已解出、记一次提示
+   * - getStats(puzzles?): 汇总 { total, solved, attempts, successes, successRate }，successRate 无尝试时为 null
+   * - reset(): 清空进度
+   * 说明：storage 缺省取 localStorage（Node 中为空，只在内存中记录）；读写失败只记日志，不影响做题。
+   */
+  class PuzzleProgress {
+    /**
+     * 参数：storage?({ getItem, setItem, removeItem }，缺省为 localStorage)
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+      this.storage = storage;
+      this.data = {};
+      this.load();
+    }
+
+    /** 从本地存储读取进度，内容损坏时从空白开始 */
+    load() {
+      try {
+        const raw = this.storage && this.storage.getItem(CONFIG.storageKeys.puzzleProgress);
+        const data = raw ? JSON.parse(raw) : {};
+        this.data = data && typeof data.puzzles === 'object' && data.puzzles ? data.puzzles : {};
+      } catch (err) {
+        logger.warn('残局练习进度读取失败，已重新开始记录', err);
+        this.data = {};
+      }
+    }
+
+    /** 写回本地存储 */
+    save() {
+      try {
+        if (this.storage) this.storage.setItem(CONFIG.storageKeys.puzzleProgress, JSON.stringify({ version: 1, puzzles: this.data }));
+      } catch (err) {
+        logger.error('残局练习进度保存失败', err);
+      }
+    }
+
+    get(id) {
+      return Object.assign({ attempts: 0, successes: 0, hints: 0, solved: false }, this.data[id]);
+    }
+
+    _update(id, fn) {
+      const item = this.get(id);
+      fn(item);
+      this.data[id] = item;
+      this.save();
+    }
+
+    recordAttempt(id, success) {
+      this._update(id, (item) => {
+        item.attempts += 1;
+        if (success) item.successes += 1;
+      });
+    }
+
+    markSolved(id) {
+      this._update(id, (item) => { item.solved = true; });
+    }
+
+    recordHint(id) {
+      this._update(id, (item) => { item.hints += 1; });
+    }
+
+    getStats(puzzles = PUZZLES) {
+      const stats = { total: puzzles.length, solved: 0, attempts: 0, successes: 0, successRate: null };
+      puzzles.forEach((p) => {
+        const item = this.get(p.id);
+        if (item.solved) stats.solved += 1;
+        stats.attempts += item.attempts;
+        stats.successes += item.successes;
+      });
+      if (stats.attempts) stats.successRate = stats.successes / stats.attempts;
+      return stats;
+    }
+
+    reset() {
+      this.data = {};
+      try {
+        if (this.storage) this.storage.removeItem(CONFIG.storageKeys.puzzleProgress);
+      } catch (err) {
+        logger.error('残局练习进度清除失败', err);
+      }
+    }
+  }
+
+  /** 格点的 ICCS 记法（如 e0） */
+  function squareName(pos) {
+    return `${String.fromCharCode(97 + pos.col)}${CONFIG.rows - 1 - pos.row}`;
+  }
+
+  /**
+   * PuzzleSession
+   * 方法：
+   * - start(): 载入题目局面，重新开始本题
+   * - play(fromRow, fromCol, toRow, toCol): 做题方走一着，返回 { result, reply? }
+   *   result 为 'illegal'（不合法）、'wrong'（不是解法，不走子）、'correct'（对方已按解法应着，reply 为其记谱）、
+   *   'solved'（已将死对方）或 'finished'（本题已结束）
+   * - hint(): 提示，第一次标出要动的棋子，之后给出整着；返回 { level, text, markup }，本题结束后为 null
+   * - expectedMove(): 解法中下一着 { from, to }
+   * 说明：
+   * - 与解法不同但直接将死对方的着法同样算解出；
+   * - 一次尝试中首次走错即记为失败，用过提示后解出不计为成功；
+   * - 引擎被回看或悔棋移到别处时，走子与提示先回到做题所在的局面。
+   */
+  class PuzzleSession {
+    /**
+     * 参数：puzzle(题目), engine?(GameEngine，缺省新建), progress?(PuzzleProgress，缺省不记录进度)
+     */
+    constructor(puzzle, engine = new GameEngine(), progress = null) {
+      this.puzzle = puzzle;
+      this.engine = engine;
+      this.progress = progress;
+      this.solver = /\sb(\s|$)/.test(puzzle.fen) ? 'black' : 'red';
+      this.status = 'idle'; // 'idle' | 'playing' | 'solved'
+    }
+
+    /**
+     * start
+     * 返回：是否载入成功（FEN 非法时返回 false）
+     */
+    start() {
+      if (!StorageAdapter.applyFENToEngine(this.puzzle.fen, this.engine)) return false;
+      this.engine.setOpponent(null);
+      this.engine.headers.Event = `残局练习：${this.puzzle.title}`;
+      this.node = this.engine.current;
+      this.ply = 0;
+      this.mistakes = 0;
+      this.hints = 0;
+      this.recorded = false; // 本次尝试的成败是否已记入进度
+      this.status = 'playing';
+      logger.info('开始残局练习', { id: this.puzzle.id, title: this.puzzle.title });
+      return true;
+    }
+
+    /** 解法中下一着，题目已结束时为 null */
+    expectedMove() {
+      if (this.status !== 'playing') return null;
+      this._resume();
+      return Notation.parseICCS(this.engine.board, this.puzzle.solution[this.ply], this.solver);
+    }
+
+    play(fromRow, fromCol, toRow, toCol) {
+      if (this.status !== 'playing') return { result: 'finished' };
+      this._resume();
+      const { engine } = this;
+      if (!Rules.isLegalMove(engine.board, fromRow, fromCol, toRow, toCol, this.solver)) return { result: 'illegal' };
+      const move = { from: { row: fromRow, col: fromCol }, to: { row: toRow, col: toCol } };
+      const text = Notation.toICCS(move);
+      if (text !== this.puzzle.solution[this.ply] && !this._mates(move)) {
+        this.mistakes += 1;
+        if (!this.recorded) this._record(false);
+        logger.info('残局练习：不是解法', { id: this.puzzle.id, move: text });
+        return { result: 'wrong' };
+      }
+      if (!engine.makeMove(fromRow, fromCol, toRow, toCol)) return { result: 'illegal' }; // 对局已被认输等方式结束
+      this.ply += 1;
+      if (engine.gameOver || this.ply >= this.puzzle.solution.length) return this._solve();
+      // 对方按解法应着
+      const reply = Notation.parseICCS(engine.board, this.puzzle.solution[this.ply], engine.sideToMove);
+      if (!reply) {
+        logger.error('残局题目的应着不合法', { id: this.puzzle.id, move: this.puzzle.solution[this.ply] });
+        return this._solve();
+      }
+      const replyText = Notation.format(engine.board, reply);
+      engine.makeMove(reply.from.row, reply.from.col, reply.to.row, reply.to.col);
+      this.ply += 1;
+      this.node = engine.current;
+      return { result: 'correct', reply: replyText };
+    }
+
+    hint() {
+      const move = this.expectedMove();
+      if (!move) return null;
+      if (!this.hints && !this.recorded && this.progress) this.progress.recordHint(this.puzzle.id);
+      this.hints += 1;
+      if (this.hints === 1) {
+        return { level: 1, text: this.puzzle.hint || '走标出的这枚棋子', markup: { squares: [squareName(move.from)], arrows: [] } };
+      }
+      return {
+        level: 2,
+        text: `解法：${Notation.format(this.engine.board, move)}`,
+        markup: { squares: [], arrows: [squareName(move.from) + squareName(move.to)] },
+      };
+    }
+
+    /** 引擎不在做题局面时回到该处 */
+    _resume() {
+      if (this.engine.current !== this.node) this.engine.goToNode(this.node);
+    }
+
+    /** 该着是否直接将死对方 */
+    _mates(move) {
+      const board = this.engine.board.clone();
+      board.movePiece(move.from.row, move.from.col, move.to.row, move.to.col);
+      return Rules.getGameStatus(board, this.solver === 'red' ? 'black' : 'red').checkmate;
+    }
+
+    _record(success) {
+      this.recorded = true;
+      if (this.progress) this.progress.recordAttempt(this.puzzle.id, success);
+    }
+
+    _solve() {
+      this.status = 'solved';
+      this.node = this.engine.current;
+      if (!this.recorded) this._record(this.hints === 0);
+      if (this.progress) this.progress.markSolved(this.puzzle.id);
+      logger.info('残局练习：已解出', { id: this.puzzle.id, mistakes: this.mistakes, hints: this.hints });
+      return { result: 'solved' };
+    }
+  }
+
+  return { PUZZLES, PuzzleProgress, PuzzleSession };
+});
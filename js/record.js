@@ -0,0 +1,263 @@
+/**
+ * 棋谱记录模块
+ * 定义 PGN 风格的象棋棋谱格式（XQ 格式）：标签头 + 着法列表。
+ * 格式示例：
+ *   [Game "Chinese Chess"]
+ *   [Event "内部练习赛"]
+ *   [Date "2024.05.01"]
+ *   [Red "张三"]
+ *   [Black "李四"]
+ *   [Result "1-0"]
+ *   [Termination "resign"] // 结束原因代码（checkmate、resign、agreement 等），对局未结束时省略
+ *   [Rules "cxa"]          // 规则档（cxa | axf | casual），决定困毙与重复局面等的裁决
+ *   [FEN "..."]            // 仅非标准开局时出现
+ *   [Format "ICCS"]
+ *   1. h2e2 h9g7
+ *   2. h0g2!? {出车较快 [%csl Gh0] [%cal Gi0h0]} i9h9
+ *   1-0
+ * 导出统一使用 ICCS 记谱；导入时逐着自动识别 ICCS、WXF 与中文记谱。
+ * 文本棋谱只记当前一路（主线），变着及其注解不写入，需完整保存着法树时使用存档（fromEngine 的 tree）。
+ * 回合编号自起始局面 FEN 的回合数起算。
+ * 着法后可跟评注符号（! ? !! ?? !? ?!，导入时也接受 $1～$6）与花括号注释；
+ * 注释中的 [%csl 格点,...] 与 [%cal 起点终点,...] 为棋盘标记（高亮格点与箭头，格点前可带颜色字母）。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./notation')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { Notation } = deps;
+
+  const INITIAL_FEN = 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1';
+  const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+  /** 评注符号及其含义（NAG $1～$6 依次对应） */
+  const GLYPHS = { '!': '好棋', '?': '劣着', '!!': '妙着', '??': '败着', '!?': '有趣的着法', '?!': '疑问着' };
+  const NAG_CODES = ['!', '?', '!!', '??', '!?', '?!'];
+  const SQUARE_RE = /^[a-i][0-9]$/;
+  const ARROW_RE = /^[a-i][0-9][a-i][0-9]$/;
+  /** 导出时标签的固定顺序，其余标签附在其后 */
+  const HEADER_ORDER = ['Game', 'Event', 'Site', 'Date', 'Red', 'Black', 'Result', 'Termination', 'Opening', 'Rules', 'FEN', 'Format', 'CurrentPly'];
+
+  /** 当天日期，格式 YYYY.MM.DD */
+  function today() {
+    const d = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`;
+  }
+
+  /**
+   * defaultHeaders
+   * 返回：新对局的默认标签（对局名、赛事、日期、双方、结果、开局）
+   */
+  function defaultHeaders() {
+    return { Game: 'Chinese Chess', Event: '', Date: today(), Red: '', Black: '', Result: '*', Opening: '' };
+  }
+
+  /**
+   * resultOf
+   * 参数：engine(GameEngine)
+   * 返回：'1-0' | '0-1' | '1/2-1/2' | '*'
+   */
+  function resultOf(engine) {
+    if (!engine.gameOver || !engine.result) return '*';
+    return engine.result.score;
+  }
+
+  /**
+   * normalizeAnnotation
+   * 参数：data({ comment?, nag?, markup?: { squares?, arrows? } }，可含其他字段)
+   * 返回：只含有效内容的注解 { comment?, nag?, markup? }；未知评注符号与非法格点被丢弃，
+   *       格点为 ICCS 格（如 'e2'），箭头为起终点相连（如 'h2e2'）
+   */
+  function normalizeAnnotation(data) {
+    const out = {};
+    if (!data) return out;
+    const comment = typeof data.comment === 'string' ? data.comment.trim() : '';
+    if (comment) out.comment = comment;
+    if (GLYPHS[data.nag]) out.nag = data.nag;
+    const markup = data.markup || {};
+    const squares = [...new Set((markup.squares || []).map(s => String(s).toLowerCase()))].filter(s => SQUARE_RE.test(s));
+    const arrows = [...new Set((markup.arrows || []).map(s => String(s).toLowerCase()))]
+      .filter(s => ARROW_RE.test(s) && s.slice(0, 2) !== s.slice(2));
+    if (squares.length || arrows.length) out.markup = { squares, arrows };
+    return out;
+  }
+
+  /**
+   * exportTree
+   * 参数：nodes(引擎着法树的子节点列表)
+   * 返回：可序列化的着法树 [{ move(ICCS), comment?, nag?, markup?, children }]
+   */
+  function exportTree(nodes) {
+    return nodes.map((node) => Object.assign(
+      { move: Notation.toICCS(node.entry.move) }, normalizeAnnotation(node.entry), { children: exportTree(node.children) },
+    ));
+  }
+
+  /** 注解写成棋谱注释正文：文字在前，棋盘标记以 [%csl]/[%cal] 附后（花括号会截断注释，予以去除） */
+  function commentText(annotation) {
+    const parts = [];
+    if (annotation.comment) parts.push(annotation.comment.replace(/[{}]/g, ''));
+    if (annotation.markup) {
+      const { squares, arrows } = annotation.markup;
+      if (squares.length) parts.push(`[%csl ${squares.map(s => `G${s}`).join(',')}]`);
+      if (arrows.length) parts.push(`[%cal ${arrows.map(s => `G${s}`).join(',')}]`);
+    }
+    return parts.join(' ');
+  }
+
+  /** 解析注释正文：取出 [%csl]/[%cal] 棋盘标记，其余为文字注释 */
+  function parseComment(body) {
+    const markup = { squares: [], arrows: [] };
+    const comment = body.replace(/\[%(csl|cal)\s+([^\]]*)\]/g, (all, kind, list) => {
+      list.split(/[,\s]+/).filter(Boolean).forEach((item) => {
+        const square = item.replace(/^[RGBY](?=[a-i])/, '');
+        (kind === 'csl' ? markup.squares : markup.arrows).push(square);
+      });
+      return ' ';
+    });
+    return normalizeAnnotation({ comment: comment.replace(/\s+/g, ' '), markup });
+  }
+
+  /**
+   * fromEngine
+   * 参数：engine(GameEngine)
+   * 返回：{ headers, startFen, moves, annotations, ply, tree, path }
+   * - moves: 自起始局面起当前一路的着法（ICCS），包含尚未重做的着法
+   * - annotations: 与 moves 一一对应的注解 { comment?, nag?, markup? }
+   * - ply: 当前所在半回合，即已走着法数
+   * - tree: 含全部变着的着法树 [{ move(ICCS), comment?, children }]，children[0] 为主线
+   * - path: 当前位置在着法树中的路径（各层子节点下标）
+   */
+  function fromEngine(engine) {
+    const entries = engine.history.concat(engine.getContinuation());
+    const played = engine.history;
+    const moves = entries.map(h => Notation.toICCS(h.move));
+    const headers = Object.assign(defaultHeaders(), engine.headers, { Result: resultOf(engine) });
+    if (engine.gameOver && engine.result && engine.result.reason) headers.Termination = engine.result.reason;
+    else delete headers.Termination;
+    return {
+      headers, startFen: engine.startFen || INITIAL_FEN, moves, annotations: entries.map(normalizeAnnotation), ply: played.length,
+      tree: exportTree(engine.root.children), path: engine.getPath(),
+    };
+  }
+
+  /**
+   * toText
+   * 参数：record({ headers, startFen, moves, annotations?, ply })
+   * 返回：XQ 格式棋谱文本，只含 moves 这一路着法，不含变着
+   */
+  function toText(record) {
+    const headers = Object.assign({}, record.headers, { Format: 'ICCS' });
+    if (record.startFen && record.startFen !== INITIAL_FEN) headers.FEN = record.startFen;
+    if (record.ply !== undefined && record.ply !== record.moves.length) headers.CurrentPly = String(record.ply);
+    const keys = HEADER_ORDER.filter(k => headers[k] !== undefined)
+      .concat(Object.keys(headers).filter(k => !HEADER_ORDER.includes(k)));
+    const lines = keys.map(k => `[${k} "${String(headers[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+    lines.push('');
+
+    // 着法按回合编号，自 FEN 的回合数起；黑方先行时首回合记为 “N. ...”
+    const fields = (record.startFen || INITIAL_FEN).split(/\s+/);
+    const blackFirst = fields[1] === 'b';
+    const tokens = [];
+    let number = Math.max(1, parseInt(fields[5], 10) || 1);
+    record.moves.forEach((m, i) => {
+      const isRed = blackFirst ? i % 2 === 1 : i % 2 === 0;
+      if (i === 0 && blackFirst) tokens.push(`${number}. ...`);
+      else if (isRed) tokens.push(`${number}.`);
+      const annotation = (record.annotations && record.annotations[i]) || {};
+      tokens.push(m + (annotation.nag || ''));
+      const comment = commentText(annotation);
+      if (comment) tokens.push(`{${comment}}`);
+      if (!isRed) number++;
+    });
+    tokens.push(headers.Result || '*');
+
+    // 每行一个回合，便于阅读
+    const moveLines = [];
+    let line = [];
+    tokens.forEach(t => {
+      if (/^\d+\.$/.test(t) && line.length) {
+        moveLines.push(line.join(' '));
+        line = [];
+      }
+      line.push(t);
+    });
+    if (line.length) moveLines.push(line.join(' '));
+    return lines.concat(moveLines).join('\n') + '\n';
+  }
+
+  /**
+   * parseText
+   * 参数：text(XQ/PGN 风格棋谱文本)
+   * 返回：{ headers, startFen, moveTexts, annotations, ply, rootComment? }
+   * 说明：moveTexts 为原始着法字符串（已去掉评注符号），需在对应局面下由 Notation.parse 解析；
+   *       annotations 与之一一对应，花括号注释与评注符号归入前一着，首着之前的注释为 rootComment；
+   *       分号起到行尾的注释忽略（花括号注释内的分号照常保留）。
+   * 错误处理：不含任何标签与着法时抛出 Error
+   */
+  function parseText(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const headers = {};
+    const headerRe = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+    const body = [];
+    src.split(/\r?\n/).forEach(line => {
+      const m = headerRe.exec(line);
+      if (m) headers[m[1]] = m[2].replace(/\\(.)/g, '$1');
+      else body.push(line);
+    });
+    const moveTexts = [];
+    const annotations = [];
+    let rootComment = '';
+    // 分号注释须在花括号之外才算，故与花括号注释一同切分，而非事先按行去除
+    (body.join('\n').match(/\{[^}]*\}?|;[^\n]*|\$\d+|[^\s{;]+/g) || []).forEach((token) => {
+      if (token[0] === ';') return;
+      const last = annotations[annotations.length - 1];
+      if (token[0] === '{') {
+        const parsed = parseComment(token.replace(/^\{|\}$/g, ''));
+        if (!last) {
+          rootComment = [rootComment, parsed.comment].filter(Boolean).join(' ');
+          return;
+        }
+        const comment = [last.comment, parsed.comment].filter(Boolean).join(' ');
+        Object.assign(last, parsed);
+        if (comment) last.comment = comment;
+        return;
+      }
+      if (/^\$\d+$/.test(token)) {
+        const nag = NAG_CODES[Number(token.slice(1)) - 1];
+        if (last && nag) last.nag = nag;
+        return;
+      }
+      const glyph = /[!?]{1,2}$/.exec(token);
+      const text = token.replace(/[!?]{1,2}$/, '').replace(/^\d+\.(\.\.)?/, '');
+      if (!text || text === '...' || RESULTS.includes(text)) return;
+      moveTexts.push(text);
+      annotations.push(glyph && GLYPHS[glyph[0]] ? { nag: glyph[0] } : {});
+    });
+    if (!Object.keys(headers).length && !moveTexts.length) throw new Error('棋谱内容为空');
+    const ply = headers.CurrentPly !== undefined ? parseInt(headers.CurrentPly, 10) : moveTexts.length;
+    delete headers.CurrentPly;
+    delete headers.Format;
+    const startFen = headers.FEN || INITIAL_FEN;
+    delete headers.FEN;
+    const record = { headers, startFen, moveTexts, annotations, ply: Number.isNaN(ply) ? moveTexts.length : ply };
+    if (rootComment) record.rootComment = rootComment;
+    return record;
+  }
+
+  const GameRecord = {
+    INITIAL_FEN,
+    GLYPHS,
+    defaultHeaders,
+    normalizeAnnotation,
+    resultOf,
+    fromEngine,
+    toText,
+    parseText,
+  };
+
+  return { GameRecord };
+});
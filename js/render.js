@@ -1,21 +1,23 @@
 /**
  * 渲染模块（Canvas）
- * 绘制棋盘、河界与九宫、棋子与提示，支持响应式尺寸。
+ * 绘制棋盘、河界与九宫、棋子与提示，分析模式下的候选着法箭头与棋盘旁的评估条，复盘的评估曲线，支持响应式尺寸。
  */
 (function () {
   let ctx = null;
   let canvas = null;
   let metrics = null; // { padding, cellW, cellH, originX, originY }
+  let evalBar = null; // 评估条画布（可选）
 
   /**
    * init
-   * 参数：canvasEl
+   * 参数：canvasEl, evalBarEl?(评估条画布)
    * 行为：初始化上下文并计算度量
    */
-  function init(canvasEl) {
+  function init(canvasEl, evalBarEl) {
     try {
       canvas = canvasEl;
       ctx = canvas.getContext('2d');
+      evalBar = evalBarEl || null;
       computeMetrics();
     } catch (err) {
       logger.error('渲染初始化失败', err);
@@ -41,12 +43,14 @@
   function resizeToContainer() {
     try {
       const parent = canvas.parentElement;
-      const maxW = parent.clientWidth - 16; // 容器内边距留余量
+      const barW = evalBar && evalBar.style.display !== 'none' ? evalBar.offsetWidth + 8 : 0;
+      const maxW = parent.clientWidth - 16 - barW; // 容器内边距与评估条留余量
       const aspect = CONFIG.canvas.height / CONFIG.canvas.width;
       const targetW = Math.min(maxW, CONFIG.canvas.width);
       const targetH = Math.round(targetW * aspect);
       canvas.width = targetW;
       canvas.height = targetH;
+      if (evalBar) evalBar.height = targetH;
       computeMetrics();
     } catch (err) {
       logger.error('Canvas自适应失败', err);
@@ -199,20 +203,248 @@
     }
   }
 
+  /** ICCS 格点（如 'e2'）转为 { row, col } */
+  function squareToGrid(square) {
+    return { row: CONFIG.rows - 1 - Number(square[1]), col: square.charCodeAt(0) - 97 };
+  }
+
+  /** 绘制棋盘标记中的高亮格点（画在棋子下方） */
+  function drawMarkupSquares(markup) {
+    try {
+      if (!markup || !markup.squares.length) return;
+      const size = Math.min(metrics.cellW, metrics.cellH) * 0.9;
+      ctx.save();
+      ctx.fillStyle = CONFIG.theme.markupSquare;
+      markup.squares.forEach((square) => {
+        const g = squareToGrid(square);
+        const { x, y } = gridToPixel(g.row, g.col);
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+      });
+      ctx.restore();
+    } catch (err) {
+      logger.error('格点标记绘制失败', err);
+    }
+  }
+
+  /**
+   * drawArrow
+   * 参数：a, b(起终点格点 { row, col }), width(线宽), head(箭头长度)
+   * 行为：以当前颜色画一支箭头，止于目标棋子边缘；调用方负责设置颜色与保存/恢复上下文
+   */
+  function drawArrow(a, b, width, head) {
+    const radius = Math.min(metrics.cellW, metrics.cellH) * 0.38;
+    const from = gridToPixel(a.row, a.col);
+    const to = gridToPixel(b.row, b.col);
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const tipX = to.x - Math.cos(angle) * radius * 0.5;
+    const tipY = to.y - Math.sin(angle) * radius * 0.5;
+    ctx.lineWidth = width;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(tipX - Math.cos(angle) * head, tipY - Math.sin(angle) * head);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(tipX, tipY);
+    ctx.lineTo(tipX - head * Math.cos(angle - Math.PI / 6), tipY - head * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(tipX - head * Math.cos(angle + Math.PI / 6), tipY - head * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /** 绘制棋盘标记中的箭头（画在棋子上方，箭头止于目标棋子边缘） */
+  function drawMarkupArrows(markup) {
+    try {
+      if (!markup || !markup.arrows.length) return;
+      const radius = Math.min(metrics.cellW, metrics.cellH) * 0.38;
+      ctx.save();
+      ctx.strokeStyle = CONFIG.theme.markupArrow;
+      ctx.fillStyle = CONFIG.theme.markupArrow;
+      markup.arrows.forEach((arrow) => {
+        drawArrow(squareToGrid(arrow.slice(0, 2)), squareToGrid(arrow.slice(2)), Math.max(3, radius * 0.22), radius * 0.6);
+      });
+      ctx.restore();
+    } catch (err) {
+      logger.error('箭头标记绘制失败', err);
+    }
+  }
+
+  /**
+   * drawCandidateArrows
+   * 参数：candidates(分析的候选着法 [{ from, to }]，按优劣排序)
+   * 行为：最佳着法最粗最浓，其后依次变细变淡；起点旁标出名次
+   */
+  function drawCandidateArrows(candidates) {
+    try {
+      if (!candidates || !candidates.length) return;
+      const radius = Math.min(metrics.cellW, metrics.cellH) * 0.38;
+      ctx.save();
+      ctx.strokeStyle = CONFIG.theme.analysisArrow;
+      ctx.fillStyle = CONFIG.theme.analysisArrow;
+      // 次序靠后的先画，最佳着法压在最上层
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        const m = candidates[i];
+        ctx.globalAlpha = Math.max(0.35, 1 - i * 0.25);
+        drawArrow(m.from, m.to, Math.max(2, radius * (0.26 - i * 0.05)), radius * (0.7 - i * 0.08));
+        const { x, y } = gridToPixel(m.from.row, m.from.col);
+        ctx.globalAlpha = 1;
+        ctx.font = '700 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.beginPath();
+        ctx.arc(x + radius * 0.75, y - radius * 0.75, 9, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.fillText(String(i + 1), x + radius * 0.75, y - radius * 0.75);
+        ctx.fillStyle = CONFIG.theme.analysisArrow;
+      }
+      ctx.restore();
+    } catch (err) {
+      logger.error('候选着法箭头绘制失败', err);
+    }
+  }
+
+  /** 评估换算为红方占比（0~1）：分数按 CONFIG.analysis.evalScale 以 logistic 曲线换算，杀棋时为 0 或 1 */
+  function evalShare(evaluation) {
+    const { score, mate } = evaluation;
+    return mate !== null ? (score > 0 ? 1 : 0) : 1 / (1 + Math.exp(-score / CONFIG.analysis.evalScale));
+  }
+
+  /**
+   * renderEvalBar
+   * 参数：evaluation({ score, mate }，红方视角，见 AI.normalizeScore；null 表示隐藏评估条)
+   * 行为：红方占比画在下方、黑方在上方，中线为均势；优势一端标出分数或杀棋回合数。
+   *       分数按 CONFIG.analysis.evalScale 以 logistic 曲线换算为占比，杀棋时占满。
+   */
+  function renderEvalBar(evaluation) {
+    try {
+      if (!evalBar) return;
+      const visible = !!evaluation;
+      if ((evalBar.style.display !== 'none') !== visible) {
+        evalBar.style.display = visible ? '' : 'none';
+        resizeToContainer();
+      }
+      if (!visible) return;
+      const bctx = evalBar.getContext('2d');
+      const w = evalBar.width;
+      const h = evalBar.height;
+      const { score, mate } = evaluation;
+      const share = evalShare(evaluation);
+      const redH = Math.round(h * share);
+      bctx.fillStyle = CONFIG.theme.evalBlack;
+      bctx.fillRect(0, 0, w, h - redH);
+      bctx.fillStyle = CONFIG.theme.evalRed;
+      bctx.fillRect(0, h - redH, w, redH);
+      bctx.strokeStyle = CONFIG.theme.boardLine;
+      bctx.lineWidth = 1;
+      bctx.beginPath();
+      bctx.moveTo(0, h / 2);
+      bctx.lineTo(w, h / 2);
+      bctx.stroke();
+      const text = mate !== null ? (mate ? `杀${Math.abs(mate)}` : '绝杀') : String(Math.abs(score));
+      bctx.fillStyle = '#fff';
+      bctx.font = '600 11px sans-serif';
+      bctx.textAlign = 'center';
+      bctx.textBaseline = share >= 0.5 ? 'bottom' : 'top';
+      bctx.fillText(text, w / 2, share >= 0.5 ? h - 4 : 4);
+    } catch (err) {
+      logger.error('评估条绘制失败', err);
+    }
+  }
+
+  /**
+   * renderEvalGraph
+   * 参数：graphEl(曲线画布), points(各局面评估 { score, mate }，红方视角，未评估的为 null),
+   *       options?({ current?(当前局面下标), marks?([{ ply, judgement }] 失误标记) })
+   * 行为：横轴为着数、纵轴按评估条同样的占比换算（上方红优），红优区域填红色、黑优区域填黑色；
+   *       失误处按等级以 CONFIG.theme.reviewMarks 的颜色打点，当前局面画竖线
+   */
+  function renderEvalGraph(graphEl, points, options = {}) {
+    try {
+      const g = graphEl.getContext('2d');
+      const w = graphEl.width;
+      const h = graphEl.height;
+      const mid = h / 2;
+      const last = Math.max(1, points.length - 1);
+      const x = i => (i / last) * w;
+      const y = ev => h - evalShare(ev) * h;
+      g.clearRect(0, 0, w, h);
+      g.fillStyle = '#fff';
+      g.fillRect(0, 0, w, h);
+      // 只连已评估的局面，遇到未评估的断开
+      const segments = [];
+      let seg = null;
+      points.forEach((ev, i) => {
+        if (!ev) {
+          seg = null;
+          return;
+        }
+        if (!seg) segments.push(seg = []);
+        seg.push({ x: x(i), y: y(ev) });
+      });
+      [[CONFIG.theme.evalRed, 0, mid], [CONFIG.theme.evalBlack, mid, h - mid]].forEach(([color, top, height]) => {
+        g.save();
+        g.beginPath();
+        g.rect(0, top, w, height);
+        g.clip();
+        g.fillStyle = color;
+        segments.forEach((pts) => {
+          g.beginPath();
+          g.moveTo(pts[0].x, mid);
+          pts.forEach(p => g.lineTo(p.x, p.y));
+          g.lineTo(pts[pts.length - 1].x, mid);
+          g.closePath();
+          g.fill();
+        });
+        g.restore();
+      });
+      g.strokeStyle = CONFIG.theme.boardLine;
+      g.lineWidth = 1;
+      g.beginPath();
+      g.moveTo(0, mid);
+      g.lineTo(w, mid);
+      g.stroke();
+      (options.marks || []).forEach(({ ply, judgement }) => {
+        if (!points[ply]) return;
+        g.fillStyle = CONFIG.theme.reviewMarks[judgement];
+        g.beginPath();
+        g.arc(x(ply), y(points[ply]), judgement === 'blunder' ? 4 : 3, 0, Math.PI * 2);
+        g.fill();
+      });
+      if (typeof options.current === 'number' && options.current >= 0) {
+        g.strokeStyle = CONFIG.theme.highlight;
+        g.lineWidth = 2;
+        g.beginPath();
+        g.moveTo(x(options.current), 0);
+        g.lineTo(x(options.current), h);
+        g.stroke();
+      }
+    } catch (err) {
+      logger.error('评估曲线绘制失败', err);
+    }
+  }
+
   /**
    * renderAll
-   * 参数：board, selection, legalMoves
-   * 行为：重绘棋盘与棋子
+   * 参数：board, selection, legalMoves, markup?({ squares, arrows }，当前着的棋盘标记，ICCS 格点),
+   *       candidates?(分析模式的候选着法 [{ from, to }]，按优劣排序)
+   * 行为：重绘棋盘、标记、棋子与候选着法箭头
    */
-  function renderAll(board, selection, legalMoves) {
+  function renderAll(board, selection, legalMoves, markup, candidates) {
     drawBoard();
+    drawMarkupSquares(markup);
     drawPieces(board, selection, legalMoves);
+    drawMarkupArrows(markup);
+    drawCandidateArrows(candidates);
   }
 
   window.Renderer = {
     init,
     resizeToContainer,
     gridToPixel,
+    getPieceLabel,
     renderAll,
+    renderEvalBar,
+    renderEvalGraph,
   };
 })();
\ No newline at end of file
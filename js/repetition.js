@@ -0,0 +1,179 @@
+/**
+ * 重复局面裁决模块
+ * 依据亚洲（中国）象棋规则对循环局面判定长将、长捉与不变作和。
+ * 复杂算法说明：
+ * - 局面以 Zobrist 哈希（含走子方）标识，自最近一次吃子起向前查找相同哈希，出现次数达到上限即构成循环；
+ * - 循环内逐方检查其全部着法：
+ *   1. 每着都将军 => 长将；
+ *   2. 每着都将军或捉子，且始终捉同一个棋子（被捉子逃开后仍跟踪其位置）并至少捉过一次 => 长捉；
+ * - “捉”：走子后新出现的、可合法吃掉对方某子的攻击，且满足以下之一：
+ *   被攻击子吃掉后无法被对方吃回（无根子），或被攻击子价值高于攻击子（如马、炮捉车）；
+ *   帅（将）与兵（卒）的攻击不算捉，攻击帅（将）与未过河的兵（卒）也不算捉；
+ * - 裁决：一方长将另一方未长将，长将方负；双方均长将作和；均未长将时，一方长捉另一方未长捉，长捉方负；其余不变作和。
+ *   规则档可关闭长将、长捉判负（改为不变作和），或规定一将一捉不按长捉论。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./rules')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { Rules } = deps;
+
+  /** 判定“捉”时比较的子力价值 */
+  const CHASE_VALUES = { K: 0, A: 2, E: 2, S: 1, H: 4, C: 4, R: 9 };
+  const SIDE_NAMES = { red: '红方', black: '黑方' };
+
+  function opposite(side) {
+    return side === 'red' ? 'black' : 'red';
+  }
+
+  function squareKey(row, col) {
+    return row * 9 + col;
+  }
+
+  /**
+   * findRepetition
+   * 参数：keys(自起始局面起各局面的哈希串，末项为当前局面), captures(各着是否吃子，与 keys[1..] 对应), limit(重复次数上限)
+   * 返回：当前局面出现次数达到 limit 时，返回上一次出现的下标；否则返回 -1
+   * 说明：吃子后子力不同，局面不可能与吃子前重复，故只向前查到最近一次吃子。
+   */
+  function findRepetition(keys, captures, limit) {
+    const last = keys.length - 1;
+    if (last < 1) return -1;
+    let count = 1;
+    let previous = -1;
+    for (let i = last - 1; i >= 0; i--) {
+      if (keys[i] === keys[last]) {
+        count++;
+        if (previous < 0) previous = i;
+      }
+      if (captures[i]) break; // keys[i] 之前的局面与当前局面子力不同
+    }
+    return count >= limit ? previous : -1;
+  }
+
+  /**
+   * isProtected
+   * 参数：board, row, col(被攻击子位置), attacker({row,col})
+   * 返回：攻击方吃掉该子后，对方能否在该格吃回（即该子是否有根）
+   */
+  function isProtected(board, row, col, attacker) {
+    const victim = board.grid[row][col];
+    const b = board.clone();
+    b.movePiece(attacker.row, attacker.col, row, col);
+    return Rules.generateLegalMoves(b, victim.side, true).some(m => m.to.row === row && m.to.col === col);
+  }
+
+  /**
+   * chasedSquares
+   * 参数：board, side(攻击方)
+   * 返回：Set<格号>，side 一方可构成“捉”的被攻击子位置
+   */
+  function chasedSquares(board, side) {
+    const out = new Set();
+    Rules.generateLegalMoves(board, side, true).forEach((m) => {
+      const attacker = board.grid[m.from.row][m.from.col];
+      const victim = board.grid[m.to.row][m.to.col];
+      if (attacker.type === 'K' || attacker.type === 'S' || victim.type === 'K') return;
+      if (victim.type === 'S' && (victim.side === 'red' ? m.to.row >= 5 : m.to.row <= 4)) return; // 未过河兵
+      const key = squareKey(m.to.row, m.to.col);
+      if (out.has(key)) return;
+      if (CHASE_VALUES[victim.type] > CHASE_VALUES[attacker.type] || !isProtected(board, m.to.row, m.to.col, m.from)) {
+        out.add(key);
+      }
+    });
+    return out;
+  }
+
+  /**
+   * newChases
+   * 参数：entry(历史记录 { before, after, side })
+   * 返回：Set<格号>，该着走后新出现的“捉”
+   */
+  function newChases(entry) {
+    const before = chasedSquares(entry.before, entry.side);
+    const after = chasedSquares(entry.after, entry.side);
+    // 走子前已被捉、且位置未变的子不算新捉
+    return new Set([...after].filter(k => !before.has(k)));
+  }
+
+  /**
+   * classifySide
+   * 参数：cycle(循环内的历史记录，按走子顺序), side, mixedCheckChase(一将一捉是否按长捉论)
+   * 返回：{ check, chase }，该方是否长将、是否长捉
+   */
+  function classifySide(cycle, side, mixedCheckChase) {
+    const own = cycle.filter(e => e.side === side);
+    if (!own.length) return { check: false, chase: false };
+    const check = own.every(e => e.check);
+    let targets = null; // 被持续捉的子当前所在格
+    let chased = false;
+    let chase = true;
+    for (const e of cycle) {
+      if (e.side !== side) {
+        // 被捉子逃开时跟踪其新位置
+        if (targets) {
+          const from = squareKey(e.move.from.row, e.move.from.col);
+          const to = squareKey(e.move.to.row, e.move.to.col);
+          if (targets.delete(from)) targets.add(to);
+        }
+        continue;
+      }
+      if (e.check) {
+        if (mixedCheckChase) continue; // 一将一捉：将军着不中断长捉
+        chase = false;
+        break;
+      }
+      const now = newChases(e);
+      if (!now.size) {
+        chase = false;
+        break;
+      }
+      chased = true;
+      targets = targets ? new Set([...targets].filter(k => now.has(k))) : now;
+      if (!targets.size) {
+        chase = false;
+        break;
+      }
+    }
+    return { check, chase: chase && chased };
+  }
+
+  /**
+   * judge
+   * 参数：cycle(自上一次出现该局面起的历史记录，每项含 { before, after, side, move, check }),
+   *       profile?(规则档 { perpetualCheckLoses, perpetualChaseLoses, mixedCheckChase }，缺省均为 true)
+   * 返回：{ loser: 'red'|'black'|null, code, reason }，loser 为 null 表示作和；
+   *       code 为 'perpetual-check' | 'perpetual-chase' | 'repetition'
+   */
+  function judge(cycle, profile = {}) {
+    const opts = Object.assign({ perpetualCheckLoses: true, perpetualChaseLoses: true, mixedCheckChase: true }, profile);
+    const red = classifySide(cycle, 'red', opts.mixedCheckChase);
+    const black = classifySide(cycle, 'black', opts.mixedCheckChase);
+    const lose = (side, code, what) => ({
+      loser: side,
+      code,
+      reason: `${SIDE_NAMES[side]}${what}作负，${SIDE_NAMES[opposite(side)]}胜！`,
+    });
+    const draw = { loser: null, code: 'repetition', reason: '局面重复，双方不变作和。' };
+    if (red.check || black.check) {
+      if (red.check && black.check) return { loser: null, code: 'repetition', reason: '双方长将，不变作和。' };
+      return opts.perpetualCheckLoses ? lose(red.check ? 'red' : 'black', 'perpetual-check', '长将') : draw;
+    }
+    if (red.chase || black.chase) {
+      if (red.chase && black.chase) return { loser: null, code: 'repetition', reason: '双方长捉，不变作和。' };
+      return opts.perpetualChaseLoses ? lose(red.chase ? 'red' : 'black', 'perpetual-chase', '长捉') : draw;
+    }
+    return draw;
+  }
+
+  const Repetition = {
+    findRepetition,
+    chasedSquares,
+    judge,
+  };
+
+  return { Repetition };
+});
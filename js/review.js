@@ -0,0 +1,189 @@
+/**
+ * 复盘分析模块
+ * 对一局棋当前一路的每个局面做一次搜索，得出局面评估随着数变化的曲线，
+ * 并按每着走后评估的下降幅度标出缓着、劣着与败着，给出该局面下搜索认为更好的着法。
+ * 搜索由调用方驱动：页面经搜索线程逐个局面搜索后以 setEvaluation 填入，Node 中可直接调用 evaluateAll。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign(
+      {}, require('./config'), require('./logger'), require('./model'), require('./ai'), require('./notation'),
+    ));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Board, AI, Notation } = deps;
+
+  /** 失误等级（按严重程度升序），nag 为对应的评注符号 */
+  const JUDGEMENTS = {
+    inaccuracy: { label: '缓着', nag: '?!' },
+    mistake: { label: '劣着', nag: '?' },
+    blunder: { label: '败着', nag: '??' },
+  };
+
+  /** 评估封顶：杀棋与大优的分数截到 ±evalCap，避免赢棋一方“杀得慢了”也算失误 */
+  function capScore(score) {
+    const cap = CONFIG.review.evalCap;
+    return Math.max(-cap, Math.min(cap, score));
+  }
+
+  /**
+   * classify
+   * 参数：drop(走子方视角的评估下降，非负)
+   * 返回：'blunder' | 'mistake' | 'inaccuracy'，未达 CONFIG.review.thresholds 的下限时为 null
+   */
+  function classify(drop) {
+    const t = CONFIG.review.thresholds;
+    if (drop >= t.blunder) return 'blunder';
+    if (drop >= t.mistake) return 'mistake';
+    if (drop >= t.inaccuracy) return 'inaccuracy';
+    return null;
+  }
+
+  /** 按记谱格式写出自 board 起的一串着法（不改动 board） */
+  function formatLine(board, moves) {
+    const b = board.clone();
+    return moves.map((m) => {
+      const text = Notation.format(b, m);
+      b.movePiece(m.from.row, m.from.col, m.to.row, m.to.col);
+      return text;
+    });
+  }
+
+  /**
+   * GameReview
+   * 方法：
+   * - GameReview.fromEngine(engine): 取引擎当前一路（自开局经当前位置、沿重做方向至末着）的全部局面
+   * - setEvaluation(index, result): 填入第 index 个局面的搜索结果（AI.search 或搜索线程 bestmove 的 { score, move, pv, depth }），
+   *   返回是否记录；有着可走却未完成一层的结果（搜索被中止）不记录，由调用方重新搜索
+   * - evaluateAll(options?, onPosition?): 在当前线程逐个局面搜索，options 同 AI.search，缺省取 CONFIG.review 的深度与时限
+   * - isComplete(): 是否所有局面都已评估
+   * - report(): 复盘结果 { points, moves, summary }，见该方法说明
+   * - GameReview.classify(drop)/GameReview.JUDGEMENTS: 失误分级与各级名称
+   * 属性：positions 为各局面 [{ board, side, fen, node, move, entry }]，move/entry 为从该局面走出的一着（末局面为 null）
+   */
+  class GameReview {
+    constructor(positions) {
+      this.positions = positions;
+      this.evaluations = positions.map(() => null);
+    }
+
+    static fromEngine(engine) {
+      const nodes = [];
+      for (let n = engine.current; n; n = n.parent) nodes.unshift(n);
+      for (let n = engine.current.next || engine.current.children[0]; n; n = n.next || n.children[0]) nodes.push(n);
+      const start = String(engine.startFen).trim().split(/\s+/);
+      const board = Board.fromFEN(start[0]);
+      let side = start[1] === 'b' ? 'black' : 'red';
+      const positions = nodes.map((node, i) => {
+        const next = nodes[i + 1];
+        const pos = {
+          board: board.clone(),
+          side,
+          fen: `${board.toFEN()} ${side === 'red' ? 'w' : 'b'} - - 0 1`,
+          node,
+          move: next ? next.entry.move : null,
+          entry: next ? next.entry : null,
+        };
+        if (next) {
+          const { from, to } = next.entry.move;
+          board.movePiece(from.row, from.col, to.row, to.col);
+          side = side === 'red' ? 'black' : 'red';
+        }
+        return pos;
+      });
+      return new GameReview(positions);
+    }
+
+    setEvaluation(index, result) {
+      if (!this.positions[index] || !result) return false;
+      if (!(result.depth > 0) && result.move) {
+        logger.warn('复盘局面的搜索未完成一层，结果不予记录', { index });
+        return false;
+      }
+      this.evaluations[index] = {
+        score: result.score, move: result.move || null, pv: result.pv || [], depth: result.depth || 0,
+      };
+      return true;
+    }
+
+    evaluateAll(options, onPosition) {
+      const opts = options || { depth: CONFIG.review.depth, timeMs: CONFIG.review.timeMs };
+      this.positions.forEach((pos, i) => {
+        try {
+          this.setEvaluation(i, AI.search(pos.board, pos.side, opts));
+          if (typeof onPosition === 'function') onPosition(i);
+        } catch (err) {
+          logger.error('复盘局面评估失败', err);
+        }
+      });
+    }
+
+    isComplete() {
+      return this.evaluations.every(Boolean);
+    }
+
+    /**
+     * report
+     * 返回：{ points, moves, summary }
+     * - points: 每个局面的评估（红方视角，见 AI.normalizeScore），未评估的为 null；下标即着数（0 为起始局面）
+     * - moves: 每着 { ply, side, fullmoveNumber, text, drop, judgement, best }；drop 为走子方视角的评估下降，
+     *   前后局面未都评估时为 null；judgement 为失误等级或 null；有失误时 best 为 { move, text, pv: [记谱] }
+     * - summary: 双方 { inaccuracy, mistake, blunder, averageDrop } 的统计，averageDrop 为平均每着的评估下降
+     */
+    report() {
+      const points = this.evaluations.map((ev, i) => (ev ? AI.normalizeScore(ev.score, this.positions[i].side) : null));
+      const moves = [];
+      const summary = {};
+      ['red', 'black'].forEach((side) => {
+        summary[side] = { inaccuracy: 0, mistake: 0, blunder: 0, averageDrop: 0, counted: 0 };
+      });
+      this.positions.forEach((pos, i) => {
+        if (!pos.move) return;
+        const before = this.evaluations[i];
+        const after = this.evaluations[i + 1];
+        let drop = null;
+        if (before && after) {
+          const played = Notation.toICCS(pos.move);
+          drop = before.move && Notation.toICCS(before.move) === played
+            ? 0
+            : Math.max(0, capScore(before.score) + capScore(after.score));
+        }
+        const judgement = drop === null ? null : classify(drop);
+        const best = judgement && before.move
+          ? { move: before.move, text: Notation.format(pos.board, before.move), pv: formatLine(pos.board, before.pv) }
+          : null;
+        moves.push({
+          ply: i + 1,
+          side: pos.side,
+          fullmoveNumber: pos.entry.fullmoveNumber,
+          text: Notation.format(pos.board, pos.move),
+          drop,
+          judgement,
+          best,
+        });
+        const stat = summary[pos.side];
+        if (judgement) stat[judgement]++;
+        if (drop !== null) {
+          stat.averageDrop += drop;
+          stat.counted++;
+        }
+      });
+      Object.keys(summary).forEach((side) => {
+        const stat = summary[side];
+        stat.averageDrop = stat.counted ? Math.round(stat.averageDrop / stat.counted) : 0;
+        delete stat.counted;
+      });
+      return { points, moves, summary };
+    }
+
+    static classify(drop) {
+      return classify(drop);
+    }
+  }
+
+  GameReview.JUDGEMENTS = JUDGEMENTS;
+
+  return { GameReview };
+});
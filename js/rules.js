@@ -2,11 +2,24 @@
  * 规则模块
  * 实现棋子走法、吃子规则、将军与将死判断，以及“飞将”规则。
  * 复杂算法说明：
- * - 走子合法性校验：先做棋子本身的几何规则判断，再模拟落子后检查是否导致己方被将或出现“飞将”。
- * - 将军判断：定位己方帅的位置，遍历对方所有棋子，检查是否能在下一步吃到该位置。
+ * - 着法生成：按棋子类型直接生成伪合法着法（车炮沿线滑行、马按马腿、相按相眼、帅士限九宫、兵按是否过河），
+ *   再在同一棋盘上“走子—检查—还原”过滤自陷被将的着法，不再克隆棋盘，也不再逐格尝试 90 个落点。
+ * - 将军判断：自帅所在格反向探测——沿四个方向找首个棋子（车、对面的将）与其后的炮架（炮），
+ *   再查看八个马位（含马腿）与相邻的兵，无需遍历对方全部棋子；“飞将”一并视为被将。
  * - 将死判断：在“被将”状态下枚举己方所有合法走子，若无则判定将死；若未被将且无合法走子则为僵局。
+ * - getGameStatus 一次生成即给出合法着法、被将、将死与僵局，供引擎与分析共用。
+ * - 子力不足：双方均无车、马、炮与兵时，任何一方都无法将死对方；未过河兵日后仍可过河进攻，也计入进攻子力
+ *   （比“无车马炮与过河兵”更严，以免把尚有胜机的局面提前判和）。
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./utils')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { Utils } = deps;
+
   /**
    * canBasicMove
    * 参数：board(Board), piece(Piece), fromRow, fromCol, toRow, toCol
@@ -108,47 +121,239 @@
     return canBasicMove(board, piece, fromRow, fromCol, toRow, toCol);
   }
 
+  /** 四个直线方向 */
+  const ORTHOGONAL = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+  /** 四个斜线方向 */
+  const DIAGONAL = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+  /** 马的走法：[行差, 列差, 马腿行差, 马腿列差]（马腿相对起点） */
+  const HORSE_STEPS = [
+    [-2, -1, -1, 0], [-2, 1, -1, 0], [2, -1, 1, 0], [2, 1, 1, 0],
+    [-1, -2, 0, -1], [1, -2, 0, -1], [-1, 2, 0, 1], [1, 2, 0, 1],
+  ];
+  /** 可攻击某格的马位：[马的行差, 列差, 马腿行差, 列差]（均相对被攻击格） */
+  const HORSE_ATTACKS = HORSE_STEPS.map(([dr, dc, lr, lc]) => [-dr, -dc, -dr + lr, -dc + lc]);
+
+  function opposite(side) {
+    return side === 'red' ? 'black' : 'red';
+  }
+
+  /**
+   * generatePieceTargets
+   * 参数：board, row, col, out(落点数组，按 {row,col} 追加)
+   * 返回：out；按棋子类型直接生成的伪合法落点（未排除自陷被将与飞将）
+   */
+  function generatePieceTargets(board, row, col, out) {
+    const g = board.grid;
+    const rows = board.rows;
+    const cols = board.cols;
+    const piece = g[row][col];
+    if (!piece) return out;
+    const side = piece.side;
+    const canLand = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols && (!g[r][c] || g[r][c].side !== side);
+
+    switch (piece.type) {
+      case 'K':
+      case 'A': {
+        // 帅直走、士斜走一步，均不出九宫
+        for (const [dr, dc] of piece.type === 'K' ? ORTHOGONAL : DIAGONAL) {
+          const r = row + dr;
+          const c = col + dc;
+          if (Utils.inPalace(r, c, side) && canLand(r, c)) out.push({ row: r, col: c });
+        }
+        break;
+      }
+      case 'E': {
+        // 相：田字，不过河，相眼无子
+        for (const [dr, dc] of DIAGONAL) {
+          const r = row + 2 * dr;
+          const c = col + 2 * dc;
+          if (side === 'red' ? r <= 4 : r >= 5) continue;
+          if (!canLand(r, c) || g[row + dr][col + dc]) continue;
+          out.push({ row: r, col: c });
+        }
+        break;
+      }
+      case 'H': {
+        // 马：日字，马腿无子
+        for (const [dr, dc, lr, lc] of HORSE_STEPS) {
+          const r = row + dr;
+          const c = col + dc;
+          if (!canLand(r, c) || g[row + lr][col + lc]) continue;
+          out.push({ row: r, col: c });
+        }
+        break;
+      }
+      case 'R': {
+        // 车：沿线滑行至首个棋子，敌子可吃
+        for (const [dr, dc] of ORTHOGONAL) {
+          let r = row + dr;
+          let c = col + dc;
+          while (r >= 0 && r < rows && c >= 0 && c < cols && !g[r][c]) {
+            out.push({ row: r, col: c });
+            r += dr;
+            c += dc;
+          }
+          if (r >= 0 && r < rows && c >= 0 && c < cols && g[r][c].side !== side) out.push({ row: r, col: c });
+        }
+        break;
+      }
+      case 'C': {
+        // 炮：不吃子时同车；隔首个棋子（炮架）后的第一个棋子若为敌子可吃
+        for (const [dr, dc] of ORTHOGONAL) {
+          let r = row + dr;
+          let c = col + dc;
+          while (r >= 0 && r < rows && c >= 0 && c < cols && !g[r][c]) {
+            out.push({ row: r, col: c });
+            r += dr;
+            c += dc;
+          }
+          r += dr;
+          c += dc;
+          while (r >= 0 && r < rows && c >= 0 && c < cols && !g[r][c]) {
+            r += dr;
+            c += dc;
+          }
+          if (r >= 0 && r < rows && c >= 0 && c < cols && g[r][c].side !== side) out.push({ row: r, col: c });
+        }
+        break;
+      }
+      case 'S': {
+        // 兵：前进一步；过河后可左右一步
+        const dir = side === 'red' ? -1 : 1;
+        if (canLand(row + dir, col)) out.push({ row: row + dir, col });
+        const crossedRiver = side === 'red' ? row <= 4 : row >= 5;
+        if (crossedRiver) {
+          if (canLand(row, col - 1)) out.push({ row, col: col - 1 });
+          if (canLand(row, col + 1)) out.push({ row, col: col + 1 });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    return out;
+  }
+
+  /**
+   * isGeneralAttacked
+   * 参数：board, row, col(帅所在格), side(帅的一方)
+   * 返回：该格的帅是否被对方攻击（含“飞将”）
+   * 说明：自帅所在格反向探测车/将、炮、马、兵四类可能的攻击来源。
+   */
+  function isGeneralAttacked(board, row, col, side) {
+    const g = board.grid;
+    const rows = board.rows;
+    const cols = board.cols;
+    const inside = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols;
+
+    // 直线：首个棋子为敌车（或同列的敌将，即飞将）；其后第二个棋子为敌炮
+    for (const [dr, dc] of ORTHOGONAL) {
+      let r = row + dr;
+      let c = col + dc;
+      while (inside(r, c) && !g[r][c]) {
+        r += dr;
+        c += dc;
+      }
+      if (!inside(r, c)) continue;
+      const first = g[r][c];
+      if (first.side !== side && (first.type === 'R' || (first.type === 'K' && dc === 0))) return true;
+      r += dr;
+      c += dc;
+      while (inside(r, c) && !g[r][c]) {
+        r += dr;
+        c += dc;
+      }
+      if (inside(r, c) && g[r][c].side !== side && g[r][c].type === 'C') return true;
+    }
+
+    // 马：八个马位，且对应马腿无子
+    for (const [hr, hc, lr, lc] of HORSE_ATTACKS) {
+      const r = row + hr;
+      const c = col + hc;
+      if (!inside(r, c)) continue;
+      const p = g[r][c];
+      if (p && p.type === 'H' && p.side !== side && !g[row + lr][col + lc]) return true;
+    }
+
+    // 兵：正前方一格，或左右一格的已过河敌兵
+    const enemy = opposite(side);
+    const ahead = row + (side === 'red' ? -1 : 1);
+    if (inside(ahead, col)) {
+      const p = g[ahead][col];
+      if (p && p.type === 'S' && p.side === enemy) return true;
+    }
+    const enemyCrossed = enemy === 'red' ? row <= 4 : row >= 5;
+    if (enemyCrossed) {
+      for (const c of [col - 1, col + 1]) {
+        if (!inside(row, c)) continue;
+        const p = g[row][c];
+        if (p && p.type === 'S' && p.side === enemy) return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * isInCheck
    * 参数：board, side('red'|'black')
-   * 返回：该方是否处于被将状态
+   * 返回：该方是否处于被将状态（两帅照面亦视为被将）
    */
   function isInCheck(board, side) {
     const kingPos = board.getGeneralPosition(side);
     if (!kingPos) return false;
-    const targetRow = kingPos.row;
-    const targetCol = kingPos.col;
-    for (let r = 0; r < board.rows; r++) {
-      for (let c = 0; c < board.cols; c++) {
-        const p = board.getPiece(r, c);
-        if (!p || p.side === side) continue;
-        if (canPieceAttackSquare(board, p, r, c, targetRow, targetCol)) {
-          // 飞将也会造成被将（若敌方帅对面），但局面非法，我们仍视为危险
-          return true;
-        }
-      }
-    }
-    return false;
+    return isGeneralAttacked(board, kingPos.row, kingPos.col, side);
+  }
+
+  /**
+   * leavesGeneralSafe
+   * 参数：board, fromRow, fromCol, toRow, toCol, side, kingPos(走子前己方帅位置)
+   * 返回：在原棋盘上走子—检查—还原后，己方帅是否未被攻击（含飞将）
+   */
+  function leavesGeneralSafe(board, fromRow, fromCol, toRow, toCol, side, kingPos) {
+    const g = board.grid;
+    const piece = g[fromRow][fromCol];
+    const captured = g[toRow][toCol];
+    g[toRow][toCol] = piece;
+    g[fromRow][fromCol] = null;
+    const safe = piece.type === 'K'
+      ? !isGeneralAttacked(board, toRow, toCol, side)
+      : !kingPos || !isGeneralAttacked(board, kingPos.row, kingPos.col, side);
+    g[fromRow][fromCol] = piece;
+    g[toRow][toCol] = captured;
+    return safe;
   }
 
   /**
    * isLegalMove
    * 参数：board, fromRow, fromCol, toRow, toCol, side
    * 返回：该走子在完整规则下是否合法
-   * 过程：先做基本几何判断 -> 模拟走子 -> 检查飞将与己方被将
+   * 过程：先做基本几何判断 -> 走子 -> 检查飞将与己方被将 -> 还原
    */
   function isLegalMove(board, fromRow, fromCol, toRow, toCol, side) {
     const piece = board.getPiece(fromRow, fromCol);
     if (!piece || piece.side !== side) return false;
     if (!canBasicMove(board, piece, fromRow, fromCol, toRow, toCol)) return false;
-    // 模拟走子
-    const nb = board.clone();
-    nb.movePiece(fromRow, fromCol, toRow, toCol);
-    // 飞将检查
-    if (isFacingGeneral(nb)) return false;
-    // 己方不得自陷被将
-    if (isInCheck(nb, side)) return false;
-    return true;
+    return leavesGeneralSafe(board, fromRow, fromCol, toRow, toCol, side, board.getGeneralPosition(side));
+  }
+
+  /**
+   * createLegalityFilter
+   * 参数：board, side
+   * 返回：(fromRow, fromCol, toRow, toCol) => 该伪合法着法走后己方帅是否安全
+   * 说明：未被将时，非帅棋子的着法只有在起点或终点与己方帅同行/同列（牵制、炮架、飞将），
+   *       或起点为帅的斜邻格（马腿）时才可能让帅受攻击，其余着法无需走子检查。
+   */
+  function createLegalityFilter(board, side) {
+    const kingPos = board.getGeneralPosition(side);
+    if (!kingPos) return (fr, fc, tr, tc) => leavesGeneralSafe(board, fr, fc, tr, tc, side, kingPos);
+    const kr = kingPos.row;
+    const kc = kingPos.col;
+    const inCheck = isGeneralAttacked(board, kr, kc, side);
+    return (fr, fc, tr, tc) => {
+      if (!inCheck && fr !== kr && fc !== kc && tr !== kr && tc !== kc
+        && !(Math.abs(fr - kr) === 1 && Math.abs(fc - kc) === 1)) return true;
+      return leavesGeneralSafe(board, fr, fc, tr, tc, side, kingPos);
+    };
   }
 
   /**
@@ -159,35 +364,46 @@
   function getLegalMovesForPiece(board, row, col) {
     const piece = board.getPiece(row, col);
     if (!piece) return [];
-    const side = piece.side;
-    const moves = [];
-    // 枚举棋盘所有格（小规模，足够快）
-    for (let r = 0; r < board.rows; r++) {
-      for (let c = 0; c < board.cols; c++) {
-        if (isLegalMove(board, row, col, r, c, side)) moves.push({ row: r, col: c });
-      }
-    }
-    return moves;
+    const isSafe = createLegalityFilter(board, piece.side);
+    return generatePieceTargets(board, row, col, []).filter(t => isSafe(row, col, t.row, t.col));
   }
 
   /**
    * generateLegalMoves
-   * 参数：board, side
+   * 参数：board, side, capturesOnly(仅生成吃子着法，供静态搜索使用)
    * 返回：[{from:{row,col}, to:{row,col}}] 当前方所有合法着法
    */
-  function generateLegalMoves(board, side) {
+  function generateLegalMoves(board, side, capturesOnly = false) {
+    const g = board.grid;
+    const isSafe = createLegalityFilter(board, side);
     const all = [];
+    const targets = [];
     for (let r = 0; r < board.rows; r++) {
       for (let c = 0; c < board.cols; c++) {
-        const p = board.getPiece(r, c);
+        const p = g[r][c];
         if (!p || p.side !== side) continue;
-        const moves = getLegalMovesForPiece(board, r, c);
-        moves.forEach(m => all.push({ from: { row: r, col: c }, to: m }));
+        targets.length = 0;
+        generatePieceTargets(board, r, c, targets);
+        for (const t of targets) {
+          if (capturesOnly && !g[t.row][t.col]) continue;
+          if (isSafe(r, c, t.row, t.col)) all.push({ from: { row: r, col: c }, to: t });
+        }
       }
     }
     return all;
   }
 
+  /**
+   * getGameStatus
+   * 参数：board, side(走子方)
+   * 返回：{ inCheck, checkmate, stalemate, moves }，只生成一次合法着法
+   */
+  function getGameStatus(board, side) {
+    const moves = generateLegalMoves(board, side);
+    const inCheck = isInCheck(board, side);
+    return { inCheck, checkmate: inCheck && !moves.length, stalemate: !inCheck && !moves.length, moves };
+  }
+
   /**
    * isCheckmate
    * 参数：board, side
@@ -210,15 +426,48 @@
     return legal.length === 0;
   }
 
-  window.Rules = {
+  /**
+   * hasAttackingMaterial
+   * 参数：board, side
+   * 返回：该方是否仍有进攻子力（车、马、炮或兵）
+   * 说明：未过河的兵仍可过河参与将死，同样算进攻子力。
+   */
+  function hasAttackingMaterial(board, side) {
+    for (let r = 0; r < board.rows; r++) {
+      for (let c = 0; c < board.cols; c++) {
+        const p = board.grid[r][c];
+        if (!p || p.side !== side) continue;
+        if (p.type === 'R' || p.type === 'H' || p.type === 'C' || p.type === 'S') return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * isInsufficientMaterial
+   * 参数：board
+   * 返回：双方均无进攻子力（只剩帅、士、相）-> 无法将死对方，判和
+   */
+  function isInsufficientMaterial(board) {
+    return !hasAttackingMaterial(board, 'red') && !hasAttackingMaterial(board, 'black');
+  }
+
+  const Rules = {
     canBasicMove,
     isFacingGeneral,
     canPieceAttackSquare,
+    isGeneralAttacked,
     isInCheck,
     isLegalMove,
     getLegalMovesForPiece,
+    generatePieceTargets,
     generateLegalMoves,
+    getGameStatus,
     isCheckmate,
     isStalemate,
+    hasAttackingMaterial,
+    isInsufficientMaterial,
   };
-})();
\ No newline at end of file
+
+  return { Rules };
+});
@@ -0,0 +1,219 @@
+/**
+ * 搜索服务模块（主线程侧）
+ * 将着法生成、局面分析与电脑搜索交由 Web Worker（js/worker.js）执行，主线程只负责渲染与交互。
+ * 方法：
+ * - analyze(fen): 局面分析，返回 Promise<{ moves, inCheck, checkmate, stalemate, elapsedMs }>
+ * - search(fen, options): 电脑搜索与局面分析，options 为 { depth, timeMs, randomness, multiPV?, onProgress? }，返回 Promise<result>
+ * - stop(): 中止当前搜索，以已完成层的结果结束
+ * - isUsingWorker(): 当前是否运行在 Worker 中
+ * 降级策略：
+ * - 浏览器不支持 Worker 或以 file:// 打开无法创建时，改为在主线程逐层推进搜索（层间让出事件循环）；
+ * - Worker 在 stop 后未能及时回复（单层耗时过长）时终止并重建线程，以最近一次 progress 作为被中止搜索的结果，
+ *   其后发出的请求转到新线程重新执行；
+ * - 线程中有搜索进行时，局面分析改在主线程完成（只生成着法，耗时很短），以免 position 消息中止该搜索（如复盘的逐局面搜索）。
+ */
+(function () {
+  const WORKER_URL = 'js/worker.js';
+  const STOP_TIMEOUT_MS = 300;
+
+  let worker = null;
+  let workerFailed = false;
+  let nextId = 1;
+  // 进行中的请求：id -> { kind, msg, resolve, reject, onProgress, last }
+  const pending = new Map();
+  // 主线程降级时的当前搜索
+  let localSearch = null;
+
+  /**
+   * getWorker
+   * 返回：可用的 Worker 实例；不可用时返回 null 并记录降级
+   */
+  function getWorker() {
+    if (worker || workerFailed) return worker;
+    try {
+      if (typeof Worker !== 'function') throw new Error('当前环境不支持 Web Worker');
+      worker = new Worker(WORKER_URL);
+      worker.onmessage = (e) => handleMessage(e.data || {});
+      worker.onerror = (e) => {
+        if (e && typeof e.preventDefault === 'function') e.preventDefault();
+        fallbackToLocal(new Error(e && e.message ? e.message : 'Worker 加载失败'));
+      };
+    } catch (err) {
+      workerFailed = true;
+      worker = null;
+      logger.warn('搜索线程不可用，改为主线程计算', err);
+    }
+    return worker;
+  }
+
+  /**
+   * fallbackToLocal
+   * 参数：err
+   * 行为：Worker 异常时停用并在主线程重跑尚未完成的请求
+   */
+  function fallbackToLocal(err) {
+    logger.warn('搜索线程异常，改为主线程计算', err);
+    if (worker) worker.terminate();
+    worker = null;
+    workerFailed = true;
+    const list = Array.from(pending.values());
+    pending.clear();
+    list.forEach((req) => runLocal(req));
+  }
+
+  /** 处理 Worker 回复 */
+  function handleMessage(data) {
+    const req = pending.get(data.id);
+    if (!req) return;
+    if (data.type === 'error') {
+      pending.delete(data.id);
+      req.reject(new Error(data.message));
+    } else if (data.type === 'analysis' && req.kind === 'analyze') {
+      pending.delete(data.id);
+      req.resolve(data);
+    } else if (data.type === 'progress' && req.kind === 'search') {
+      req.last = data;
+      if (typeof req.onProgress === 'function') req.onProgress(data);
+    } else if (data.type === 'bestmove' && req.kind === 'search') {
+      pending.delete(data.id);
+      clearTimeout(req.stopTimer);
+      req.resolve(data);
+    }
+  }
+
+  /**
+   * analyzeLocal
+   * 参数：fen
+   * 返回：与 Worker analysis 相同结构的分析结果
+   */
+  function analyzeLocal(fen) {
+    const t0 = Date.now();
+    const pos = StorageAdapter.parseFEN(fen);
+    const st = Rules.getGameStatus(pos.board, pos.sideToMove);
+    return Object.assign(st, { fen, elapsedMs: Date.now() - t0 });
+  }
+
+  /**
+   * runLocal
+   * 参数：req(请求记录)
+   * 行为：在主线程执行请求；搜索逐层推进，层间以 setTimeout 让出事件循环
+   */
+  function runLocal(req) {
+    try {
+      if (req.kind === 'analyze') {
+        req.resolve(analyzeLocal(req.msg.fen));
+        return;
+      }
+      const pos = StorageAdapter.parseFEN(req.msg.fen);
+      const s = AI.createSearch(pos.board, pos.sideToMove, Object.assign({}, req.msg, { onProgress: req.onProgress }));
+      localSearch = s;
+      const tick = () => {
+        try {
+          if (s.step()) {
+            setTimeout(tick, 0);
+            return;
+          }
+          if (localSearch === s) localSearch = null;
+          req.resolve(Object.assign({}, s.result));
+        } catch (err) {
+          req.reject(err);
+        }
+      };
+      setTimeout(tick, 0);
+    } catch (err) {
+      req.reject(err);
+    }
+  }
+
+  /**
+   * dispatch
+   * 参数：id, req(请求记录)
+   * 行为：发给 Worker 执行，Worker 不可用或局面分析遇到进行中的搜索时在主线程执行
+   */
+  function dispatch(id, req) {
+    const w = getWorker();
+    const searching = Array.from(pending.values()).some(r => r.kind === 'search');
+    if (!w || (req.kind === 'analyze' && searching)) {
+      runLocal(req);
+      return;
+    }
+    const { msg } = req;
+    pending.set(id, req);
+    w.postMessage({ type: 'position', id, fen: msg.fen });
+    if (req.kind === 'search') {
+      w.postMessage({
+        type: 'search', id, depth: msg.depth, timeMs: msg.timeMs, randomness: msg.randomness, multiPV: msg.multiPV,
+      });
+    }
+  }
+
+  /**
+   * request
+   * 参数：kind('analyze'|'search'), msg, onProgress?
+   * 返回：Promise
+   */
+  function request(kind, msg, onProgress) {
+    return new Promise((resolve, reject) => {
+      dispatch(nextId++, { kind, msg, resolve, reject, onProgress, last: null, stopTimer: null });
+    });
+  }
+
+  /** 局面分析 */
+  function analyze(fen) {
+    return request('analyze', { fen });
+  }
+
+  /** 电脑搜索 */
+  function search(fen, options = {}) {
+    return request('search', {
+      fen, depth: options.depth, timeMs: options.timeMs, randomness: options.randomness, multiPV: options.multiPV,
+    }, options.onProgress);
+  }
+
+  /**
+   * stop
+   * 行为：请求中止当前搜索；Worker 超时未回复时终止并重建，以最近一次 progress 结束请求
+   */
+  function stop() {
+    if (localSearch) {
+      localSearch.stop();
+      localSearch = null;
+    }
+    if (!worker) return;
+    const searches = Array.from(pending.entries()).filter(([, req]) => req.kind === 'search');
+    if (!searches.length) return;
+    worker.postMessage({ type: 'stop' });
+    const stopped = new Set(searches.map(([id]) => id));
+    searches.forEach(([id, req]) => {
+      clearTimeout(req.stopTimer);
+      req.stopTimer = setTimeout(() => {
+        if (!pending.has(id)) return;
+        logger.warn('搜索线程未及时停止，重建线程');
+        const list = Array.from(pending.entries());
+        pending.clear();
+        worker.terminate();
+        worker = null;
+        list.forEach(([rid, r]) => {
+          if (stopped.has(rid)) {
+            clearTimeout(r.stopTimer);
+            r.resolve(Object.assign({ move: null, score: 0, depth: 0, nodes: 0, elapsedMs: 0, pv: [], lines: [] }, r.last));
+          } else {
+            dispatch(rid, r);
+          }
+        });
+      }, STOP_TIMEOUT_MS);
+    });
+  }
+
+  /** 当前是否运行在 Worker 中 */
+  function isUsingWorker() {
+    return !!getWorker();
+  }
+
+  window.SearchService = {
+    analyze,
+    search,
+    stop,
+    isUsingWorker,
+  };
+})();
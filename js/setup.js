@@ -0,0 +1,120 @@
+/**
+ * 摆局模块
+ * 在独立的棋盘副本上摆放、移动与移除棋子并选择走子方，完成后以 FEN 交给引擎开局，
+ * 用于摆残局、排局与书上的局面。摆局期间不影响当前对局。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./logger'), require('./model'), require('./validator')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { logger, Piece, Board, Validator } = deps;
+
+  /** 棋子面板顺序（帅士相马车炮兵） */
+  const PALETTE_TYPES = ['K', 'A', 'E', 'H', 'R', 'C', 'S'];
+
+  /**
+   * BoardSetup
+   * 方法：
+   * - place(row, col, piece)/remove(row, col)/move(fromRow, fromCol, toRow, toCol): 放子、移除、挪动（帅将各只保留一个）
+   * - clear()/reset(): 清空棋盘、恢复初始布局
+   * - setSideToMove(side): 设置走子方
+   * - validate(): 开局前的合法性检查，返回 Validator.validate 的结果 { valid, errors, warnings }
+   * - toFEN(): 完整 FEN 串，交给 StorageAdapter.applyFENToEngine 开局
+   * - BoardSetup.PALETTE_TYPES: 棋子面板顺序
+   */
+  class BoardSetup {
+    /**
+     * 参数：board?(起始局面，复制后编辑，缺省为初始布局), sideToMove?('red'|'black')
+     */
+    constructor(board, sideToMove = 'red') {
+      if (board) {
+        this.board = board.clone();
+      } else {
+        this.board = new Board();
+        this.board.setupInitial();
+      }
+      this.sideToMove = sideToMove === 'black' ? 'black' : 'red';
+    }
+
+    /**
+     * place
+     * 参数：row, col, piece({ type, side } | null，null 即移除)
+     * 返回：是否放置（越界或棋子类型非法时返回 false）
+     * 说明：放帅（将）时移走同方原有的帅（将），保证每方至多一个。
+     */
+    place(row, col, piece) {
+      if (row < 0 || row >= this.board.rows || col < 0 || col >= this.board.cols) return false;
+      if (!piece) {
+        this.board.setPiece(row, col, null);
+        return true;
+      }
+      if (!PALETTE_TYPES.includes(piece.type) || (piece.side !== 'red' && piece.side !== 'black')) return false;
+      if (piece.type === 'K') {
+        const old = this.board.getGeneralPosition(piece.side);
+        if (old) this.board.setPiece(old.row, old.col, null);
+      }
+      this.board.setPiece(row, col, new Piece(piece.type, piece.side));
+      return true;
+    }
+
+    /** 移除某格的棋子 */
+    remove(row, col) {
+      return this.place(row, col, null);
+    }
+
+    /**
+     * move
+     * 参数：fromRow, fromCol, toRow, toCol
+     * 返回：是否挪动（起点无子时返回 false）；目标格原有的棋子被替换
+     */
+    move(fromRow, fromCol, toRow, toCol) {
+      const piece = this.board.getPiece(fromRow, fromCol);
+      if (!piece) return false;
+      if (fromRow === toRow && fromCol === toCol) return true;
+      this.board.setPiece(fromRow, fromCol, null);
+      if (!this.place(toRow, toCol, piece)) {
+        this.board.setPiece(fromRow, fromCol, piece);
+        return false;
+      }
+      return true;
+    }
+
+    /** 清空棋盘 */
+    clear() {
+      this.board = new Board();
+      logger.info('摆局：已清空棋盘');
+    }
+
+    /** 恢复初始布局，红方先走 */
+    reset() {
+      this.board.setupInitial();
+      this.sideToMove = 'red';
+      logger.info('摆局：已恢复初始布局');
+    }
+
+    /** 设置走子方 */
+    setSideToMove(side) {
+      this.sideToMove = side === 'black' ? 'black' : 'red';
+    }
+
+    /**
+     * validate
+     * 返回：{ valid, errors, warnings }，errors 非空时不能开局（子数、九宫与相位、兵的位置、照面、对方被将等）
+     */
+    validate() {
+      return Validator.validate(this.board, this.sideToMove);
+    }
+
+    /** 完整 FEN 串（回合计数从头开始） */
+    toFEN() {
+      return `${this.board.toFEN()} ${this.sideToMove === 'black' ? 'b' : 'w'} - - 0 1`;
+    }
+  }
+
+  BoardSetup.PALETTE_TYPES = PALETTE_TYPES;
+
+  return { BoardSetup };
+});
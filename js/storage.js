@@ -1,18 +1,189 @@
 /**
  * 存储模块
- * 提供本地存储保存/读取、JSON文件导出/导入。
+ * 提供本地存储保存/读取、JSON文件与 XQ 格式棋谱的导出/导入、XQF 棋谱导入，以及标准象棋 FEN 局面串的读写。
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign(
+      {}, require('./config'), require('./logger'), require('./model'), require('./clock'), require('./notation'),
+      require('./record'), require('./xqf'), require('./validator'),
+    ));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, logger, Board, Piece, GameClock, Notation, GameRecord, XQF, Validator } = deps;
+
+  /**
+   * engineToFEN
+   * 参数：engine(GameEngine)
+   * 返回：完整 FEN 串，如 `rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1`
+   * 说明：走子方红方记为 w、黑方记为 b；第 3、4 段在象棋中无意义，固定为 -。
+   */
+  function engineToFEN(engine) {
+    try {
+      const side = engine.sideToMove === 'black' ? 'b' : 'w';
+      return `${engine.board.toFEN()} ${side} - - ${engine.halfmoveClock} ${engine.fullmoveNumber}`;
+    } catch (err) {
+      logger.error('生成FEN失败', err);
+      return null;
+    }
+  }
+
+  /**
+   * parseFEN
+   * 参数：fen(string)
+   * 返回：{ board, sideToMove, halfmoveClock, fullmoveNumber }
+   * 说明：走子方兼容 w/r（红）与 b（黑）；缺省的计数段按 0 与 1 处理。
+   * 错误处理：格式非法时抛出 Error，由调用方记录日志
+   */
+  function parseFEN(fen) {
+    const parts = String(fen || '').trim().split(/\s+/);
+    if (!parts[0]) throw new Error('FEN 为空');
+    const board = Board.fromFEN(parts[0]);
+    const sideChar = (parts[1] || 'w').toLowerCase();
+    if (!['w', 'r', 'b'].includes(sideChar)) throw new Error(`FEN 走子方非法：${parts[1]}`);
+    const halfmoveClock = parts[4] !== undefined ? parseInt(parts[4], 10) : 0;
+    const fullmoveNumber = parts[5] !== undefined ? parseInt(parts[5], 10) : 1;
+    if (!(halfmoveClock >= 0) || !(fullmoveNumber >= 1)) throw new Error('FEN 回合计数非法');
+    return { board, sideToMove: sideChar === 'b' ? 'black' : 'red', halfmoveClock, fullmoveNumber };
+  }
+
+  /**
+   * applyFENToEngine
+   * 参数：fen(string), engine(GameEngine)
+   * 行为：按 FEN 重建棋盘、走子方与计数，清空历史与状态。
+   */
+  function applyFENToEngine(fen, engine) {
+    try {
+      const pos = parseFEN(fen);
+      resetEngine(engine, pos);
+      logger.info('读取FEN成功', { fen: String(fen).trim() });
+      return true;
+    } catch (err) {
+      logger.error('应用FEN失败', err);
+      return false;
+    }
+  }
+
+  /**
+   * resetEngine
+   * 参数：engine, pos({ board, sideToMove, halfmoveClock?, fullmoveNumber? }), headers?(棋谱标签)
+   * 行为：以给定局面替换引擎状态并作为本局起始局面，供存档、棋谱与 FEN 读取共用
+   * 错误处理：局面不合法（见 Validator.validate）时抛出 Error，其 reasons 字段为结构化原因，引擎保持不变；
+   *           仅有警告时记录日志后照常读取
+   */
+  function resetEngine(engine, pos, headers) {
+    const sideToMove = pos.sideToMove === 'black' ? 'black' : 'red';
+    const check = Validator.validate(pos.board, sideToMove);
+    if (!check.valid) {
+      const err = new Error(`局面不合法：${Validator.describe(check)}`);
+      err.reasons = check.errors;
+      throw err;
+    }
+    if (check.warnings.length) logger.warn('局面提示', { reasons: Validator.describe(check) });
+    engine.board = pos.board;
+    engine.sideToMove = sideToMove;
+    engine.halfmoveClock = pos.halfmoveClock || 0;
+    engine.fullmoveNumber = pos.fullmoveNumber || 1;
+    engine.startFen = engineToFEN(engine);
+    engine.headers = Object.assign(GameRecord.defaultHeaders(), headers || {
+      Event: engine.headers.Event, Red: engine.headers.Red, Black: engine.headers.Black, Rules: engine.headers.Rules,
+    });
+    engine.selected = null;
+    engine.resetHistory();
+    engine.gameOver = false;
+    engine.gameOverReason = '';
+    engine.result = { score: '*', reason: null };
+    engine.drawOffer = null;
+    engine.clock = new GameClock(); // 读取的对局默认不计时，存档含棋钟时随后恢复
+  }
+
+  /**
+   * replayTree
+   * 参数：engine, nodes(着法树的子节点列表 [{ move, comment?, nag?, markup?, children }]，move 为 ICCS 或 { from, to }), depth?
+   * 行为：自当前节点先序重放整棵树，结束后回到出发节点；各着的注释、评注符号与棋盘标记附到对应历史记录
+   * 错误处理：主线着法不合法时抛出 Error（已将死或困毙、无着可走时注明对局已结束）；变着不合法时跳过该分支并记录警告
+   */
+  function replayTree(engine, nodes, depth = 0) {
+    nodes.forEach((node, i) => {
+      if (!node || !node.move) return;
+      const text = typeof node.move === 'string' ? node.move : Notation.toICCS(node.move);
+      if (!engine.makeMoveFromText(text)) {
+        const onMainline = i === 0 && engine.getPath().every(k => k === 0);
+        if (onMainline) {
+          const { checkmate, stalemate } = engine.getStatus();
+          if (checkmate || stalemate) throw new Error(`对局已在第 ${depth} 着后以${checkmate ? '将死' : '困毙'}结束，其后的着法无法走出：${text}`);
+          throw new Error(`第 ${depth + 1} 着无法识别或不合法：${text}`);
+        }
+        logger.warn('变着不合法，已跳过', { ply: depth + 1, move: text });
+        return;
+      }
+      engine.annotate(node);
+      replayTree(engine, node.children || [], depth + 1);
+      engine.undo();
+    });
+  }
+
+  /**
+   * replayRecord
+   * 参数：engine, record({ headers?, startFen, moveTexts, annotations?, ply?, tree?, path? })
+   * 行为：自起始局面经规则引擎重放着法树（无 tree 时以 moveTexts 及其注解为唯一主线），
+   *       再跳到 path（缺省为主线第 ply 着）处，其后的着法可重做。
+   *       重放在引擎的浅拷贝上进行，全部成功后才把状态写回引擎。
+   *       重放期间不做重复局面、自然限着等裁决（外部棋谱可能在判和后续走），只在最终所停局面判定一次，
+   *       认输、议和等结果再按标签恢复。
+   * 错误处理：主线任一着法无法识别或不合法时抛出 Error，引擎保持读取前的对局不变
+   */
+  function replayRecord(target, record) {
+    // resetEngine 会换掉棋盘、着法树、标签与棋钟等全部可变状态，浅拷贝即不与原引擎共用
+    const engine = Object.assign(Object.create(Object.getPrototypeOf(target)), target);
+    resetEngine(engine, parseFEN(record.startFen), record.headers);
+    const level = logger.level;
+    logger.setLevel('warn'); // 重放期间不逐着输出走子日志
+    try {
+      const tree = Array.isArray(record.tree)
+        ? record.tree
+        : record.moveTexts.reduceRight((children, move, i) => [
+          Object.assign({}, record.annotations && record.annotations[i], { move, children }),
+        ], []);
+      engine.replaying = true;
+      try {
+        replayTree(engine, tree);
+      } finally {
+        engine.replaying = false;
+      }
+      const ply = Math.max(0, Math.min(record.ply === undefined ? record.moveTexts.length : record.ply, record.moveTexts.length));
+      engine.goToPath(Array.isArray(record.path) ? record.path : new Array(ply).fill(0));
+      // 认输、议和等不由棋盘得出的结果按棋谱标签恢复（仅当停在记录的终局处）
+      const headers = record.headers || {};
+      const atEnd = engine.history.length === record.moveTexts.length && !engine.getContinuation().length;
+      if (atEnd && !engine.gameOver && headers.Result && headers.Result !== '*') {
+        engine.adjudicate(headers.Result, headers.Termination);
+      }
+    } finally {
+      logger.setLevel(level);
+    }
+    Object.assign(target, engine);
+  }
+
   /**
    * serializeEngine
    * 参数：engine(GameEngine)
-   * 返回：可序列化对象 { sideToMove, grid }
-   * 说明：仅保存必要对局信息，避免历史造成文件膨胀。
+   * 返回：可序列化对象 { sideToMove, grid, fen, startFen, moves, ply, tree, path, headers, clock }
+   * 说明：moves 为自起始局面起当前一路的 ICCS 着法（含可重做部分），tree 与 path 为含全部变着的着法树与当前位置，
+   *       读取时重放以恢复悔棋/重做与变着；
+   *       clock 为双方剩余时间，读取后以暂停状态恢复；grid 保留以兼容旧存档。
    */
   function serializeEngine(engine) {
     try {
       const grid = engine.board.grid.map(row => row.map(cell => cell ? { t: cell.type, s: cell.side } : null));
-      return { sideToMove: engine.sideToMove, grid };
+      const record = GameRecord.fromEngine(engine);
+      return {
+        sideToMove: engine.sideToMove, grid, fen: engineToFEN(engine),
+        startFen: record.startFen, moves: record.moves, ply: record.ply, tree: record.tree, path: record.path,
+        headers: record.headers, clock: engine.clock.toJSON(),
+      };
     } catch (err) {
       logger.error('序列化失败', err);
       return null;
@@ -22,10 +193,26 @@
   /**
    * applyToEngine
    * 参数：data, engine
-   * 行为：将数据应用到引擎（重建棋盘），清空历史与状态。
+   * 行为：将数据应用到引擎（重建棋盘）。
+   * 说明：含着法列表时自起始局面重放以重建历史；否则优先使用 fen 字段，
+   *       仅含 grid 的旧存档按原方式读取并清空历史。
    */
   function applyToEngine(data, engine) {
     try {
+      if (data && Array.isArray(data.moves) && typeof data.startFen === 'string') {
+        const clock = data.clock ? GameClock.fromJSON(data.clock) : null;
+        replayRecord(engine, {
+          headers: data.headers, startFen: data.startFen, moveTexts: data.moves, ply: data.ply, tree: data.tree, path: data.path,
+        });
+        if (clock) engine.clock = clock;
+        logger.info('读取对局成功', { moves: data.moves.length });
+        return true;
+      }
+      if (data && typeof data.fen === 'string') {
+        resetEngine(engine, parseFEN(data.fen));
+        logger.info('读取对局成功');
+        return true;
+      }
       if (!data || !Array.isArray(data.grid)) throw new Error('无效的存档数据');
       const b = new Board();
       for (let r = 0; r < b.rows; r++) {
@@ -34,13 +221,7 @@
           b.grid[r][c] = cell ? new Piece(cell.t, cell.s) : null;
         }
       }
-      engine.board = b;
-      engine.sideToMove = data.sideToMove === 'black' ? 'black' : 'red';
-      engine.selected = null;
-      engine.history = [];
-      engine.redoStack = [];
-      engine.gameOver = false;
-      engine.gameOverReason = '';
+      resetEngine(engine, { board: b, sideToMove: data.sideToMove });
       logger.info('读取对局成功');
       return true;
     } catch (err) {
@@ -49,6 +230,24 @@
     }
   }
 
+  /**
+   * applyRecordText
+   * 参数：text(XQ 格式棋谱文本), engine
+   * 返回：是否读取成功
+   */
+  function applyRecordText(text, engine) {
+    try {
+      const record = GameRecord.parseText(text);
+      replayRecord(engine, record);
+      if (record.rootComment) logger.info('棋谱说明', { comment: record.rootComment });
+      logger.info('读取棋谱成功', { moves: record.moveTexts.length });
+      return true;
+    } catch (err) {
+      logger.error('读取棋谱失败', err);
+      return false;
+    }
+  }
+
   /** 保存到localStorage */
   function saveToLocalStorage(engine) {
     try {
@@ -76,18 +275,46 @@
     }
   }
 
+  /**
+   * applyXQFBuffer
+   * 参数：buffer(ArrayBuffer), engine
+   * 返回：是否读取成功
+   * 说明：重放含变着的整棵着法树并停在主线终局处，各着注释附到对应历史记录。
+   */
+  function applyXQFBuffer(buffer, engine) {
+    try {
+      const record = XQF.decode(buffer);
+      replayRecord(engine, Object.assign({}, record, { tree: record.tree.children }));
+      if (record.rootComment) logger.info('棋谱说明', { comment: record.rootComment });
+      logger.info('读取XQF棋谱成功', { moves: record.moveTexts.length });
+      return true;
+    } catch (err) {
+      logger.error('读取XQF棋谱失败', err);
+      return false;
+    }
+  }
+
+  /**
+   * downloadText
+   * 参数：text, filename, mime
+   * 行为：以下载方式保存文本文件
+   */
+  function downloadText(text, filename, mime) {
+    const blob = new Blob([text], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   /** 导出为文件 */
   function exportToFile(engine, filename = 'xiangqi_state.json') {
     try {
       const data = serializeEngine(engine);
       if (!data) return false;
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.click();
-      URL.revokeObjectURL(url);
+      downloadText(JSON.stringify(data, null, 2), filename, 'application/json');
       logger.info('已导出JSON文件');
       return true;
     } catch (err) {
@@ -96,7 +323,20 @@
     }
   }
 
-  /** 从文件导入 */
+  /** 导出为 XQ 格式棋谱文件 */
+  function exportRecordToFile(engine, filename = 'xiangqi_game.pgn') {
+    try {
+      const text = GameRecord.toText(GameRecord.fromEngine(engine));
+      downloadText(text, filename, 'text/plain;charset=utf-8');
+      logger.info('已导出棋谱文件');
+      return true;
+    } catch (err) {
+      logger.error('棋谱导出失败', err);
+      return false;
+    }
+  }
+
+  /** 从文件导入（JSON 存档、XQ 格式棋谱或 XQF 二进制棋谱），按文件内容而非扩展名识别格式 */
   function importFromFile(file, engine) {
     return new Promise((resolve) => {
       try {
@@ -107,15 +347,23 @@
         };
         reader.onload = () => {
           try {
-            const data = JSON.parse(reader.result);
-            const ok = applyToEngine(data, engine);
-            resolve(ok);
+            if (XQF.isXQF(reader.result)) {
+              resolve(applyXQFBuffer(reader.result, engine));
+              return;
+            }
+            // 以 { 开头视为 JSON 存档，否则按 XQ 格式棋谱读取
+            const text = new TextDecoder('utf-8').decode(reader.result).replace(/^\uFEFF/, '');
+            if (text.trim().startsWith('{')) {
+              resolve(applyToEngine(JSON.parse(text), engine));
+            } else {
+              resolve(applyRecordText(text, engine));
+            }
           } catch (err) {
             logger.error('导入解析失败', err);
             resolve(false);
           }
         };
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
       } catch (err) {
         logger.error('导入失败', err);
         resolve(false);
@@ -123,12 +371,20 @@
     });
   }
 
-  window.StorageAdapter = {
+  const StorageAdapter = {
+    engineToFEN,
+    parseFEN,
+    applyFENToEngine,
     serializeEngine,
     applyToEngine,
+    applyRecordText,
+    applyXQFBuffer,
     saveToLocalStorage,
     loadFromLocalStorage,
     exportToFile,
+    exportRecordToFile,
     importFromFile,
   };
-})();
\ No newline at end of file
+
+  return { StorageAdapter };
+});
@@ -2,7 +2,15 @@
  * 工具函数模块
  * 提供坐标转换、路径检查与通用辅助方法，避免重复代码。
  */
-(function () {
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./config')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG } = deps;
+
   /**
    * toKey
    * 参数：row(行), col(列)
@@ -84,7 +92,7 @@
     return JSON.parse(JSON.stringify(obj));
   }
 
-  window.Utils = {
+  const Utils = {
     toKey,
     inBounds,
     countPiecesBetween,
@@ -93,4 +101,6 @@
     sign,
     deepClone,
   };
-})();
\ No newline at end of file
+
+  return { Utils };
+});
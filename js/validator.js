@@ -0,0 +1,131 @@
+/**
+ * 局面合法性校验模块
+ * 检查导入、FEN 与摆局得到的局面能否在实际对局中出现，返回结构化的原因，供各读取路径拒绝或提示。
+ * 检查项：
+ * - 子数：每方帅（将）恰好一个，仕、相、马、车、炮各至多两个，兵（卒）至多五个；
+ * - 位置：帅与仕限本方九宫且仕只在斜线交点，相只在本方七个相位，兵未过河时只在本方兵行或其前一行的单数路（文件 a、c、e、g、i），不能退到兵行之后；
+ * - 局面：两帅不能照面，非走子方不能正被将军（否则走子方可直接吃帅）；
+ * - 提示：走子方已无合法着法（将死或困毙）时作为警告，局面仍可读取。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./config'), require('./rules')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, Rules } = deps;
+
+  const SIDE_NAMES = { red: '红方', black: '黑方' };
+  const PIECE_NAMES = {
+    red: { K: '帅', A: '仕', E: '相', H: '马', R: '车', C: '炮', S: '兵' },
+    black: { K: '将', A: '士', E: '象', H: '马', R: '车', C: '炮', S: '卒' },
+  };
+  /** 每方各类棋子的最多个数 */
+  const MAX_COUNTS = { K: 1, A: 2, E: 2, H: 2, R: 2, C: 2, S: 5 };
+  /** 红方（下方）的仕位与相位，黑方按上下翻转 */
+  const ADVISOR_SQUARES = [[9, 3], [9, 5], [8, 4], [7, 3], [7, 5]];
+  const ELEPHANT_SQUARES = [[9, 2], [9, 6], [7, 0], [7, 4], [7, 8], [5, 2], [5, 6]];
+
+  /** 格点的 ICCS 记法（如 e0） */
+  function squareName(row, col) {
+    return `${String.fromCharCode(97 + col)}${CONFIG.rows - 1 - row}`;
+  }
+
+  /** 把红方视角的行号换成 side 一方的行号 */
+  function ownRow(row, side) {
+    return side === 'red' ? row : CONFIG.rows - 1 - row;
+  }
+
+  /**
+   * checkPlacement
+   * 参数：piece, row, col
+   * 返回：该子不可能出现在此格时的原因代码，否则 null
+   */
+  function checkPlacement(piece, row, col) {
+    const r = ownRow(row, piece.side); // 换算为红方视角，本方底线为第 9 行
+    const inPalace = r >= 7 && col >= 3 && col <= 5;
+    const at = squares => squares.some(([sr, sc]) => sr === r && sc === col);
+    if (piece.type === 'K' && !inPalace) return 'king-position';
+    if (piece.type === 'A' && !at(ADVISOR_SQUARES)) return 'advisor-position';
+    if (piece.type === 'E' && !at(ELEPHANT_SQUARES)) return 'elephant-position';
+    if (piece.type === 'S' && (r > 6 || (r >= 5 && col % 2 === 1))) return 'soldier-position';
+    return null;
+  }
+
+  const PLACEMENT_TEXT = {
+    'king-position': '不在本方九宫内',
+    'advisor-position': '不在九宫斜线交点上',
+    'elephant-position': '不在本方相位上',
+    'soldier-position': '未过河却不在兵行上或已退到兵行之后',
+  };
+
+  /**
+   * validate
+   * 参数：board(Board), sideToMove('red'|'black')
+   * 返回：{ valid, errors, warnings }，每条原因为 { code, message, side?, square? }；
+   *       errors 非空即不合法（valid 为 false），warnings 不影响读取。
+   * 原因代码：missing-king、too-many-pieces、king-position、advisor-position、elephant-position、
+   *           soldier-position、facing-generals、opponent-in-check；警告代码：no-legal-moves
+   */
+  function validate(board, sideToMove) {
+    const errors = [];
+    const warnings = [];
+    const counts = { red: {}, black: {} };
+    for (let r = 0; r < board.rows; r++) {
+      for (let c = 0; c < board.cols; c++) {
+        const p = board.getPiece(r, c);
+        if (!p) continue;
+        counts[p.side][p.type] = (counts[p.side][p.type] || 0) + 1;
+        const code = checkPlacement(p, r, c);
+        if (code) {
+          const square = squareName(r, c);
+          errors.push({ code, side: p.side, square, message: `${square} 的${SIDE_NAMES[p.side]}${PIECE_NAMES[p.side][p.type]}${PLACEMENT_TEXT[code]}` });
+        }
+      }
+    }
+    ['red', 'black'].forEach((side) => {
+      if (!counts[side].K) {
+        errors.push({ code: 'missing-king', side, message: `${SIDE_NAMES[side]}缺少${PIECE_NAMES[side].K}` });
+      }
+      Object.keys(MAX_COUNTS).forEach((type) => {
+        const n = counts[side][type] || 0;
+        if (n > MAX_COUNTS[type]) {
+          errors.push({
+            code: 'too-many-pieces', side,
+            message: `${SIDE_NAMES[side]}${PIECE_NAMES[side][type]}有 ${n} 个，至多 ${MAX_COUNTS[type]} 个`,
+          });
+        }
+      });
+    });
+    // 缺帅或多帅时不再做将军相关的检查
+    if (counts.red.K === 1 && counts.black.K === 1) {
+      const opponent = sideToMove === 'red' ? 'black' : 'red';
+      if (Rules.isFacingGeneral(board)) {
+        errors.push({ code: 'facing-generals', message: '双方帅将照面' });
+      } else if (Rules.isInCheck(board, opponent)) {
+        errors.push({ code: 'opponent-in-check', side: opponent, message: `轮到${SIDE_NAMES[sideToMove]}走子，${SIDE_NAMES[opponent]}却正被将军` });
+      }
+      if (!errors.length && !Rules.generateLegalMoves(board, sideToMove).length) {
+        warnings.push({ code: 'no-legal-moves', side: sideToMove, message: `${SIDE_NAMES[sideToMove]}已无合法着法` });
+      }
+    }
+    return { valid: !errors.length, errors, warnings };
+  }
+
+  /**
+   * describe
+   * 参数：result(validate 的返回值)
+   * 返回：供日志与界面显示的原因文本（以分号连接），无原因时为空串
+   */
+  function describe(result) {
+    return result.errors.concat(result.warnings).map(r => r.message).join('；');
+  }
+
+  const Validator = {
+    validate,
+    describe,
+  };
+
+  return { Validator };
+});
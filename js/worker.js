@@ -0,0 +1,99 @@
+/**
+ * 搜索线程（Web Worker）入口
+ * 在独立线程中运行规则与搜索代码，主线程只负责渲染与交互。
+ * 消息协议（主线程 -> 线程）：
+ * - { type: 'position', id, fen }：设置局面，并回复该局面的分析结果 analysis；
+ * - { type: 'search', id, depth, timeMs, randomness, multiPV }：在当前局面上搜索，逐层回复 progress，结束时回复 bestmove；
+ * - { type: 'stop' }：在当前层结束后停止搜索，立即以已完成层的结果回复 bestmove。
+ * 消息协议（线程 -> 主线程）：
+ * - { type: 'ready' }：脚本加载完成；
+ * - { type: 'analysis', id, fen, moves, inCheck, checkmate, stalemate, elapsedMs }：全部合法着法与将军/将死/困毙状态；
+ * - { type: 'progress', id, depth, score, pv, lines, nodes, elapsedMs }：每完成一层迭代加深，lines 为前 multiPV 条候选变例；
+ * - { type: 'bestmove', id, move, score, depth, pv, lines, nodes, elapsedMs }：搜索结束；
+ * - { type: 'error', id, message }：处理失败。
+ * 说明：共用模块加载时将导出挂到线程全局对象 self，按页面相同顺序加载即可。
+ */
+importScripts('config.js', 'logger.js', 'utils.js', 'model.js', 'rules.js', 'zobrist.js', 'ai.js');
+
+(function () {
+  let board = null;
+  let side = 'red';
+  let running = null; // 当前搜索 { id, search }
+
+  /**
+   * setPosition
+   * 参数：fen
+   * 行为：解析 FEN 的布局与走子方段，更新线程内局面
+   */
+  function setPosition(fen) {
+    const parts = String(fen).trim().split(/\s+/);
+    board = Board.fromFEN(parts[0]);
+    side = parts[1] === 'b' ? 'black' : 'red';
+  }
+
+  /**
+   * analyze
+   * 返回：当前局面的合法着法与状态，用于主线程的落点提示与状态栏
+   */
+  function analyze() {
+    const t0 = Date.now();
+    const st = Rules.getGameStatus(board, side);
+    return Object.assign(st, { elapsedMs: Date.now() - t0 });
+  }
+
+  /** 结束当前搜索并回复 bestmove */
+  function finish() {
+    if (!running) return;
+    const { id, search } = running;
+    running = null;
+    self.postMessage(Object.assign({ type: 'bestmove', id }, search.result));
+  }
+
+  /**
+   * startSearch
+   * 参数：msg({ id, depth, timeMs, randomness, multiPV })
+   * 行为：逐层迭代加深，层间以 setTimeout 让出线程以便处理 stop 消息
+   */
+  function startSearch(msg) {
+    const search = AI.createSearch(board, side, {
+      depth: msg.depth,
+      timeMs: msg.timeMs,
+      randomness: msg.randomness,
+      multiPV: msg.multiPV,
+      onProgress: (r) => self.postMessage(Object.assign({ type: 'progress', id: msg.id }, r)),
+    });
+    running = { id: msg.id, search };
+    const tick = () => {
+      if (!running || running.search !== search) return;
+      if (search.step()) setTimeout(tick, 0);
+      else finish();
+    };
+    tick();
+  }
+
+  self.onmessage = (e) => {
+    const msg = e.data || {};
+    try {
+      if (msg.type === 'position') {
+        if (running) {
+          running.search.stop();
+          finish();
+        }
+        setPosition(msg.fen);
+        self.postMessage(Object.assign({ type: 'analysis', id: msg.id, fen: msg.fen }, analyze()));
+      } else if (msg.type === 'search') {
+        if (!board) throw new Error('尚未设置局面');
+        startSearch(msg);
+      } else if (msg.type === 'stop') {
+        if (running) {
+          running.search.stop();
+          finish();
+        }
+      }
+    } catch (err) {
+      self.postMessage({ type: 'error', id: msg.id, message: String(err && err.message || err) });
+    }
+  };
+
+  self.postMessage({ type: 'ready' });
+})();
@@ -0,0 +1,240 @@
+/**
+ * XQF 棋谱解码模块
+ * 解析常见中文象棋软件使用的 XQF 二进制棋谱（含 1.0 与 1.1 以后的加密版本）。
+ * 文件结构：
+ * - 0～1023 字节为文件头：标识 "XQ"、版本号、密钥字段、32 枚棋子初始位置、先行方、结果与标题/赛事/对局者等 Pascal 字符串（GBK 编码）；
+ * - 1024 字节起为着法树，按先序排列：每个节点 4 字节（起点、终点、标志、保留），必要时后随 4 字节注释长度与注释文本。
+ * 加密说明：
+ * - 版本 ≤ 10 无加密，节点标志 0xF0 表示有后续着、0x0F 表示有变着，且每个节点都带注释长度；
+ * - 版本 > 10 由文件头密钥推导 KeyXY/KeyXYf/KeyXYt/KeyRMKSize：棋子位置减 KeyXY（版本 ≥ 12 还需循环移位），
+ *   着法起终点分别减 KeyXYf/KeyXYt，注释长度减 KeyRMKSize；节点标志 0x80 有后续着、0x40 有变着、0x20 有注释；
+ *   文件头之后的全部字节另需按位置减去由版权串与 KeyOrA～D 生成的 32 字节密钥流。
+ * 坐标说明：位置字节为 x * 10 + y，x 为自红方左起的列（0～8），y 为自红方底线起的行（0～9），大于 89 表示棋子不在盘上。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./config'), require('./model'), require('./notation')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG, Board, Piece, Notation } = deps;
+
+  const HEADER_SIZE = 1024;
+  const COPYRIGHT = '[(C) Copyright Mr. Dong Shiwei.]';
+  /** 32 枚棋子的初始位置顺序：红方 0～15，黑方 16～31 */
+  const PIECE_ORDER = ['R', 'H', 'E', 'A', 'K', 'A', 'E', 'H', 'R', 'C', 'C', 'S', 'S', 'S', 'S', 'S'];
+  /** 文件头中先行方（0 红、1 黑）与结果的偏移 */
+  const WHO_PLAY_OFFSET = 50;
+  const RESULT_OFFSET = 51;
+  const RESULTS = { 1: '1-0', 2: '0-1', 3: '1/2-1/2' };
+  /** 文件头中的 Pascal 字符串字段：[标签, 偏移] */
+  const TEXT_FIELDS = [
+    ['Title', 80], ['Event', 208], ['Date', 272], ['Site', 288], ['Red', 304], ['Black', 320],
+    ['TimeControl', 336], ['Annotator', 464], ['Author', 480],
+  ];
+
+  /** 对 x 求 x*x*54+221，XQF 密钥推导所用 */
+  function square54Plus221(x) {
+    return x * x * 54 + 221;
+  }
+
+  /**
+   * deriveKeys
+   * 参数：bytes(Uint8Array 文件内容)
+   * 返回：{ version, keyXY, keyXYf, keyXYt, keyRMKSize, f32Keys }
+   */
+  function deriveKeys(bytes) {
+    const version = bytes[2];
+    const keys = { version, keyXY: 0, keyXYf: 0, keyXYt: 0, keyRMKSize: 0, f32Keys: new Uint8Array(32) };
+    if (version <= 10) return keys;
+    const keyMask = bytes[3];
+    const keysSum = bytes[12];
+    keys.keyXY = (square54Plus221(bytes[13]) * bytes[13]) & 0xff;
+    keys.keyXYf = (square54Plus221(bytes[14]) * keys.keyXY) & 0xff;
+    keys.keyXYt = (square54Plus221(bytes[15]) * keys.keyXYf) & 0xff;
+    keys.keyRMKSize = ((keysSum * 256 + bytes[13]) % 32000) + 767;
+    const keyBytes = [8, 9, 10, 11].map(i => (keysSum & keyMask) | bytes[i]);
+    for (let i = 0; i < 32; i++) keys.f32Keys[i] = COPYRIGHT.charCodeAt(i) & keyBytes[i % 4];
+    return keys;
+  }
+
+  /**
+   * decodeText
+   * 参数：bytes
+   * 返回：按 GBK 解码的字符串（环境不支持 GBK 时退回 UTF-8）
+   */
+  function decodeText(bytes) {
+    let decoder = null;
+    try {
+      decoder = new TextDecoder('gbk');
+    } catch (err) {
+      decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(bytes).replace(/\0+$/, '');
+  }
+
+  /** 读取文件头中的 Pascal 字符串（首字节为长度） */
+  function readPascalString(bytes, offset) {
+    const len = Math.min(bytes[offset], 63);
+    return decodeText(bytes.subarray(offset + 1, offset + 1 + len)).trim();
+  }
+
+  /** 位置字节转棋盘坐标，不在盘上时返回 null */
+  function toSquare(xy) {
+    if (xy > 89) return null;
+    return { row: CONFIG.rows - 1 - (xy % 10), col: Math.floor(xy / 10) };
+  }
+
+  /**
+   * readBoard
+   * 参数：bytes, keys
+   * 返回：初始局面 Board
+   */
+  function readBoard(bytes, keys) {
+    const raw = bytes.subarray(16, 48);
+    const xy = new Uint8Array(32);
+    if (keys.version >= 12) {
+      for (let i = 0; i < 32; i++) xy[(i + keys.keyXY + 1) & 0x1f] = raw[i];
+    } else {
+      xy.set(raw);
+    }
+    const board = new Board();
+    for (let i = 0; i < 32; i++) {
+      const sq = toSquare((xy[i] - keys.keyXY) & 0xff);
+      if (!sq) continue;
+      board.setPiece(sq.row, sq.col, new Piece(PIECE_ORDER[i % 16], i < 16 ? 'red' : 'black'));
+    }
+    return board;
+  }
+
+  /**
+   * createStepReader
+   * 参数：bytes, keys
+   * 返回：{ next() }，依次读出着法节点 { from, to, hasNext, hasVariation, comment }，读尽时返回 null
+   */
+  function createStepReader(bytes, keys) {
+    let pos = HEADER_SIZE;
+    const readBytes = (n) => {
+      if (pos + n > bytes.length) throw new Error('XQF 着法数据不完整');
+      const out = new Uint8Array(n);
+      for (let i = 0; i < n; i++, pos++) out[i] = (bytes[pos] - keys.f32Keys[pos % 32]) & 0xff;
+      return out;
+    };
+    const readInt = () => {
+      const b = readBytes(4);
+      return (b[0] | (b[1] << 8) | (b[2] << 16) | (b[3] << 24)) >>> 0;
+    };
+    return {
+      next() {
+        if (pos + 4 > bytes.length) return null;
+        const step = readBytes(4);
+        const fromXY = (step[0] - 24 - keys.keyXYf) & 0xff;
+        const toXY = (step[1] - 32 - keys.keyXYt) & 0xff;
+        const flag = step[2];
+        let hasNext;
+        let hasVariation;
+        let commentLen = 0;
+        if (keys.version <= 10) {
+          hasNext = (flag & 0xf0) !== 0;
+          hasVariation = (flag & 0x0f) !== 0;
+          commentLen = readInt();
+        } else {
+          hasNext = (flag & 0x80) !== 0;
+          hasVariation = (flag & 0x40) !== 0;
+          if (flag & 0x20) commentLen = (readInt() - keys.keyRMKSize) >>> 0;
+        }
+        if (commentLen > bytes.length - pos) throw new Error('XQF 注释长度非法');
+        const comment = commentLen ? decodeText(readBytes(commentLen)).trim() : '';
+        return { from: toSquare(fromXY), to: toSquare(toXY), hasNext, hasVariation, comment };
+      },
+    };
+  }
+
+  /**
+   * readMoveTree
+   * 参数：bytes, keys
+   * 返回：根节点 { move: null, comment, children: [{ move: {from,to}, comment, children }] }
+   * 说明：节点按先序存放，先读当前着的后续着（子树），再读其变着（兄弟），以显式栈避免深递归。
+   */
+  function readMoveTree(bytes, keys) {
+    const reader = createStepReader(bytes, keys);
+    const first = reader.next();
+    const root = { move: null, comment: first ? first.comment : '', children: [] };
+    if (!first || !first.hasNext) return root;
+    const pending = [root];
+    while (pending.length) {
+      const parent = pending.pop();
+      const step = reader.next();
+      if (!step) break;
+      const node = {
+        move: step.from && step.to ? { from: step.from, to: step.to } : null,
+        comment: step.comment,
+        children: [],
+      };
+      parent.children.push(node);
+      // 兄弟（变着）后于子树读取，故先入栈
+      if (step.hasVariation) pending.push(parent);
+      if (step.hasNext) pending.push(node);
+    }
+    return root;
+  }
+
+  /**
+   * isXQF
+   * 参数：buffer
+   * 返回：是否以 XQF 文件标识 "XQ" 开头
+   */
+  function isXQF(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    return bytes.length >= HEADER_SIZE && bytes[0] === 0x58 && bytes[1] === 0x51;
+  }
+
+  /**
+   * decode
+   * 参数：buffer(ArrayBuffer | Uint8Array)
+   * 返回：{ headers, startFen, moveTexts, ply, comments, rootComment, tree }
+   * - moveTexts: 主线着法（ICCS），可直接交由 StorageAdapter 重放
+   * - comments: 与主线着法一一对应的注释
+   * - tree: 含全部变着的着法树
+   * 错误处理：文件标识或结构非法时抛出 Error
+   */
+  function decode(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (!isXQF(bytes)) throw new Error('不是有效的 XQF 文件');
+    const keys = deriveKeys(bytes);
+    const board = readBoard(bytes, keys);
+    const tree = readMoveTree(bytes, keys);
+
+    const headers = { Result: RESULTS[bytes[RESULT_OFFSET]] || '*' };
+    TEXT_FIELDS.forEach(([name, offset]) => {
+      const value = readPascalString(bytes, offset);
+      if (value) headers[name] = value;
+    });
+    if (!headers.Event && headers.Title) headers.Event = headers.Title;
+
+    // 主线：逐层取第一个子节点
+    const moveTexts = [];
+    const comments = [];
+    for (let node = tree.children[0]; node && node.move; node = node.children[0]) {
+      moveTexts.push(Notation.toICCS(node.move));
+      comments.push(node.comment);
+    }
+
+    // 先行方取文件头记录；与主线首着的走子方不符时以首着为准，否则着法无法重放
+    const firstMove = tree.children[0] && tree.children[0].move;
+    const mover = firstMove ? board.getPiece(firstMove.from.row, firstMove.from.col) : null;
+    const recorded = bytes[WHO_PLAY_OFFSET] === 1 ? 'black' : 'red';
+    const side = (mover ? mover.side : recorded) === 'black' ? 'b' : 'w';
+    const startFen = `${board.toFEN()} ${side} - - 0 1`;
+
+    return { headers, startFen, moveTexts, ply: moveTexts.length, comments, rootComment: tree.comment, tree };
+  }
+
+  const XQF = {
+    decode,
+    isXQF,
+  };
+
+  return { XQF };
+});
@@ -0,0 +1,121 @@
+/**
+ * 局面哈希模块（Zobrist）
+ * 为每个“棋子类型 × 颜色 × 格点”以及“黑方走子”分配固定的随机键，局面哈希为相应键的异或。
+ * 说明：
+ * - 使用两组 32 位整数（lo/hi）组合为 64 位哈希，避免依赖 BigInt；
+ * - 随机数由固定种子生成，保证不同会话、不同线程（Web Worker）中同一局面的哈希一致；
+ * - 走子时可按“移出起点、移入终点、移除被吃子、切换走子方”增量更新。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./config')));
+  } else {
+    Object.assign(root, factory(root));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  const { CONFIG } = deps;
+
+  const TYPES = ['K', 'A', 'E', 'H', 'R', 'C', 'S'];
+  const SQUARES = CONFIG.rows * CONFIG.cols;
+  const KEY_COUNT = TYPES.length * 2 * SQUARES;
+
+  /**
+   * mulberry32
+   * 参数：seed(32 位整数)
+   * 返回：返回 32 位无符号随机整数的生成函数
+   */
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return (t ^ (t >>> 14)) >>> 0;
+    };
+  }
+
+  const rand = mulberry32(0x5851f42d);
+  const KEYS_LO = new Uint32Array(KEY_COUNT);
+  const KEYS_HI = new Uint32Array(KEY_COUNT);
+  for (let i = 0; i < KEY_COUNT; i++) {
+    KEYS_LO[i] = rand();
+    KEYS_HI[i] = rand();
+  }
+  const SIDE_LO = rand();
+  const SIDE_HI = rand();
+
+  /**
+   * keyIndex
+   * 参数：piece(Piece), row, col
+   * 返回：该棋子在该格点的随机键下标
+   */
+  function keyIndex(piece, row, col) {
+    const t = TYPES.indexOf(piece.type) * 2 + (piece.side === 'red' ? 0 : 1);
+    return t * SQUARES + row * CONFIG.cols + col;
+  }
+
+  /**
+   * hashBoard
+   * 参数：board(Board), side(走子方)
+   * 返回：{ lo, hi } 完整局面哈希
+   */
+  function hashBoard(board, side) {
+    let lo = 0;
+    let hi = 0;
+    for (let r = 0; r < board.rows; r++) {
+      for (let c = 0; c < board.cols; c++) {
+        const p = board.grid[r][c];
+        if (!p) continue;
+        const i = keyIndex(p, r, c);
+        lo ^= KEYS_LO[i];
+        hi ^= KEYS_HI[i];
+      }
+    }
+    if (side === 'black') {
+      lo ^= SIDE_LO;
+      hi ^= SIDE_HI;
+    }
+    return { lo: lo >>> 0, hi: hi >>> 0 };
+  }
+
+  /**
+   * applyMove
+   * 参数：hash({lo,hi}), piece(走动棋子), move({from,to}), captured(Piece|null)
+   * 返回：走子后的新哈希（含走子方切换），原哈希不变
+   */
+  function applyMove(hash, piece, move, captured) {
+    const a = keyIndex(piece, move.from.row, move.from.col);
+    const b = keyIndex(piece, move.to.row, move.to.col);
+    let lo = hash.lo ^ KEYS_LO[a] ^ KEYS_LO[b] ^ SIDE_LO;
+    let hi = hash.hi ^ KEYS_HI[a] ^ KEYS_HI[b] ^ SIDE_HI;
+    if (captured) {
+      const c = keyIndex(captured, move.to.row, move.to.col);
+      lo ^= KEYS_LO[c];
+      hi ^= KEYS_HI[c];
+    }
+    return { lo: lo >>> 0, hi: hi >>> 0 };
+  }
+
+  /**
+   * toHex
+   * 参数：hash({lo,hi})
+   * 返回：16 位十六进制字符串，便于作为 Map 键或写入存档
+   */
+  function toHex(hash) {
+    return hash.hi.toString(16).padStart(8, '0') + hash.lo.toString(16).padStart(8, '0');
+  }
+
+  const Zobrist = {
+    keyIndex,
+    hashBoard,
+    applyMove,
+    toHex,
+    KEYS_LO,
+    KEYS_HI,
+    SIDE_LO,
+    SIDE_HI,
+  };
+
+  return { Zobrist };
+});
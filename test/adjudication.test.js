@@ -0,0 +1,150 @@
+/**
+ * 对局裁决回归测试：各规则档对长将、长捉与困毙的差异，自然限着与子力不足，认输与议和，以及棋谱往返后的结果
+ * （重复局面的基本判定见 repetition.test.js）
+ * 局面以 FEN 布局段给出，着法使用 ICCS 记谱。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, Board, GameEngine, GameRecord, Repetition, Rules, StorageAdapter, logger } = require('../js');
+
+logger.setLevel('warn');
+
+const PERPETUAL_CHECK = ['a7a8', 'e8e9', 'a8a9', 'e9e8', 'a9a8', 'e8e9', 'a8a9', 'e9e8', 'a9a8'];
+
+/** ICCS 着法转 { from, to } */
+function move(text) {
+  const sq = s => ({ row: 9 - Number(s[1]), col: s.charCodeAt(0) - 97 });
+  return { from: sq(text.slice(0, 2)), to: sq(text.slice(2)) };
+}
+
+/** 以给定布局（红方先走）与规则档开局，并依次走完 moves，返回引擎 */
+function play(placement, moves, profile = 'cxa') {
+  const engine = new GameEngine();
+  engine.headers.Rules = profile;
+  engine.board = Board.fromFEN(placement);
+  engine.sideToMove = 'red';
+  moves.forEach((text) => {
+    assert.equal(engine.makeMoveFromText(text), true, text);
+  });
+  return engine;
+}
+
+test('规则档：休闲规则下长将不判负', () => {
+  const engine = play('9/4k4/R8/9/9/9/9/9/9/3K5', PERPETUAL_CHECK, 'casual');
+  assert.equal(engine.gameOverReason, '局面重复，双方不变作和。');
+  assert.deepEqual(engine.result, { score: '1/2-1/2', reason: 'repetition' });
+});
+
+test('规则档：困毙在协会规则下判负，在休闲规则下作和', () => {
+  const cxa = play('3k5/9/R8/9/4R4/9/9/9/9/5K3', ['a7a8']);
+  assert.equal(cxa.gameOverReason, '黑方困毙，红方胜！');
+  assert.deepEqual(cxa.result, { score: '1-0', reason: 'stalemate' });
+
+  const casual = play('3k5/9/R8/9/4R4/9/9/9/9/5K3', ['a7a8'], 'casual');
+  assert.equal(casual.gameOverReason, '双方僵局，无合法着法。');
+  assert.deepEqual(casual.result, { score: '1/2-1/2', reason: 'stalemate' });
+});
+
+test('规则档：一将一捉在协会规则下按长捉论，在亚洲规则下不论', () => {
+  const idle = Board.fromFEN('5k3/9/9/9/9/9/9/9/9/3K5');
+  const cycle = [
+    { side: 'red', check: true, before: idle, after: idle, move: move('h4f4') },
+    { side: 'black', check: false, before: idle, after: idle, move: move('f9e9') },
+    {
+      side: 'red', check: false, move: move('h6h5'),
+      before: Board.fromFEN('5k3/9/9/7R1/2c6/9/9/9/9/3K5'), after: Board.fromFEN('5k3/9/9/9/2c4R1/9/9/9/9/3K5'),
+    },
+    { side: 'black', check: false, before: idle, after: idle, move: move('c5c6') },
+  ];
+  const { cxa, axf } = CONFIG.rules.profiles;
+  assert.deepEqual(Repetition.judge(cycle, cxa), { loser: 'red', code: 'perpetual-chase', reason: '红方长捉作负，黑方胜！' });
+  assert.deepEqual(Repetition.judge(cycle, axf), { loser: null, code: 'repetition', reason: '局面重复，双方不变作和。' });
+});
+
+test('规则档随棋谱保存，新局采用默认规则档', () => {
+  const engine = new GameEngine();
+  assert.equal(engine.headers.Rules, CONFIG.rules.profile);
+  engine.headers.Rules = 'axf';
+  const text = GameRecord.toText(GameRecord.fromEngine(engine));
+  assert.match(text, /\[Rules "axf"\]/);
+  assert.equal(GameRecord.parseText(text).headers.Rules, 'axf');
+});
+
+test('自然限着：规则档回合数内无吃子作和，吃子后重新计数', () => {
+  const engine = new GameEngine();
+  engine.headers.Rules = 'cxa';
+  engine.board = Board.fromFEN('5k3/9/9/9/9/9/9/9/r8/3K3R1');
+  engine.halfmoveClock = 116;
+  assert.equal(engine.getDrawStatus().movesToLimit, 2);
+  assert.equal(engine.makeMoveFromText('h0h1'), true);
+  assert.equal(engine.makeMoveFromText('a1a2'), true);
+  assert.equal(engine.getDrawStatus().movesToLimit, 1);
+  assert.equal(engine.makeMoveFromText('h1h2'), true);
+  assert.equal(engine.gameOver, false);
+  assert.equal(engine.makeMoveFromText('a2h2'), true); // 吃子，重新计数
+  assert.equal(engine.getStatus().movesToLimit, 60);
+
+  const limited = new GameEngine();
+  limited.headers.Rules = 'cxa';
+  limited.board = Board.fromFEN('5k3/9/9/9/9/9/9/9/r8/3K3R1');
+  limited.halfmoveClock = 118;
+  assert.equal(limited.makeMoveFromText('h0h1'), true);
+  assert.equal(limited.gameOver, false);
+  assert.equal(limited.makeMoveFromText('a1a2'), true);
+  assert.equal(limited.gameOverReason, '双方60回合未吃子，按自然限着作和。');
+  assert.deepEqual(limited.result, { score: '1/2-1/2', reason: 'move-limit' });
+
+  const casual = new GameEngine();
+  casual.headers.Rules = 'casual';
+  assert.deepEqual(casual.getDrawStatus().movesToLimit, null);
+});
+
+test('子力不足：双方均无车马炮兵时作和', () => {
+  assert.equal(Rules.isInsufficientMaterial(Board.fromFEN('3ak4/4a4/4b4/9/9/9/9/9/4A4/2BK5')), true);
+  assert.equal(Rules.isInsufficientMaterial(Board.fromFEN('3ak4/4a4/4b4/4P4/9/9/9/9/4A4/3K5')), false);
+  // 未过河的兵仍可过河将死对方，帅兵对单将不是死和
+  assert.equal(Rules.isInsufficientMaterial(Board.fromFEN('4k4/9/9/9/9/9/4P4/9/9/3K5')), false);
+  assert.equal(Rules.isInsufficientMaterial(Board.fromFEN('3ak4/4a4/4b4/4p4/9/9/9/9/4A4/3K5')), false);
+  assert.equal(Rules.isInsufficientMaterial(Board.fromFEN('3ak4/9/9/9/9/9/9/9/9/3K4c')), false);
+
+  const engine = play('3a1k3/9/4R4/9/9/9/9/9/9/3K5', ['e7e8', 'd9e8']);
+  assert.equal(engine.gameOverReason, '双方均无进攻子力，判和。');
+  assert.equal(engine.getStatus().insufficientMaterial, true);
+});
+
+test('认输：结果与原因代码记入棋谱，读取后恢复', () => {
+  const engine = new GameEngine();
+  assert.equal(engine.makeMoveFromText('h2e2'), true);
+  assert.equal(engine.resign('black'), true);
+  assert.equal(engine.gameOverReason, '黑方认输，红方胜！');
+  assert.deepEqual(engine.result, { score: '1-0', reason: 'resign' });
+  assert.equal(engine.makeMoveFromText('h9g7'), false);
+  assert.equal(engine.resign('red'), false);
+
+  const text = GameRecord.toText(GameRecord.fromEngine(engine));
+  assert.match(text, /\[Result "1-0"\]/);
+  assert.match(text, /\[Termination "resign"\]/);
+  const loaded = new GameEngine();
+  assert.equal(StorageAdapter.applyRecordText(text, loaded), true);
+  assert.equal(loaded.gameOver, true);
+  assert.deepEqual(loaded.result, { score: '1-0', reason: 'resign' });
+  assert.equal(loaded.gameOverReason, '黑方认输，红方胜！');
+});
+
+test('议和：提和方不能自行同意，对方走子即视为拒绝', () => {
+  const engine = new GameEngine();
+  assert.equal(engine.offerDraw('red'), true);
+  assert.equal(engine.acceptDraw('red'), false);
+  assert.equal(engine.makeMoveFromText('h2e2'), true);
+  assert.equal(engine.drawOffer, 'red'); // 提和方自己走子，提和仍有效
+  assert.equal(engine.makeMoveFromText('h9g7'), true);
+  assert.equal(engine.drawOffer, null);
+  assert.equal(engine.acceptDraw('black'), false);
+
+  assert.equal(engine.offerDraw('red'), true);
+  assert.equal(engine.acceptDraw(), true);
+  assert.equal(engine.gameOverReason, '双方同意和棋。');
+  assert.deepEqual(engine.result, { score: '1/2-1/2', reason: 'agreement' });
+  assert.equal(GameRecord.resultOf(engine), '1/2-1/2');
+  assert.equal(GameRecord.fromEngine(engine).headers.Termination, 'agreement');
+});
@@ -0,0 +1,79 @@
+/**
+ * 分析模式回归测试：多条候选变例（MultiPV）的条数、排序与变例合法性，
+ * 单条变例时与原搜索结果一致，以及评估分数换算为红方视角与杀棋回合数
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AI, Notation, StorageAdapter, logger } = require('../js');
+const { initialBoard } = require('./helpers');
+
+logger.setLevel('error');
+
+/** 自给定局面起逐着检查变例合法 */
+function assertLegalLine(board, side, pv) {
+  const b = board.clone();
+  let s = side;
+  pv.forEach((m) => {
+    const move = Notation.parseICCS(b, Notation.toICCS(m), s);
+    assert.ok(move, Notation.toICCS(m));
+    b.movePiece(m.from.row, m.from.col, m.to.row, m.to.col);
+    s = s === 'red' ? 'black' : 'red';
+  });
+}
+
+test('多条候选变例：条数、分数降序，首条与最佳着法一致且变例合法', () => {
+  const board = initialBoard();
+  const result = AI.search(board, 'red', { depth: 3, multiPV: 3 });
+  assert.equal(result.lines.length, 3);
+  assert.deepEqual(result.lines[0].move, result.move);
+  assert.equal(result.lines[0].score, result.score);
+  assert.deepEqual(result.lines[0].pv, result.pv);
+  const iccs = result.lines.map(l => Notation.toICCS(l.move));
+  assert.equal(new Set(iccs).size, 3);
+  for (let i = 1; i < result.lines.length; i++) {
+    assert.ok(result.lines[i - 1].score >= result.lines[i].score);
+  }
+  result.lines.forEach((line) => {
+    assert.deepEqual(line.pv[0], line.move);
+    assertLegalLine(board, 'red', line.pv);
+  });
+});
+
+test('单条变例时结果与不指定 multiPV 相同', () => {
+  const board = initialBoard();
+  const plain = AI.search(board, 'red', { depth: 3 });
+  const single = AI.search(board, 'red', { depth: 3, multiPV: 1 });
+  assert.deepEqual(single.move, plain.move);
+  assert.equal(single.score, plain.score);
+  assert.deepEqual(single.pv, plain.pv);
+  assert.equal(plain.lines.length, 1);
+  assert.deepEqual(plain.lines[0].move, plain.move);
+});
+
+test('评估换算：红方视角分数与杀棋回合数', () => {
+  assert.deepEqual(AI.normalizeScore(120, 'red'), { score: 120, mate: null });
+  assert.deepEqual(AI.normalizeScore(120, 'black'), { score: -120, mate: null });
+
+  // 红先一步杀：首条变例为杀棋，红方视角为正
+  const red = StorageAdapter.parseFEN('3k5/R8/R8/9/9/9/9/9/9/4K4 w - - 0 1');
+  const redResult = AI.search(red.board, 'red', { depth: 3, multiPV: 2 });
+  assert.equal(Notation.toICCS(redResult.lines[0].move), 'a7d7');
+  assert.deepEqual(AI.normalizeScore(redResult.lines[0].score, 'red').mate, 1);
+
+  // 同一局面交换红黑：黑方一步杀为负
+  const black = StorageAdapter.parseFEN('4k4/9/9/9/9/9/9/r8/r8/3K5 b - - 0 1');
+  const blackResult = AI.search(black.board, 'black', { depth: 3 });
+  const ev = AI.normalizeScore(blackResult.score, 'black');
+  assert.equal(ev.mate, -1);
+  assert.ok(ev.score < 0);
+
+  // 已被将死的一方：回合数为 0，分数指向获胜方
+  const mated = red.board.clone();
+  mated.movePiece(2, 0, 0, 0);
+  const matedResult = AI.search(mated, 'black', { depth: 2 });
+  assert.equal(matedResult.move, null);
+  assert.deepEqual(matedResult.lines, []);
+  const over = AI.normalizeScore(matedResult.score, 'black');
+  assert.equal(over.mate, 0);
+  assert.ok(over.score > 0);
+});
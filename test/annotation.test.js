@@ -0,0 +1,108 @@
+/**
+ * 注解回归测试：评注符号、注释与棋盘标记的设置、棋谱文本与存档的往返，以及导入时的识别与过滤
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, GameRecord, StorageAdapter, logger } = require('../js');
+const { play } = require('./helpers');
+
+logger.setLevel('warn');
+
+test('注解：设置、替换与清除，非法内容被丢弃', () => {
+  const engine = new GameEngine();
+  assert.equal(engine.annotate({ comment: '开局' }), false);
+  play(engine, ['h2e2']);
+  assert.equal(engine.annotate({
+    comment: ' 中炮 ', nag: '!', markup: { squares: ['E2', 'z9', 'e2'], arrows: ['h2e2', 'e2e2', 'h2'] },
+  }), true);
+  const entry = engine.history[0];
+  assert.equal(entry.comment, '中炮');
+  assert.equal(entry.nag, '!');
+  assert.deepEqual(entry.markup, { squares: ['e2'], arrows: ['h2e2'] });
+
+  engine.annotate({ nag: '!!!' });
+  assert.equal(entry.nag, undefined);
+  assert.equal(entry.comment, undefined);
+  assert.equal(entry.markup, undefined);
+});
+
+test('棋谱文本往返：评注符号紧跟着法，注释与标记写入花括号', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7', 'h0g2']);
+  engine.goToPath([0]);
+  engine.annotate({ comment: '中炮{开局}', nag: '!', markup: { squares: ['e2'], arrows: ['h2e2'] } });
+  engine.redo();
+  engine.annotate({ nag: '?!' });
+
+  const text = GameRecord.toText(GameRecord.fromEngine(engine));
+  assert.match(text, /1\. h2e2! \{中炮开局 \[%csl Ge2\] \[%cal Gh2e2\]\} h9g7\?!/);
+
+  const loaded = new GameEngine();
+  assert.equal(StorageAdapter.applyRecordText(text, loaded), true);
+  assert.equal(loaded.history.length, 2);
+  assert.deepEqual(GameRecord.normalizeAnnotation(loaded.history[0]), {
+    comment: '中炮开局', nag: '!', markup: { squares: ['e2'], arrows: ['h2e2'] },
+  });
+  assert.equal(loaded.history[1].nag, '?!');
+  assert.deepEqual(GameRecord.normalizeAnnotation(loaded.getContinuation()[0]), {});
+});
+
+test('棋谱文本往返：注释中的分号与花括号不截断着法', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7', 'h0g2']);
+  engine.goToPath([0]);
+  engine.annotate({ comment: '好棋; 稳健}' });
+  engine.goToPath([0, 0, 0]);
+
+  const text = GameRecord.toText(GameRecord.fromEngine(engine));
+  assert.match(text, /1\. h2e2 \{好棋; 稳健\} h9g7/);
+
+  const loaded = new GameEngine();
+  assert.equal(StorageAdapter.applyRecordText(`${text}; 行尾注释 h0e2\n`, loaded), true);
+  assert.deepEqual(GameRecord.fromEngine(loaded).moves, ['h2e2', 'h9g7', 'h0g2']);
+  assert.equal(loaded.history[0].comment, '好棋; 稳健');
+  assert.equal(loaded.history[1].comment, undefined);
+});
+
+test('棋谱文本只记当前一路，回合编号自起始局面的回合数起算', () => {
+  const engine = new GameEngine();
+  assert.equal(StorageAdapter.applyFENToEngine('rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C2C4/9/RNBAKABNR b - - 0 12', engine), true);
+  play(engine, ['h9g7', 'h0g2']);
+  engine.undo();
+  play(engine, ['b0c2']);
+  engine.annotate({ comment: '变着' });
+
+  const text = GameRecord.toText(GameRecord.fromEngine(engine));
+  assert.match(text, /^12\. \.\.\. h9g7$/m);
+  assert.match(text, /^13\. b0c2 \{变着\} \*$/m);
+  assert.doesNotMatch(text, /h0g2/);
+
+  const loaded = new GameEngine();
+  assert.equal(StorageAdapter.applyRecordText(text, loaded), true);
+  assert.deepEqual(loaded.getLine().map(item => [item.side, item.fullmoveNumber]), [['black', 12], ['red', 13]]);
+  assert.equal(loaded.root.children[0].children.length, 1);
+});
+
+test('导入：识别 $n 评注、中文记谱后的符号、带颜色的标记与首着前的说明', () => {
+  const record = GameRecord.parseText('{全局说明}\n1. 炮二平五!? $4 {[%csl Re5,Bb7] 多段} {注释} 马8进7 $1\n');
+  assert.equal(record.rootComment, '全局说明');
+  assert.deepEqual(record.moveTexts, ['炮二平五', '马8进7']);
+  assert.deepEqual(record.annotations, [
+    { nag: '??', comment: '多段 注释', markup: { squares: ['e5', 'b7'], arrows: [] } },
+    { nag: '!' },
+  ]);
+});
+
+test('存档往返：注解随着法树保存，变着上的注解同样保留', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7']);
+  engine.undo();
+  play(engine, ['b9c7']);
+  engine.annotate({ comment: '变着', nag: '?', markup: { squares: [], arrows: ['b9c7'] } });
+
+  const data = JSON.parse(JSON.stringify(StorageAdapter.serializeEngine(engine)));
+  const loaded = new GameEngine();
+  assert.equal(StorageAdapter.applyToEngine(data, loaded), true);
+  const entry = loaded.root.children[0].children[1].entry;
+  assert.deepEqual(GameRecord.normalizeAnnotation(entry), { comment: '变着', nag: '?', markup: { squares: [], arrows: ['b9c7'] } });
+});
@@ -0,0 +1,66 @@
+/**
+ * 开局库回归测试：内置开局序列合法、开局名称随对局识别（含左右对称与换序走到的局面）、
+ * 库中着法的权重与随机选用，以及紧凑格式的往返
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, OpeningBook, logger } = require('../js');
+const { play, initialBoard } = require('./helpers');
+
+logger.setLevel('error');
+
+test('内置开局序列全部合法', () => {
+  const book = new OpeningBook();
+  OpeningBook.LINES.forEach(([name, moves]) => {
+    assert.equal(book.addLine(name, moves), true, name);
+  });
+  assert.equal(book.addLine('坏序列', 'h2e2 h2e2'), false);
+});
+
+test('随对局识别开局名称，对称走法与换序同样识别', () => {
+  const book = OpeningBook.standard();
+  const engine = new GameEngine();
+  assert.equal(book.nameOf(engine.history), '');
+  play(engine, 'h2e2');
+  assert.equal(book.nameOf(engine.history), '中炮');
+  play(engine, 'h9g7 h0g2');
+  assert.equal(book.nameOf(engine.history), '中炮'); // 途经局面没有名称时沿用前一个
+  play(engine, 'i9h9 i0h0 b9c7');
+  assert.equal(book.nameOf(engine.history), '中炮直车对屏风马');
+  play(engine, 'h0h6 a9a8');
+  assert.equal(book.nameOf(engine.history), '中炮过河车对屏风马'); // 出库后保留最后识别的名称
+
+  const mirrored = new GameEngine();
+  play(mirrored, 'b2e2 b9c7 b0c2 a9b9 a0b0 h9g7');
+  assert.equal(book.nameOf(mirrored.history), '中炮直车对屏风马');
+  const transposed = new GameEngine();
+  play(transposed, 'h2e2 h9g7 h0g2 b9c7 i0h0 i9h9');
+  assert.equal(book.nameOf(transposed.history), '中炮直车对屏风马');
+});
+
+test('库中着法按权重排序，随机选用只取库中着法', () => {
+  const book = OpeningBook.fromLines([['中炮', 'h2e2'], ['中炮对屏风马', 'h2e2 h9g7'], ['仙人指路', 'c3c4']], false);
+  const board = initialBoard();
+  const entry = book.lookup(board, 'red');
+  assert.equal(entry.name, '');
+  assert.deepEqual(entry.moves.map(m => [m.iccs, m.weight, m.share]), [['h2e2', 2, 2 / 3], ['c3c4', 1, 1 / 3]]);
+  assert.equal(book.lookup(board, 'black'), null);
+  assert.deepEqual(book.pickMove(board, 'red', () => 0.5), { from: { row: 7, col: 7 }, to: { row: 7, col: 4 } });
+  assert.deepEqual(book.pickMove(board, 'red', () => 0.9), { from: { row: 6, col: 2 }, to: { row: 5, col: 2 } });
+  board.movePiece(7, 1, 7, 4);
+  assert.equal(book.pickMove(board, 'black'), null);
+});
+
+test('紧凑格式往返后内容不变，非法条目被跳过', () => {
+  const book = OpeningBook.standard();
+  const data = JSON.parse(JSON.stringify(book));
+  assert.equal(data.version, 1);
+  const again = OpeningBook.fromJSON(data);
+  assert.deepEqual(again.toJSON(), data);
+  const root = again.lookup(initialBoard(), 'red');
+  assert.ok(root.moves.some(m => m.iccs === 'h2e2') && root.moves.some(m => m.iccs === 'b2e2'));
+
+  const partial = OpeningBook.fromJSON({ positions: { bad: { moves: 'h2e2:1' }, [Object.keys(data.positions)[0]]: { moves: 'h2e2:x z9z9:1 h2e2:2' } } });
+  assert.equal(partial.positions.size, 1);
+  assert.deepEqual([...partial.positions.values()][0].moves, new Map([['h2e2', 2]]));
+});
@@ -0,0 +1,147 @@
+/**
+ * 棋钟回归测试：包干、加秒、读秒、暂停、存档恢复，以及引擎中的超时判负与判和
+ * 时间源以可手动拨动的假时钟注入。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Board, GameClock, GameEngine, StorageAdapter, logger } = require('../js');
+
+logger.setLevel('warn');
+
+/** 可拨动的假时间源 */
+function fakeTime() {
+  let t = 0;
+  return { now: () => t, advance: (ms) => { t += ms; } };
+}
+
+test('包干：用完基本时间即超时，走子前的用时计入走子方', () => {
+  const time = fakeTime();
+  const clock = new GameClock({ type: 'sudden', baseMs: 60000 }, { now: time.now });
+  clock.start('red');
+  time.advance(20000);
+  assert.equal(clock.press('red'), true);
+  assert.equal(clock.active, 'black');
+  time.advance(5000);
+  assert.equal(clock.getState('red').mainMs, 40000);
+  assert.equal(clock.getState('black').mainMs, 55000);
+  time.advance(55000);
+  assert.equal(clock.getState('black').flagged, true);
+  assert.equal(clock.check(), 'black');
+  assert.equal(clock.isRunning(), false);
+});
+
+test('加秒：每走一着给走子方加秒', () => {
+  const time = fakeTime();
+  const clock = new GameClock({ type: 'fischer', baseMs: 60000, incrementMs: 5000 }, { now: time.now });
+  clock.start('red');
+  time.advance(3000);
+  clock.press('red');
+  assert.equal(clock.getState('red').mainMs, 62000);
+});
+
+test('加秒：暂停中走子不扣时也不加秒', () => {
+  const time = fakeTime();
+  const clock = new GameClock({ type: 'fischer', baseMs: 60000, incrementMs: 5000 }, { now: time.now });
+  clock.start('red');
+  time.advance(3000);
+  clock.pause();
+  time.advance(10000);
+  assert.equal(clock.press('red'), true);
+  assert.equal(clock.getState('red').mainMs, 57000);
+  assert.equal(clock.active, 'black');
+});
+
+test('读秒：超出读秒周期耗掉一次机会，走子后周期清零，机会用尽超时', () => {
+  const time = fakeTime();
+  const clock = new GameClock({ type: 'byoyomi', baseMs: 10000, periodMs: 30000, periods: 2 }, { now: time.now });
+  clock.start('red');
+  time.advance(25000); // 基本时间 10 秒用完，进入读秒 15 秒
+  assert.deepEqual(clock.getState('red'), { mainMs: 0, periods: 2, periodMs: 15000, byoyomi: true, flagged: false });
+  time.advance(20000); // 超出第一个周期
+  assert.deepEqual(clock.getState('red'), { mainMs: 0, periods: 1, periodMs: 25000, byoyomi: true, flagged: false });
+  assert.equal(clock.press('red'), true);
+  clock.press('black');
+  time.advance(29000);
+  assert.equal(clock.press('red'), true);
+  assert.equal(clock.getState('red').periodMs, 30000);
+  clock.press('black');
+  time.advance(30000);
+  assert.equal(clock.check(), 'red');
+});
+
+test('暂停：暂停期间不计时，恢复后继续', () => {
+  const time = fakeTime();
+  const clock = new GameClock({ type: 'sudden', baseMs: 60000 }, { now: time.now });
+  clock.start('red');
+  time.advance(10000);
+  clock.pause();
+  time.advance(100000);
+  assert.equal(clock.check(), null);
+  assert.equal(clock.getState('red').mainMs, 50000);
+  clock.start('red');
+  time.advance(10000);
+  assert.equal(clock.getState('red').mainMs, 40000);
+});
+
+test('存档恢复：剩余时间与读秒次数随存档保存，恢复后为暂停状态', () => {
+  const time = fakeTime();
+  const engine = new GameEngine();
+  engine.clock = new GameClock({ type: 'byoyomi', baseMs: 10000, periodMs: 30000, periods: 3 }, { now: time.now });
+  engine.clock.start('red');
+  time.advance(4000);
+  assert.equal(engine.makeMoveFromText('h2e2'), true);
+  time.advance(45000); // 黑方用完基本时间并耗掉一次读秒
+  const data = JSON.parse(JSON.stringify(StorageAdapter.serializeEngine(engine)));
+
+  const loaded = new GameEngine();
+  assert.equal(StorageAdapter.applyToEngine(data, loaded), true);
+  assert.equal(loaded.history.length, 1);
+  assert.equal(loaded.clock.isRunning(), false);
+  assert.equal(loaded.clock.getState('red').mainMs, 6000);
+  assert.deepEqual(loaded.clock.getState('black'), { mainMs: 0, periods: 2, periodMs: 25000, byoyomi: true, flagged: false });
+});
+
+test('超时：对方有进攻子力判负，否则判和；超时后不能再走子', () => {
+  const time = fakeTime();
+  const engine = new GameEngine();
+  engine.clock = new GameClock({ type: 'sudden', baseMs: 1000 }, { now: time.now });
+  engine.clock.start('red');
+  time.advance(1000);
+  assert.equal(engine.makeMoveFromText('h2e2'), false);
+  assert.equal(engine.gameOverReason, '红方超时，黑方胜！');
+  assert.deepEqual(engine.result, { score: '0-1', reason: 'timeout' });
+
+  const bare = new GameEngine();
+  bare.board = Board.fromFEN('3ak4/9/9/9/9/9/9/9/9/3K1R3');
+  bare.clock = new GameClock({ type: 'sudden', baseMs: 1000 }, { now: time.now });
+  bare.clock.start('red');
+  time.advance(1500);
+  assert.equal(bare.checkClock(), true);
+  assert.equal(bare.gameOverReason, '红方超时，黑方无进攻子力，判和。');
+  assert.deepEqual(bare.result, { score: '1/2-1/2', reason: 'timeout' });
+
+  // 对方只剩未过河的卒也算有进攻子力，超时判负
+  const pawn = new GameEngine();
+  pawn.board = Board.fromFEN('4k4/9/9/4p4/9/9/9/9/9/3K1R3');
+  pawn.clock = new GameClock({ type: 'sudden', baseMs: 1000 }, { now: time.now });
+  pawn.clock.start('red');
+  time.advance(1500);
+  assert.equal(pawn.checkClock(), true);
+  assert.equal(pawn.gameOverReason, '红方超时，黑方胜！');
+  assert.deepEqual(pawn.result, { score: '0-1', reason: 'timeout' });
+});
+
+test('悔棋暂停计时，下一着走出后转为对方计时', () => {
+  const time = fakeTime();
+  const engine = new GameEngine();
+  engine.clock = new GameClock({ type: 'sudden', baseMs: 60000 }, { now: time.now });
+  engine.clock.start('red');
+  assert.equal(engine.makeMoveFromText('h2e2'), true);
+  engine.undo();
+  assert.equal(engine.clock.isRunning(), false);
+  time.advance(30000);
+  assert.equal(engine.makeMoveFromText('h2e2'), true);
+  assert.equal(engine.clock.active, 'black');
+  assert.equal(engine.clock.getState('red').mainMs, 60000);
+  assert.equal(GameClock.formatTime(engine.clock.getState('black').mainMs), '01:00');
+});
@@ -0,0 +1,25 @@
+/**
+ * 测试共用的辅助函数（不是测试文件，由各测试 require）
+ */
+const assert = require('node:assert/strict');
+const { Board } = require('../js');
+
+/**
+ * play
+ * 参数：engine(GameEngine), moves(ICCS 着法数组，或以空格分隔的着法串)
+ * 行为：依次走完各着，任一着不合法即断言失败
+ */
+function play(engine, moves) {
+  (typeof moves === 'string' ? moves.split(/\s+/).filter(Boolean) : moves).forEach((text) => {
+    assert.equal(engine.makeMoveFromText(text), true, text);
+  });
+}
+
+/** 初始局面的棋盘 */
+function initialBoard() {
+  const board = new Board();
+  board.setupInitial();
+  return board;
+}
+
+module.exports = { play, initialBoard };
@@ -0,0 +1,73 @@
+/**
+ * 记谱回归测试：中文与 WXF 记谱的生成与解析，含同纵线两子的前后、三兵的前中后、
+ * 四兵以上的一二三四，以及两条纵线均有多兵时以纵线代替兵字
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Board, Notation } = require('../js');
+
+/**
+ * 在给定布局下检查一着的中文与 WXF 记谱，并确认两种记谱都能解析回同一着
+ * 参数：placement(FEN 布局), side, iccs, chinese, wxf
+ */
+function check(placement, side, iccs, chinese, wxf) {
+  const board = Board.fromFEN(placement);
+  const move = Notation.parseICCS(board, iccs, side);
+  assert.ok(move, iccs);
+  assert.equal(Notation.toChinese(board, move), chinese, iccs);
+  assert.equal(Notation.toWXF(board, move), wxf, iccs);
+  assert.deepEqual(Notation.parseChinese(board, chinese, side), move, chinese);
+  assert.deepEqual(Notation.parseWXF(board, wxf, side), move, wxf);
+  assert.equal(Notation.toICCS(move), iccs);
+}
+
+const INITIAL = 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR';
+
+test('开局常见着法：红方用中文数字，黑方用全角数字，斜行棋子记落点纵线', () => {
+  check(INITIAL, 'red', 'h2e2', '炮二平五', 'C2.5');
+  check(INITIAL, 'red', 'h0g2', '马二进三', 'H2+3');
+  check(INITIAL, 'red', 'a0a1', '车九进一', 'R9+1');
+  check(INITIAL, 'red', 'f0e1', '仕四进五', 'A4+5');
+  check(INITIAL, 'red', 'c0e2', '相七进五', 'E7+5');
+  check(INITIAL, 'black', 'h9g7', '马８进７', 'H8+7');
+  check(INITIAL, 'black', 'e9e8', '将５进１', 'K5+1');
+});
+
+test('同纵线两子：以前后区分，未写前后时视为歧义', () => {
+  const rooks = '3k5/9/9/9/9/9/4R4/9/4R4/4K4';
+  check(rooks, 'red', 'e3e5', '前车进二', '+R+2');
+  check(rooks, 'red', 'e1a1', '后车平九', '-R.9');
+  assert.equal(Notation.parseChinese(Board.fromFEN(rooks), '车五进一', 'red'), null);
+  assert.equal(Notation.parseWXF(Board.fromFEN(rooks), 'R5+1', 'red'), null);
+
+  const blackRooks = '3k5/9/4r4/9/4r4/9/9/9/9/4K4';
+  check(blackRooks, 'black', 'e5e3', '前车进２', '+R+2');
+  check(blackRooks, 'black', 'e7i7', '后车平９', '-R.9');
+
+  const horses = '3k5/9/9/9/2H6/9/2H6/9/9/4K4';
+  check(horses, 'red', 'c5d7', '前马进六', '+H+6');
+  check(horses, 'red', 'c3b1', '后马退八', '-H-8');
+  assert.notEqual(Notation.parseChinese(Board.fromFEN(horses), '前馬進六', 'red'), null); // 繁体异体字
+  assert.notEqual(Notation.parseChinese(Board.fromFEN(horses), '後马退八', 'red'), null);
+});
+
+test('同纵线多兵：三兵为前中后，四兵以上为一二三四', () => {
+  const three = '3k5/9/4P4/4P4/4P4/9/9/9/9/4K4';
+  check(three, 'red', 'e7e8', '前兵进一', '1P+1');
+  check(three, 'red', 'e6d6', '中兵平六', '2P.6');
+  check(three, 'red', 'e5f5', '后兵平四', '3P.4');
+
+  const four = '3k5/4P4/4P4/4P4/4P4/9/9/9/9/4K4';
+  check(four, 'red', 'e7d7', '二兵平六', '2P.6');
+  check(four, 'red', 'e5f5', '四兵平四', '4P.4');
+});
+
+test('两条纵线均有多兵：以纵线代替兵字', () => {
+  const red = '3k5/9/9/P7P/P7P/9/9/9/9/4K4';
+  check(red, 'red', 'a6b6', '前九平八', '+P9.8');
+  check(red, 'red', 'i5h5', '后一平二', '-P1.2');
+
+  const black = '3k5/9/9/9/9/p7p/p7p/9/9/4K4';
+  check(black, 'black', 'a3a2', '前１进１', '+P1+1');
+  check(black, 'black', 'i4h4', '后９平８', '-P9.8');
+});
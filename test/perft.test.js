@@ -0,0 +1,20 @@
+/**
+ * perft 回归测试：各参考局面前三层叶节点数须与参考值一致
+ * 更深的层数可运行 `npm run perft` 验证。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REFERENCE_POSITIONS, perft, parseFEN } = require('../tools/perft');
+
+const MAX_DEPTH = 3;
+
+REFERENCE_POSITIONS.forEach(({ name, fen, counts }) => {
+  test(`perft ${name}`, () => {
+    const { board, side } = parseFEN(fen);
+    counts.slice(0, MAX_DEPTH).forEach((expected, i) => {
+      assert.equal(perft(board, side, i + 1), expected, `深度 ${i + 1}`);
+    });
+    // 计数后棋盘应还原
+    assert.equal(board.toFEN(), fen.split(' ')[0]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * 残局练习回归测试：内置题目的局面与解法合法且以将死收尾，做题时的判错、对方自动应着、
+ * 直接将死的其他着法、两步提示，以及进度与成功率的记录
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  Rules, Notation, Validator, GameEngine, StorageAdapter, PUZZLES, PuzzleProgress, PuzzleSession, logger,
+} = require('../js');
+
+logger.setLevel('error');
+
+/** 以 ICCS 着法走一着做题方的棋 */
+function play(session, text) {
+  const m = /^([a-i])(\d)([a-i])(\d)$/.exec(text);
+  const col = ch => ch.charCodeAt(0) - 97;
+  return session.play(9 - Number(m[2]), col(m[1]), 9 - Number(m[4]), col(m[3]));
+}
+
+/** 内存中的本地存储替身 */
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: k => (k in items ? items[k] : null),
+    setItem: (k, v) => { items[k] = String(v); },
+    removeItem: (k) => { delete items[k]; },
+  };
+}
+
+test('内置题目：局面合法，解法逐着合法并将死对方', () => {
+  const ids = new Set();
+  PUZZLES.forEach((puzzle) => {
+    assert.ok(!ids.has(puzzle.id), puzzle.id);
+    ids.add(puzzle.id);
+    assert.equal(puzzle.solution.length % 2, 1, puzzle.id);
+    const { board, sideToMove } = StorageAdapter.parseFEN(puzzle.fen);
+    assert.equal(Validator.validate(board, sideToMove).valid, true, puzzle.id);
+    let side = sideToMove;
+    puzzle.solution.forEach((text) => {
+      const move = Notation.parseICCS(board, text, side);
+      assert.ok(move, `${puzzle.id} ${text}`);
+      board.movePiece(move.from.row, move.from.col, move.to.row, move.to.col);
+      side = side === 'red' ? 'black' : 'red';
+    });
+    assert.equal(Rules.getGameStatus(board, side).checkmate, true, puzzle.id);
+  });
+});
+
+test('做题：不合法与走错不走子，走对后对方按解法应着，末着解出', () => {
+  const puzzle = PUZZLES.find(p => p.id === 'mate2-01');
+  const engine = new GameEngine();
+  const progress = new PuzzleProgress(null);
+  const session = new PuzzleSession(puzzle, engine, progress);
+  assert.equal(session.start(), true);
+  assert.equal(engine.headers.Event, '残局练习：白脸将');
+
+  assert.deepEqual(play(session, 'e1f2'), { result: 'illegal' });
+  assert.deepEqual(play(session, 'e1e5'), { result: 'wrong' });
+  assert.equal(engine.history.length, 0);
+  assert.deepEqual(progress.get(puzzle.id), { attempts: 1, successes: 0, hints: 0, solved: false });
+
+  assert.deepEqual(play(session, 'd0e0'), { result: 'correct', reply: '将６进１' });
+  assert.equal(engine.sideToMove, 'red');
+  assert.deepEqual(play(session, 'e1f1'), { result: 'solved' });
+  assert.equal(engine.result.reason, 'checkmate');
+  assert.deepEqual(play(session, 'e1e2'), { result: 'finished' });
+  // 走错过的尝试解出后只记为已解出，不再计为成功
+  assert.deepEqual(progress.get(puzzle.id), { attempts: 1, successes: 0, hints: 0, solved: true });
+});
+
+test('做题：与解法不同但直接将死的着法也算解出，回看后走子先回到做题局面', () => {
+  const puzzle = { id: 'two-ways', title: '双车', fen: '3k5/R8/1R7/9/9/9/9/9/9/4K4 w - - 0 1', solution: ['b7b9'] };
+  const session = new PuzzleSession(puzzle);
+  session.start();
+  assert.deepEqual(play(session, 'b7d7'), { result: 'solved' });
+
+  const line = PUZZLES.find(p => p.id === 'mate2-03');
+  const review = new PuzzleSession(line);
+  review.start();
+  play(review, 'c3c8');
+  review.engine.goToNode(review.engine.root);
+  assert.deepEqual(play(review, 'g7g9'), { result: 'solved' });
+  assert.equal(review.engine.history.length, 3);
+});
+
+test('提示：先标出要动的棋子再给出整着，用过提示解出不计为成功', () => {
+  const progress = new PuzzleProgress(memoryStorage());
+  const puzzle = PUZZLES.find(p => p.id === 'mate1-02');
+  const session = new PuzzleSession(puzzle, new GameEngine(), progress);
+  session.start();
+  assert.deepEqual(session.hint(), { level: 1, text: puzzle.hint, markup: { squares: ['a3'], arrows: [] } });
+  assert.deepEqual(session.hint(), { level: 2, text: '解法：炮九平五', markup: { squares: [], arrows: ['a3e3'] } });
+  assert.deepEqual(play(session, 'a3e3'), { result: 'solved' });
+  assert.equal(session.hint(), null);
+  assert.deepEqual(progress.get(puzzle.id), { attempts: 1, successes: 0, hints: 1, solved: true });
+
+  session.start();
+  play(session, 'a3e3');
+  const stats = progress.getStats();
+  assert.equal(stats.total, PUZZLES.length);
+  assert.equal(stats.solved, 1);
+  assert.equal(stats.attempts, 2);
+  assert.equal(stats.successRate, 0.5);
+});
+
+test('进度：写入本地存储后可重新读取，内容损坏时从空白开始，可清空', () => {
+  const storage = memoryStorage();
+  const progress = new PuzzleProgress(storage);
+  progress.recordAttempt('mate1-01', true);
+  progress.markSolved('mate1-01');
+  const again = new PuzzleProgress(storage);
+  assert.deepEqual(again.get('mate1-01'), { attempts: 1, successes: 1, hints: 0, solved: true });
+  assert.equal(again.getStats().successRate, 1);
+
+  again.reset();
+  assert.equal(new PuzzleProgress(storage).getStats().attempts, 0);
+  storage.setItem('xiangqi_puzzle_progress_v1', '{bad json');
+  assert.deepEqual(new PuzzleProgress(storage).get('mate1-01'), { attempts: 0, successes: 0, hints: 0, solved: false });
+});
@@ -0,0 +1,68 @@
+/**
+ * 重复局面回归测试：长将作负、长捉作负、不变作和，以及悔棋/重做后的结果
+ * 局面以 FEN 布局段给出，着法使用 ICCS 记谱。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Board, GameEngine, GameRecord, Repetition, logger } = require('../js');
+
+logger.setLevel('warn');
+
+/** 以给定布局（红方先走）开局，并依次走完 moves，返回引擎 */
+function play(placement, moves) {
+  const engine = new GameEngine();
+  engine.board = Board.fromFEN(placement);
+  engine.sideToMove = 'red';
+  moves.forEach((text) => {
+    assert.equal(engine.makeMoveFromText(text), true, text);
+  });
+  return engine;
+}
+
+test('findRepetition：达到次数返回上一次出现的位置，吃子前的局面不计', () => {
+  const keys = ['A', 'B', 'C', 'A', 'B', 'C', 'A'];
+  assert.equal(Repetition.findRepetition(keys, [false, false, false, false, false, false], 3), 3);
+  assert.equal(Repetition.findRepetition(keys, [false, false, false, false, false, false], 4), -1);
+  assert.equal(Repetition.findRepetition(keys, [false, false, true, false, false, false], 3), -1);
+});
+
+test('长将：一方每着都将军，循环三次判负', () => {
+  const engine = play('9/4k4/R8/9/9/9/9/9/9/3K5', ['a7a8', 'e8e9', 'a8a9', 'e9e8', 'a9a8', 'e8e9', 'a8a9', 'e9e8']);
+  assert.equal(engine.gameOver, false);
+  assert.equal(engine.makeMoveFromText('a9a8'), true);
+  assert.equal(engine.gameOver, true);
+  assert.equal(engine.gameOverReason, '红方长将作负，黑方胜！');
+  assert.deepEqual(engine.result, { score: '0-1', reason: 'perpetual-check' });
+  assert.equal(GameRecord.resultOf(engine), '0-1');
+});
+
+test('长捉：车反复捉无根炮判负，逃子方不负', () => {
+  const engine = play('5k3/9/9/7R1/2c6/9/9/9/9/3K5', [
+    'h6h5', 'c5c6', 'h5h6', 'c6c5', 'h6h5', 'c5c6', 'h5h6',
+  ]);
+  assert.equal(engine.gameOver, false);
+  assert.equal(engine.makeMoveFromText('c6c5'), true);
+  assert.equal(engine.gameOverReason, '红方长捉作负，黑方胜！');
+  assert.deepEqual(engine.result, { score: '0-1', reason: 'perpetual-chase' });
+});
+
+test('不变作和：双方闲着循环三次', () => {
+  const engine = play('5k3/9/9/P8/9/9/8p/9/9/3K5', [
+    'd0d1', 'f9f8', 'd1d0', 'f8f9', 'd0d1', 'f9f8', 'd1d0', 'f8f9',
+  ]);
+  assert.equal(engine.gameOver, true);
+  assert.equal(engine.gameOverReason, '局面重复，双方不变作和。');
+  assert.deepEqual(engine.result, { score: '1/2-1/2', reason: 'repetition' });
+});
+
+test('悔棋解除重复判定，重做后重新判定', () => {
+  const engine = play('5k3/9/9/P8/9/9/8p/9/9/3K5', [
+    'd0d1', 'f9f8', 'd1d0', 'f8f9', 'd0d1', 'f9f8', 'd1d0', 'f8f9',
+  ]);
+  engine.undo();
+  assert.equal(engine.gameOver, false);
+  assert.deepEqual(engine.result, { score: '*', reason: null });
+  engine.redo();
+  assert.equal(engine.gameOver, true);
+  assert.deepEqual(engine.result, { score: '1/2-1/2', reason: 'repetition' });
+});
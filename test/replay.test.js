@@ -0,0 +1,86 @@
+/**
+ * 回看回归测试：着法列表的记谱与回合编号、跳转不改变着法树，认输等结果在回看后恢复、悔棋后撤销
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, StorageAdapter, logger } = require('../js');
+const { play } = require('./helpers');
+
+logger.setLevel('warn');
+
+test('着法列表：当前一路含可重做部分，按所选格式记谱并标注回合', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7', 'h0g2']);
+  engine.undo();
+  engine.undo();
+  const line = engine.getLine('chinese');
+  assert.deepEqual(line.map(item => item.text), ['炮二平五', '马８进７', '马二进三']);
+  assert.deepEqual(line.map(item => item.fullmoveNumber), [1, 1, 2]);
+  assert.equal(line[0].node, engine.current);
+  assert.deepEqual(engine.getLine('iccs').map(item => item.text), ['h2e2', 'h9g7', 'h0g2']);
+  assert.equal(engine.board.toFEN(), 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C2C4/9/RNBAKABNR');
+
+  const blackFirst = new GameEngine();
+  StorageAdapter.applyFENToEngine('rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C2C4/9/RNBAKABNR b - - 0 1', blackFirst);
+  play(blackFirst, ['h9g7', 'h0g2']);
+  assert.deepEqual(blackFirst.getLine().map(item => [item.side, item.fullmoveNumber]), [['black', 1], ['red', 2]]);
+});
+
+test('回看：跳到任一着再回到终局，着法树与认输结果不变', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7', 'h0g2']);
+  engine.resign('black');
+  const end = engine.current;
+  const tree = JSON.stringify(StorageAdapter.serializeEngine(engine).tree);
+
+  assert.equal(engine.goToNode(engine.root), true);
+  assert.equal(engine.gameOver, false);
+  assert.equal(engine.goToNode(engine.root.children[0].children[0]), true);
+  assert.equal(engine.history.length, 2);
+  assert.equal(engine.goToNode(end), true);
+  assert.equal(engine.gameOverReason, '黑方认输，红方胜！');
+  assert.deepEqual(engine.result, { score: '1-0', reason: 'resign' });
+  assert.equal(JSON.stringify(StorageAdapter.serializeEngine(engine).tree), tree);
+});
+
+test('悔棋撤销认输：退回后重走同一着不再判负', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7']);
+  engine.resign('red');
+  assert.equal(engine.undo(), true);
+  play(engine, ['h9g7']);
+  assert.equal(engine.gameOver, false);
+  assert.deepEqual(engine.result, { score: '*', reason: null });
+});
+
+test('读取棋谱：判和之后续走的着法照常读入，只在所停局面裁决', () => {
+  const cycle = '1. h0g2 h9g7 2. g2h0 g7h9 3. h0g2 h9g7 4. g2h0 g7h9';
+  const engine = new GameEngine();
+  assert.equal(StorageAdapter.applyRecordText(`[Rules "casual"]\n${cycle}\n5. h2e2 h7e7 *\n`, engine), true);
+  assert.equal(engine.history.length, 10);
+  assert.equal(engine.gameOver, false);
+  assert.equal(engine.makeMoveFromText('b0c2'), true);
+
+  // 停在重复第三次的局面上时按规则判和
+  const stopped = new GameEngine();
+  assert.equal(StorageAdapter.applyRecordText(`[CurrentPly "8"]\n${cycle}\n5. h2e2 h7e7 *\n`, stopped), true);
+  assert.equal(stopped.history.length, 8);
+  assert.equal(stopped.gameOver, true);
+  assert.equal(stopped.result.score, '1/2-1/2');
+  assert.equal(stopped.redo(), true);
+  assert.equal(stopped.gameOver, false);
+});
+
+test('读取棋谱：将死后续走的着法报对局已结束，而非着法不合法', () => {
+  const engine = new GameEngine();
+  const logged = [];
+  const { error } = logger;
+  logger.error = (message, err) => logged.push(err.message);
+  try {
+    assert.equal(StorageAdapter.applyRecordText('[FEN "3k5/R8/R8/9/9/9/9/9/9/4K4 w - - 0 1"]\n1. a7d7 d9e9\n', engine), false);
+  } finally {
+    logger.error = error;
+  }
+  assert.deepEqual(logged, ['对局已在第 1 着后以将死结束，其后的着法无法走出：d9e9']);
+  assert.equal(engine.history.length, 0);
+});
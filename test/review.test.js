@@ -0,0 +1,99 @@
+/**
+ * 复盘分析回归测试：按评估下降分级，自引擎取出当前一路的全部局面，
+ * 漏吃车被判为败着并给出更佳着法，走出搜索首选着法不计失误，未评估完时的报告，以及被中止的搜索结果不予记录
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, GameReview, StorageAdapter, Notation, AI, logger } = require('../js');
+
+logger.setLevel('error');
+
+// 红车可白吃黑车（a1 吃 a2），走闲着 a1b1 则丢掉优势
+const HANGING_ROOK = '3k5/9/9/9/9/9/9/r8/R8/4K4 w - - 0 1';
+
+function engineWith(fen, moves) {
+  const engine = new GameEngine();
+  assert.equal(StorageAdapter.applyFENToEngine(fen, engine), true);
+  moves.forEach((text) => {
+    assert.equal(engine.makeMoveFromText(text), true, text);
+  });
+  return engine;
+}
+
+test('评估下降按阈值分级', () => {
+  assert.equal(GameReview.classify(0), null);
+  assert.equal(GameReview.classify(59), null);
+  assert.equal(GameReview.classify(60), 'inaccuracy');
+  assert.equal(GameReview.classify(150), 'mistake');
+  assert.equal(GameReview.classify(300), 'blunder');
+  assert.equal(GameReview.JUDGEMENTS.blunder.nag, '??');
+});
+
+test('取当前一路的全部局面：回看到中途时包含其后的着法', () => {
+  const engine = engineWith(HANGING_ROOK, ['a1b1', 'd9d8', 'b1b8']);
+  engine.undo();
+  engine.undo();
+  const review = GameReview.fromEngine(engine);
+  assert.equal(review.positions.length, 4);
+  assert.deepEqual(review.positions.map(p => p.side), ['red', 'black', 'red', 'black']);
+  assert.equal(review.positions[0].fen, '3k5/9/9/9/9/9/9/r8/R8/4K4 w - - 0 1');
+  assert.equal(review.positions[0].node, engine.root);
+  assert.equal(Notation.toICCS(review.positions[0].move), 'a1b1');
+  assert.equal(review.positions[3].move, null);
+  assert.equal(review.positions[3].node, engine.root.children[0].children[0].children[0]);
+});
+
+test('漏吃车判为败着并给出更佳着法，走出首选着法不计失误', () => {
+  const engine = engineWith(HANGING_ROOK, ['a1b1', 'a2a8']);
+  const review = GameReview.fromEngine(engine);
+  review.evaluateAll({ depth: 3 });
+  assert.equal(review.isComplete(), true);
+  const { points, moves, summary } = review.report();
+  assert.equal(points.length, 3);
+  assert.ok(points[0].score > 0);
+  assert.equal(moves[0].judgement, 'blunder');
+  assert.ok(moves[0].drop >= 300);
+  const bestMove = Notation.toICCS(moves[0].best.move);
+  assert.notEqual(bestMove, 'a1b1');
+  assert.equal(moves[0].best.text, moves[0].best.pv[0]);
+  assert.equal(summary.red.blunder, 1);
+
+  const good = GameReview.fromEngine(engineWith(HANGING_ROOK, [bestMove]));
+  good.evaluateAll({ depth: 3 });
+  const report = good.report();
+  assert.equal(report.moves[0].drop, 0);
+  assert.equal(report.moves[0].judgement, null);
+  assert.equal(report.moves[0].best, null);
+  assert.deepEqual(report.summary.red, { inaccuracy: 0, mistake: 0, blunder: 0, averageDrop: 0 });
+});
+
+test('未评估完时报告中缺少的评估为 null', () => {
+  const review = GameReview.fromEngine(engineWith(HANGING_ROOK, ['a1b1']));
+  review.setEvaluation(0, { score: 600, move: null, pv: [] });
+  assert.equal(review.isComplete(), false);
+  const { points, moves } = review.report();
+  assert.deepEqual(points, [{ score: 600, mate: null }, null]);
+  assert.equal(moves[0].drop, null);
+  assert.equal(moves[0].judgement, null);
+});
+
+test('搜索被中止、未完成一层的结果不记录，无着可走的局面照常记录', () => {
+  const review = GameReview.fromEngine(engineWith(HANGING_ROOK, ['a1b1']));
+  const pos = review.positions[0];
+  const search = AI.createSearch(pos.board, pos.side, { depth: 3 });
+  search.stop(); // 如回看时局面分析的 position 消息打断了搜索
+  assert.equal(search.step(), false);
+  assert.equal(search.result.depth, 0);
+  assert.ok(search.result.move);
+  assert.equal(review.setEvaluation(0, search.result), false);
+  assert.equal(review.evaluations[0], null);
+  assert.equal(review.isComplete(), false);
+  assert.equal(review.report().moves[0].drop, null);
+  assert.equal(review.setEvaluation(0, AI.search(pos.board, pos.side, { depth: 2 })), true);
+
+  // 已被将死的局面没有着法，搜索结果的深度为 0
+  const mated = GameReview.fromEngine(engineWith('3k5/R8/R8/9/9/9/9/9/9/4K4 w - - 0 1', ['a7d7']));
+  const last = mated.positions[1];
+  assert.equal(mated.setEvaluation(1, AI.search(last.board, last.side, { depth: 2 })), true);
+  assert.equal(mated.report().points[1].mate, 0);
+});
@@ -0,0 +1,185 @@
+/**
+ * 规则回归测试：马腿、相眼、炮架、飞将、应将、兵与九宫限制、将死与困毙
+ * 局面以 { 'ICCS 坐标': 'FEN 字母' } 描述（大写为红方），坐标 a～i 为自红方左起的列、0～9 为自红方底线起的行。
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Board, Piece, Rules } = require('../js');
+
+const TYPE_BY_LETTER = { K: 'K', A: 'A', B: 'E', N: 'H', R: 'R', C: 'C', P: 'S' };
+
+/** ICCS 坐标转 { row, col } */
+function sq(name) {
+  return { row: 9 - Number(name[1]), col: name.charCodeAt(0) - 97 };
+}
+
+/** { row, col } 转 ICCS 坐标 */
+function name(p) {
+  return String.fromCharCode(97 + p.col) + (9 - p.row);
+}
+
+/** 按坐标表构造棋盘 */
+function boardWith(pieces) {
+  const b = new Board();
+  Object.keys(pieces).forEach((k) => {
+    const ch = pieces[k];
+    const { row, col } = sq(k);
+    b.setPiece(row, col, new Piece(TYPE_BY_LETTER[ch.toUpperCase()], ch === ch.toUpperCase() ? 'red' : 'black'));
+  });
+  return b;
+}
+
+/** 某子的合法落点（排序后的 ICCS 坐标） */
+function targets(board, from) {
+  const { row, col } = sq(from);
+  return Rules.getLegalMovesForPiece(board, row, col).map(name).sort();
+}
+
+/** 某方全部合法着法（排序后的 ICCS 着法） */
+function allMoves(board, side) {
+  return Rules.generateLegalMoves(board, side).map(m => name(m.from) + name(m.to)).sort();
+}
+
+/** 单步走子是否合法 */
+function legal(board, from, to, side) {
+  const a = sq(from);
+  const b = sq(to);
+  return Rules.isLegalMove(board, a.row, a.col, b.row, b.col, side);
+}
+
+test('马腿：被堵方向不可走，其余方向可走', () => {
+  const open = boardWith({ d0: 'K', f9: 'k', c2: 'N' });
+  assert.deepEqual(targets(open, 'c2'), ['a1', 'a3', 'b0', 'b4', 'd4', 'e1', 'e3']);
+
+  const blocked = boardWith({ d0: 'K', f9: 'k', c2: 'N', c3: 'P', b2: 'p' });
+  assert.deepEqual(targets(blocked, 'c2'), ['b0', 'e1', 'e3']);
+  assert.equal(legal(blocked, 'c2', 'b4', 'red'), false);
+  assert.equal(legal(blocked, 'c2', 'a1', 'red'), false);
+  assert.equal(Rules.canBasicMove(blocked, blocked.getPiece(7, 2), 7, 2, 5, 1), false);
+});
+
+test('马腿：被堵的马不构成将军', () => {
+  const check = boardWith({ d0: 'K', f9: 'k', e2: 'n' });
+  assert.equal(Rules.isInCheck(check, 'red'), true);
+  const shielded = boardWith({ d0: 'K', f9: 'k', e2: 'n', e1: 'A' });
+  assert.equal(Rules.isInCheck(shielded, 'red'), false);
+});
+
+test('相眼：相眼被塞不可走，且相不过河', () => {
+  const open = boardWith({ d0: 'K', f9: 'k', c0: 'B' });
+  assert.deepEqual(targets(open, 'c0'), ['a2', 'e2']);
+  const blocked = boardWith({ d0: 'K', f9: 'k', c0: 'B', d1: 'N' });
+  assert.deepEqual(targets(blocked, 'c0'), ['a2']);
+  assert.equal(legal(blocked, 'c0', 'e2', 'red'), false);
+
+  const river = boardWith({ d0: 'K', f9: 'k', e4: 'B' });
+  assert.deepEqual(targets(river, 'e4'), ['c2', 'g2']);
+  const blackRiver = boardWith({ d0: 'K', f9: 'k', e5: 'b' });
+  assert.deepEqual(targets(blackRiver, 'e5'), ['c7', 'g7']);
+});
+
+test('炮架：无架不能吃，隔一子可吃，隔两子不能吃', () => {
+  const noScreen = boardWith({ d0: 'K', f9: 'k', b2: 'C', b7: 'n' });
+  assert.equal(legal(noScreen, 'b2', 'b7', 'red'), false);
+  assert.equal(legal(noScreen, 'b2', 'b6', 'red'), true);
+
+  const oneScreen = boardWith({ d0: 'K', f9: 'k', b2: 'C', b5: 'P', b7: 'n' });
+  assert.equal(legal(oneScreen, 'b2', 'b7', 'red'), true);
+  assert.equal(legal(oneScreen, 'b2', 'b6', 'red'), false); // 不吃子时不能越子
+  assert.equal(legal(oneScreen, 'b2', 'b5', 'red'), false); // 不能吃己方子
+
+  const twoScreens = boardWith({ d0: 'K', f9: 'k', b2: 'C', b4: 'P', b5: 'p', b7: 'n' });
+  assert.equal(legal(twoScreens, 'b2', 'b7', 'red'), false);
+  assert.equal(legal(twoScreens, 'b2', 'b5', 'red'), true);
+});
+
+test('炮架：隔一子将军，隔两子或无子不将军', () => {
+  assert.equal(Rules.isInCheck(boardWith({ d0: 'K', e9: 'k', e7: 'p', e2: 'C' }), 'black'), true);
+  assert.equal(Rules.isInCheck(boardWith({ d0: 'K', e9: 'k', e2: 'C' }), 'black'), false);
+  assert.equal(Rules.isInCheck(boardWith({ d0: 'K', e9: 'k', e7: 'p', e5: 'P', e2: 'C' }), 'black'), false);
+});
+
+test('飞将：不得让两帅照面', () => {
+  const b = boardWith({ e0: 'K', e9: 'k', e4: 'R' });
+  assert.equal(Rules.isFacingGeneral(b), false);
+  assert.equal(legal(b, 'e4', 'a4', 'red'), false);
+  assert.equal(legal(b, 'e4', 'e5', 'red'), true);
+
+  const step = boardWith({ d0: 'K', e9: 'k' });
+  assert.equal(legal(step, 'd0', 'e0', 'red'), false);
+  assert.deepEqual(targets(step, 'd0'), ['d1']);
+
+  const facing = boardWith({ e0: 'K', e9: 'k' });
+  assert.equal(Rules.isFacingGeneral(facing), true);
+  assert.equal(Rules.isInCheck(facing, 'red'), true);
+});
+
+test('应将：被将时只可吃掉将军子、垫子或动帅', () => {
+  const b = boardWith({ e0: 'K', f9: 'k', e5: 'r', a5: 'R', h2: 'C' });
+  assert.equal(Rules.isInCheck(b, 'red'), true);
+  // e0f0 与黑将照面，e0e1 仍在车线上
+  assert.deepEqual(allMoves(b, 'red'), ['a5e5', 'e0d0', 'h2e2']);
+});
+
+test('应将：牵制的棋子不能离开将线', () => {
+  const b = boardWith({ e0: 'K', d9: 'k', e2: 'N', e7: 'r' });
+  assert.equal(Rules.isInCheck(b, 'red'), false);
+  assert.deepEqual(targets(b, 'e2'), []);
+  const rook = boardWith({ e0: 'K', d9: 'k', e2: 'R', e7: 'r' });
+  assert.deepEqual(targets(rook, 'e2'), ['e1', 'e3', 'e4', 'e5', 'e6', 'e7']);
+});
+
+test('兵：未过河只进不横，过河可横不可退', () => {
+  assert.deepEqual(targets(boardWith({ d0: 'K', f9: 'k', e3: 'P' }), 'e3'), ['e4']);
+  assert.deepEqual(targets(boardWith({ d0: 'K', f9: 'k', e5: 'P' }), 'e5'), ['d5', 'e6', 'f5']);
+  assert.deepEqual(targets(boardWith({ d0: 'K', f9: 'k', a9: 'P' }), 'a9'), ['b9']);
+  assert.deepEqual(targets(boardWith({ d0: 'K', f9: 'k', e6: 'p' }), 'e6'), ['e5']);
+  assert.deepEqual(targets(boardWith({ d0: 'K', f9: 'k', e4: 'p' }), 'e4'), ['d4', 'e3', 'f4']);
+});
+
+test('九宫：帅与士不出九宫', () => {
+  assert.deepEqual(targets(boardWith({ d0: 'K', f9: 'k', e1: 'A' }), 'e1'), ['d2', 'f0', 'f2']);
+  assert.deepEqual(targets(boardWith({ d0: 'K', f9: 'k', d2: 'A' }), 'd2'), ['e1']);
+  assert.deepEqual(targets(boardWith({ f2: 'K', d9: 'k' }), 'f2'), ['e2', 'f1']);
+});
+
+test('将死与困毙：getGameStatus 一次给出状态', () => {
+  const mate = boardWith({ e0: 'K', d9: 'k', d5: 'R', e8: 'R' });
+  const st = Rules.getGameStatus(mate, 'black');
+  assert.equal(st.inCheck, true);
+  assert.equal(st.checkmate, true);
+  assert.equal(st.moves.length, 0);
+  assert.equal(Rules.isCheckmate(mate, 'black'), true);
+
+  const stale = boardWith({ f0: 'K', d9: 'k', e5: 'R', a8: 'R' });
+  const st2 = Rules.getGameStatus(stale, 'black');
+  assert.equal(st2.inCheck, false);
+  assert.equal(st2.stalemate, true);
+  assert.equal(Rules.isStalemate(stale, 'black'), true);
+
+  const start = new Board();
+  start.setupInitial();
+  const st3 = Rules.getGameStatus(start, 'red');
+  assert.deepEqual([st3.inCheck, st3.checkmate, st3.stalemate, st3.moves.length], [false, false, false, 44]);
+});
+
+test('isLegalMove 与 generateLegalMoves 一致，且不改动棋盘', () => {
+  const b = new Board();
+  b.setupInitial();
+  const fen = b.toFEN();
+  const generated = new Set(allMoves(b, 'red'));
+  let count = 0;
+  for (let fr = 0; fr < 10; fr++) {
+    for (let fc = 0; fc < 9; fc++) {
+      for (let tr = 0; tr < 10; tr++) {
+        for (let tc = 0; tc < 9; tc++) {
+          if (!Rules.isLegalMove(b, fr, fc, tr, tc, 'red')) continue;
+          count++;
+          assert.ok(generated.has(name({ row: fr, col: fc }) + name({ row: tr, col: tc })));
+        }
+      }
+    }
+  }
+  assert.equal(count, generated.size);
+  assert.equal(b.toFEN(), fen);
+});
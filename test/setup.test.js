@@ -0,0 +1,51 @@
+/**
+ * 摆局回归测试：放子、挪动、移除、帅将唯一、清空与初始布局、走子方，以及交给引擎开局
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Board, BoardSetup, GameEngine, StorageAdapter, logger } = require('../js');
+
+logger.setLevel('warn');
+
+test('摆局：放子、挪动与移除，每方只保留一个帅（将）', () => {
+  const setup = new BoardSetup();
+  setup.clear();
+  assert.equal(setup.board.toFEN(), '9/9/9/9/9/9/9/9/9/9');
+  assert.equal(setup.place(9, 4, { type: 'K', side: 'red' }), true);
+  assert.equal(setup.place(0, 3, { type: 'K', side: 'black' }), true);
+  assert.equal(setup.place(8, 4, { type: 'K', side: 'red' }), true); // 原帅移走
+  assert.equal(setup.place(3, 4, { type: 'X', side: 'red' }), false);
+  assert.equal(setup.place(10, 4, { type: 'R', side: 'red' }), false);
+  setup.place(5, 0, { type: 'R', side: 'red' });
+  assert.equal(setup.move(5, 0, 0, 0), true);
+  assert.equal(setup.move(4, 4, 3, 3), false);
+  assert.equal(setup.board.toFEN(), 'R2k5/9/9/9/9/9/9/9/4K4/9');
+  assert.equal(setup.remove(0, 0), true);
+  assert.equal(setup.board.toFEN(), '3k5/9/9/9/9/9/9/9/4K4/9');
+});
+
+test('摆局：缺帅（将）时不能开局，初始布局与走子方写入 FEN', () => {
+  const setup = new BoardSetup(Board.fromFEN('3k5/9/9/9/9/9/9/9/9/9'), 'black');
+  assert.deepEqual(setup.validate().errors.map(r => r.message), ['红方缺少帅']);
+  setup.clear();
+  assert.deepEqual(setup.validate().errors.map(r => r.code), ['missing-king', 'missing-king']);
+  setup.reset();
+  assert.equal(setup.validate().valid, true);
+  setup.setSideToMove('black');
+  assert.equal(setup.toFEN(), 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR b - - 0 1');
+});
+
+test('摆局不影响当前对局，开局后从摆好的局面走子', () => {
+  const engine = new GameEngine();
+  const setup = new BoardSetup(engine.board, engine.sideToMove);
+  setup.clear();
+  setup.place(9, 4, { type: 'K', side: 'red' });
+  setup.place(0, 3, { type: 'K', side: 'black' });
+  setup.place(7, 0, { type: 'R', side: 'red' });
+  assert.equal(engine.board.toFEN(), 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR');
+
+  assert.equal(StorageAdapter.applyFENToEngine(setup.toFEN(), engine), true);
+  assert.equal(engine.startFen, '3k5/9/9/9/9/9/9/R8/9/4K4 w - - 0 1');
+  assert.equal(engine.makeMoveFromText('a2d2'), true);
+  assert.equal(engine.getStatus().inCheck, true);
+});
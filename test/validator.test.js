@@ -0,0 +1,76 @@
+/**
+ * 局面校验回归测试：子数、帅仕相与兵的位置、照面与对方被将、无子可走的提示，
+ * 以及 FEN、存档与棋谱读取时拒绝不合法局面
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Board, Validator, GameEngine, StorageAdapter, logger } = require('../js');
+
+logger.setLevel('error');
+
+/** 校验 FEN 布局，返回错误原因代码 */
+function codes(placement, side = 'red') {
+  return Validator.validate(Board.fromFEN(placement), side).errors.map(r => r.code);
+}
+
+test('初始局面与常见残局合法', () => {
+  const initial = Validator.validate(Board.fromFEN('rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR'), 'red');
+  assert.deepEqual(initial, { valid: true, errors: [], warnings: [] });
+  assert.deepEqual(codes('3k5/4a4/4b4/9/2p6/9/9/4B4/4A4/4K4'), []);
+});
+
+test('子数：缺帅、多帅与超出数量的棋子', () => {
+  assert.deepEqual(codes('3k5/9/9/9/9/9/9/9/9/9'), ['missing-king']);
+  assert.deepEqual(codes('3k5/9/9/9/9/9/9/3K5/9/4K4'), ['too-many-pieces']);
+  const result = Validator.validate(Board.fromFEN('3k5/9/9/9/9/RRR6/9/9/9/4K4'), 'red');
+  assert.deepEqual(result.errors.map(r => r.message), ['红方车有 3 个，至多 2 个']);
+});
+
+test('位置：帅出九宫、仕离斜线、相过河、兵在兵行之后或未过河却在双数路', () => {
+  const result = Validator.validate(Board.fromFEN('3k5/9/9/9/2B6/9/9/9/4A4/4K4'), 'red');
+  assert.deepEqual(result.errors.map(r => [r.code, r.square]), [['elephant-position', 'c5']]);
+  assert.deepEqual(codes('3k5/9/9/9/9/9/9/9/3A5/4K4'), ['advisor-position']);
+  assert.deepEqual(codes('3k5/9/9/9/9/9/9/9/9/K8'), ['king-position']);
+  assert.deepEqual(codes('3k5/9/9/9/9/9/9/P8/9/4K4'), ['soldier-position']);
+  assert.deepEqual(codes('3k5/9/9/9/9/9/1P7/9/9/4K4'), ['soldier-position']);
+  assert.deepEqual(codes('3k5/9/9/9/1P7/9/9/9/9/4K4'), []); // 过河兵可在任一路
+  assert.deepEqual(codes('3k5/9/9/1p7/9/9/9/9/9/4K4'), ['soldier-position']);
+});
+
+test('局面：帅将照面、非走子方被将军不合法，走子方无子可走仅提示', () => {
+  assert.deepEqual(codes('4k4/9/9/9/9/9/9/9/9/4K4'), ['facing-generals']);
+  assert.deepEqual(codes('3k5/9/9/9/9/9/9/9/9/3RK4', 'red'), ['opponent-in-check']);
+  assert.deepEqual(codes('3k5/9/9/9/9/9/9/9/9/3RK4', 'black'), []);
+  const mated = Validator.validate(Board.fromFEN('3k5/3R5/3R5/9/9/9/9/9/9/4K4'), 'black');
+  assert.equal(mated.valid, true);
+  assert.deepEqual(mated.warnings.map(r => r.code), ['no-legal-moves']);
+});
+
+test('读取：FEN、存档与棋谱中的不合法局面被拒绝，引擎保持原状', () => {
+  const engine = new GameEngine();
+  assert.equal(engine.makeMoveFromText('h2e2'), true);
+  const before = StorageAdapter.engineToFEN(engine);
+  assert.equal(StorageAdapter.applyFENToEngine('4k4/9/9/9/9/9/9/9/9/4K4 w - - 0 1', engine), false);
+  assert.equal(StorageAdapter.applyToEngine({ fen: '3k5/9/9/9/9/9/9/9/9/3RK4 w - - 0 1' }, engine), false);
+  assert.equal(StorageAdapter.applyRecordText('[FEN "3k5/9/9/9/9/9/9/9/9/9 w - - 0 1"]\n1. a0a1', engine), false);
+  assert.equal(StorageAdapter.engineToFEN(engine), before);
+  assert.equal(engine.history.length, 1);
+  assert.equal(StorageAdapter.applyFENToEngine('3k5/9/9/9/9/9/9/9/9/3RK4 b - - 0 1', engine), true);
+});
+
+test('读取：存档或棋谱的主线着法中途不合法时整体拒绝，引擎保持原对局', () => {
+  const engine = new GameEngine();
+  ['h2e2', 'h9g7', 'h0g2'].forEach(text => assert.equal(engine.makeMoveFromText(text), true));
+  const before = StorageAdapter.engineToFEN(engine);
+  const data = StorageAdapter.serializeEngine(engine);
+  data.moves = ['b2e2', 'b9c7', 'a0a5'];
+  data.tree = undefined;
+  data.path = undefined;
+  assert.equal(StorageAdapter.applyToEngine(data, engine), false);
+  assert.equal(StorageAdapter.applyRecordText('1. b2e2 b9c7\n2. a0a5', engine), false);
+  assert.equal(StorageAdapter.engineToFEN(engine), before);
+  assert.equal(engine.history.length, 3);
+  assert.equal(engine.startFen, StorageAdapter.serializeEngine(engine).startFen);
+  assert.equal(engine.root.children.length, 1);
+  assert.equal(engine.makeMoveFromText('b9c7'), true);
+});
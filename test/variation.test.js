@@ -0,0 +1,121 @@
+/**
+ * 着法树回归测试：悔棋后新建变着、重做沿最近分支、兄弟变着切换、升为主线、删除变着与存档往返
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, GameRecord, StorageAdapter, Notation, Zobrist, logger } = require('../js');
+const { play } = require('./helpers');
+
+logger.setLevel('warn');
+
+/** 当前一路的 ICCS 着法（已走 + 可重做） */
+function line(engine) {
+  return GameRecord.fromEngine(engine).moves;
+}
+
+/** 当前所在着的 ICCS，根节点为 null */
+function currentMove(engine) {
+  return engine.current.entry ? Notation.toICCS(engine.current.entry.move) : null;
+}
+
+test('悔棋后走出不同着法新建变着，原着法保留', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7', 'h0g2']);
+  engine.undo();
+  engine.undo();
+  play(engine, ['b9c7']);
+  assert.deepEqual(engine.current.parent.children.map(n => Notation.toICCS(n.entry.move)), ['h9g7', 'b9c7']);
+  assert.deepEqual(engine.getPath(), [0, 1]);
+  assert.deepEqual(line(engine), ['h2e2', 'b9c7']);
+
+  // 走出已有的着法时沿用原分支
+  engine.undo();
+  play(engine, ['h9g7']);
+  assert.equal(engine.current.parent.children.length, 2);
+  assert.deepEqual(line(engine), ['h2e2', 'h9g7', 'h0g2']);
+});
+
+test('重做沿最近一次离开的分支，兄弟变着间切换', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7']);
+  engine.undo();
+  play(engine, ['b9c7', 'b0c2']);
+  engine.undo();
+  engine.undo();
+  assert.equal(engine.redo(), true);
+  assert.equal(currentMove(engine), 'b9c7');
+  assert.equal(engine.redo(), true);
+  assert.equal(currentMove(engine), 'b0c2');
+  assert.equal(engine.redo(), false);
+
+  engine.undo();
+  assert.equal(engine.switchVariation(-1), true);
+  assert.equal(currentMove(engine), 'h9g7');
+  assert.equal(engine.board.toFEN(), 'rnbakab1r/9/1c4nc1/p1p1p1p1p/9/9/P1P1P1P1P/1C2C4/9/RNBAKABNR');
+  assert.equal(engine.switchVariation(-1), false);
+  assert.equal(engine.switchVariation(1), true);
+  assert.equal(currentMove(engine), 'b9c7');
+});
+
+test('升为主线与删除变着', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7']);
+  engine.undo();
+  play(engine, ['b9c7', 'b0c2']);
+  assert.equal(engine.promoteVariation(), true);
+  assert.deepEqual(engine.root.children[0].children.map(n => Notation.toICCS(n.entry.move)), ['b9c7', 'h9g7']);
+  assert.deepEqual(engine.getPath(), [0, 0, 0]);
+  assert.equal(engine.promoteVariation(), false);
+  assert.equal(engine.deleteVariation(), false); // 主线不可删除
+
+  engine.goToPath([0, 1]);
+  assert.equal(currentMove(engine), 'h9g7');
+  assert.equal(engine.deleteVariation(), true);
+  assert.equal(engine.current, engine.root.children[0]);
+  assert.equal(engine.current.children.length, 1);
+  assert.deepEqual(line(engine), ['h2e2', 'b9c7', 'b0c2']);
+});
+
+test('存档保存整棵着法树与当前位置，读取后恢复', () => {
+  const engine = new GameEngine();
+  play(engine, ['h2e2', 'h9g7', 'h0g2']);
+  engine.undo();
+  engine.undo();
+  play(engine, ['b9c7']);
+  engine.history[engine.history.length - 1].comment = '屏风马之外的选择';
+  engine.undo();
+  play(engine, ['c6c5']);
+
+  const data = JSON.parse(JSON.stringify(StorageAdapter.serializeEngine(engine)));
+  const loaded = new GameEngine();
+  assert.equal(StorageAdapter.applyToEngine(data, loaded), true);
+  assert.deepEqual(loaded.getPath(), [0, 2]);
+  assert.equal(currentMove(loaded), 'c6c5');
+  assert.deepEqual(GameRecord.fromEngine(loaded).tree, GameRecord.fromEngine(engine).tree);
+  assert.equal(loaded.root.children[0].children[1].entry.comment, '屏风马之外的选择');
+  assert.equal(StorageAdapter.engineToFEN(loaded), StorageAdapter.engineToFEN(engine));
+});
+
+test('历史记录只存着法，悔棋与重做在棋盘上撤销和重走（含吃子）', () => {
+  const engine = new GameEngine();
+  const moves = ['b2b9', 'a9b9', 'h2h9', 'i9h9'];
+  const fens = [engine.board.toFEN()];
+  moves.forEach((text) => {
+    play(engine, [text]);
+    fens.push(engine.board.toFEN());
+  });
+  const last = engine.history[engine.history.length - 1];
+  assert.deepEqual(Object.keys(last).sort(),
+    ['captured', 'check', 'fullmoveNumber', 'halfmoveClock', 'hash', 'move', 'notation', 'piece', 'side']);
+  assert.equal(last.piece, 'R');
+  assert.equal(last.captured, 'C');
+
+  for (let i = moves.length - 1; i >= 0; i--) {
+    assert.equal(engine.undo(), true);
+    assert.equal(engine.board.toFEN(), fens[i]);
+  }
+  while (engine.redo());
+  assert.equal(engine.board.toFEN(), fens[moves.length]);
+  assert.deepEqual(engine.getHash(), Zobrist.hashBoard(engine.board, engine.sideToMove));
+  assert.equal(engine.halfmoveClock, 0);
+});
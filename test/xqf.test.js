@@ -0,0 +1,118 @@
+/**
+ * XQF 解码回归测试：文件标识识别，先行方取自文件头，与主线首着不符时以首着为准，
+ * 以及加密格式（版本 12）的密钥推导、棋子位置循环移位、着法与注释长度解密和 0x80/0x40/0x20 节点标志
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { XQF, GameEngine, StorageAdapter, logger } = require('../js');
+
+logger.setLevel('error');
+
+/**
+ * 构造不加密（版本 10）的 XQF：只有红帅 e0 与黑将 d9，
+ * whoPlay 为文件头记录的先行方（0 红、1 黑），steps 为主线着法 [[起点, 终点]]（位置字节 x * 10 + y）
+ */
+function buildXQF(whoPlay, steps = []) {
+  const header = new Uint8Array(1024);
+  header.set([0x58, 0x51, 10]);
+  header.fill(0xff, 16, 48);
+  header[16 + 4] = 40; // 红帅 e0
+  header[16 + 20] = 39; // 黑将 d9
+  header[50] = whoPlay;
+  const nodes = [[0, 0, steps.length ? 0xf0 : 0]];
+  steps.forEach(([from, to], i) => nodes.push([from + 24, to + 32, i < steps.length - 1 ? 0xf0 : 0]));
+  const body = new Uint8Array(nodes.length * 8);
+  nodes.forEach((node, i) => body.set(node, i * 8)); // 每个节点 4 字节着法 + 4 字节注释长度（为 0）
+  const bytes = new Uint8Array(header.length + body.length);
+  bytes.set(header);
+  bytes.set(body, header.length);
+  return bytes;
+}
+
+test('文件标识：以 "XQ" 开头且不短于文件头', () => {
+  assert.equal(XQF.isXQF(buildXQF(0)), true);
+  assert.equal(XQF.isXQF(new TextEncoder().encode('[Game "Chinese Chess"]')), false);
+  assert.equal(XQF.isXQF(buildXQF(0).subarray(0, 512)), false);
+  assert.throws(() => XQF.decode(new Uint8Array(1024)), /不是有效的 XQF 文件/);
+});
+
+test('先行方取自文件头，与主线首着不符时以首着为准', () => {
+  assert.equal(XQF.decode(buildXQF(1)).startFen, '3k5/9/9/9/9/9/9/9/9/4K4 b - - 0 1');
+  assert.equal(XQF.decode(buildXQF(0)).startFen, '3k5/9/9/9/9/9/9/9/9/4K4 w - - 0 1');
+
+  const record = XQF.decode(buildXQF(1, [[40, 41]]));
+  assert.equal(record.startFen, '3k5/9/9/9/9/9/9/9/9/4K4 w - - 0 1');
+  assert.deepEqual(record.moveTexts, ['e0e1']);
+
+  const engine = new GameEngine();
+  assert.equal(StorageAdapter.applyXQFBuffer(buildXQF(1).buffer, engine), true);
+  assert.equal(StorageAdapter.engineToFEN(engine).split(' ')[1], 'b');
+});
+
+/** XQF 加密格式的参照实现（按 XQF 格式说明独立写出），用于构造加密测试文件 */
+const COPYRIGHT = '[(C) Copyright Mr. Dong Shiwei.]';
+const mul = (x, y) => ((x * x * 54 + 221) * y) & 0xff;
+
+/**
+ * 构造加密（版本 12）的 XQF：初始局面，主线 h2e2 {center cannon} h9g7，h2e2 之后另有变着 b9c7，
+ * 开局说明 {opening}，红胜，标题 Test
+ */
+function buildEncryptedXQF() {
+  const header = new Uint8Array(1024);
+  header.set([0x58, 0x51, 12, 0xe5, 0, 0, 0, 0, 0x11, 0x22, 0x33, 0x44, 0x9b, 0x21, 0x37, 0x4c]);
+  const keyXY = mul(header[13], header[13]);
+  const keyXYf = mul(header[14], keyXY);
+  const keyXYt = mul(header[15], keyXYf);
+  const keyRMKSize = ((header[12] * 256 + header[13]) % 32000) + 767;
+  const keyBytes = [8, 9, 10, 11].map(i => (header[12] & header[3]) | header[i]);
+  const f32Keys = [...COPYRIGHT].map((ch, i) => ch.charCodeAt(0) & keyBytes[i % 4]);
+
+  // 32 枚棋子按 车马相仕帅仕相马车炮炮兵×5 的顺序，红方在前；位置加 KeyXY 后按版本 12 的规则循环移位存放
+  const red = [0, 10, 20, 30, 40, 50, 60, 70, 80, 12, 72, 3, 23, 43, 63, 83];
+  const black = red.map(xy => xy - (xy % 10) + 9 - (xy % 10));
+  const xy = red.concat(black).map(v => (v + keyXY) & 0xff);
+  for (let i = 0; i < 32; i++) header[16 + i] = xy[(i + keyXY + 1) & 0x1f];
+  header[51] = 1;
+  header[80] = 4;
+  header.set([...'Test'].map(ch => ch.charCodeAt(0)), 81);
+
+  const plain = [];
+  const node = (from, to, flag, comment) => {
+    plain.push((from + 24 + keyXYf) & 0xff, (to + 32 + keyXYt) & 0xff, flag | (comment ? 0x20 : 0), 0);
+    if (!comment) return;
+    const len = (comment.length + keyRMKSize) >>> 0;
+    plain.push(len & 0xff, (len >> 8) & 0xff, (len >> 16) & 0xff, (len >>> 24) & 0xff);
+    [...comment].forEach(ch => plain.push(ch.charCodeAt(0)));
+  };
+  node(0, 0, 0x80, 'opening'); // 根节点
+  node(72, 42, 0x80, 'center cannon'); // h2e2
+  node(79, 67, 0x40); // h9g7，有变着
+  node(19, 27, 0); // b9c7
+  const bytes = new Uint8Array(1024 + plain.length);
+  bytes.set(header);
+  plain.forEach((b, i) => {
+    const pos = 1024 + i;
+    bytes[pos] = (b + f32Keys[pos % 32]) & 0xff;
+  });
+  return bytes;
+}
+
+test('加密格式：解出初始局面、主线、变着、注释与标签', () => {
+  const record = XQF.decode(buildEncryptedXQF());
+  assert.equal(record.startFen, 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1');
+  assert.deepEqual(record.moveTexts, ['h2e2', 'h9g7']);
+  assert.deepEqual(record.comments, ['center cannon', '']);
+  assert.equal(record.rootComment, 'opening');
+  assert.deepEqual(record.tree.children[0].children.map(n => n.move && [n.move.from, n.move.to]), [
+    [{ row: 0, col: 7 }, { row: 2, col: 6 }],
+    [{ row: 0, col: 1 }, { row: 2, col: 2 }],
+  ]);
+  assert.equal(record.headers.Result, '1-0');
+  assert.equal(record.headers.Event, 'Test');
+
+  const engine = new GameEngine();
+  assert.equal(StorageAdapter.applyXQFBuffer(buildEncryptedXQF().buffer, engine), true);
+  assert.equal(engine.history.length, 2);
+  assert.equal(engine.history[0].comment, 'center cannon');
+  assert.equal(engine.root.children[0].children.length, 2);
+});
@@ -0,0 +1,97 @@
+/**
+ * 着法生成基准测试
+ * 用法：node tools/bench.js [每项计时毫秒数，默认 1000]
+ * 对若干标准测试局面分别运行：
+ * - 旧算法（对照）：逐个尝试 90 个落点，每次克隆棋盘并遍历对方全部棋子判断被将；
+ * - 新算法：Rules.generateLegalMoves（按类型生成伪合法着法 + 走子/还原 + 自帅位反向探测）。
+ * 输出每个局面的平均耗时、着法数是否一致与加速倍数。
+ */
+const { Board, Rules } = require('../js');
+
+const WARMUP_MS = 500;
+
+/** 标准测试局面：开局、复杂中局、残局 */
+const POSITIONS = [
+  { name: '开局', fen: 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w' },
+  { name: '中局', fen: '1rbaka2R/5r3/6n2/2p1p1p2/4P1bP1/PpC3Bc1/1nPR2P2/2N2AN2/1c2K1p2/2BAC4 w' },
+  { name: '残局', fen: '4kcP1N/8n/3rb4/9/9/9/9/3p1A3/4K4/5CB2 w' },
+];
+
+/**
+ * naiveLegalMoves
+ * 参数：board, side
+ * 返回：旧算法生成的合法着法，作为对照
+ */
+function naiveLegalMoves(board, side) {
+  const inCheck = (b, s) => {
+    const k = b.getGeneralPosition(s);
+    if (!k) return false;
+    for (let r = 0; r < b.rows; r++) {
+      for (let c = 0; c < b.cols; c++) {
+        const p = b.getPiece(r, c);
+        if (p && p.side !== s && Rules.canBasicMove(b, p, r, c, k.row, k.col)) return true;
+      }
+    }
+    return false;
+  };
+  const all = [];
+  for (let fr = 0; fr < board.rows; fr++) {
+    for (let fc = 0; fc < board.cols; fc++) {
+      const piece = board.getPiece(fr, fc);
+      if (!piece || piece.side !== side) continue;
+      for (let r = 0; r < board.rows; r++) {
+        for (let c = 0; c < board.cols; c++) {
+          if (!Rules.canBasicMove(board, piece, fr, fc, r, c)) continue;
+          const nb = board.clone();
+          nb.movePiece(fr, fc, r, c);
+          if (Rules.isFacingGeneral(nb) || inCheck(nb, side)) continue;
+          all.push({ from: { row: fr, col: fc }, to: { row: r, col: c } });
+        }
+      }
+    }
+  }
+  return all;
+}
+
+/**
+ * time
+ * 参数：fn, measureMs(计时时长)
+ * 返回：{ ms(单次平均耗时), count(着法数) }
+ * 说明：先预热 WARMUP_MS 让 JIT 完成优化，再在 measureMs 内反复运行取平均。
+ */
+function time(fn, measureMs) {
+  const runFor = (ms) => {
+    let runs = 0;
+    let count = 0;
+    const start = process.hrtime.bigint();
+    const limit = BigInt(ms) * 1000000n;
+    while (process.hrtime.bigint() - start < limit) {
+      count = fn().length;
+      runs++;
+    }
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6 / runs, count };
+  };
+  runFor(WARMUP_MS);
+  return runFor(measureMs);
+}
+
+function main() {
+  const measureMs = Math.max(100, parseInt(process.argv[2], 10) || 1000);
+  console.log(`每项计时：${measureMs}ms`);
+  let totalOld = 0;
+  let totalNew = 0;
+  POSITIONS.forEach(({ name, fen }) => {
+    const [placement, sideChar] = fen.split(' ');
+    const board = Board.fromFEN(placement);
+    const side = sideChar === 'b' ? 'black' : 'red';
+    const before = time(() => naiveLegalMoves(board, side), measureMs);
+    const after = time(() => Rules.generateLegalMoves(board, side), measureMs);
+    totalOld += before.ms;
+    totalNew += after.ms;
+    const same = before.count === after.count ? '一致' : '不一致';
+    console.log(`${name}：着法 ${after.count}（${same}） 旧 ${before.ms.toFixed(3)}ms 新 ${after.ms.toFixed(3)}ms 加速 ${(before.ms / after.ms).toFixed(1)}x`);
+  });
+  console.log(`合计加速：${(totalOld / totalNew).toFixed(1)}x`);
+}
+
+main();
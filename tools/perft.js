@@ -0,0 +1,139 @@
+/**
+ * perft 着法计数
+ * 用法：
+ * - node tools/perft.js：对全部参考局面计数并与公开参考值比对，不一致时以非零码退出；
+ * - node tools/perft.js <深度> "<FEN>"：输出指定局面 1～深度 各层的叶节点数；
+ * - node tools/perft.js <深度> "<FEN>" --divide：另按根着法（ICCS）分列子树计数，便于定位差异。
+ * 说明：perft(n) 为自给定局面起走 n 个半回合的全部合法着法序列数，与其他象棋引擎的结果逐层比对即可机械地验证走法规则。
+ */
+const { Rules, Notation, StorageAdapter } = require('../js');
+
+/**
+ * 参考局面与各层计数（与 Fairy-Stockfish 等引擎的象棋 perft 结果一致）
+ * counts[i] 为深度 i + 1 的叶节点数
+ */
+const REFERENCE_POSITIONS = [
+  {
+    name: '开局',
+    fen: 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1',
+    counts: [44, 1920, 79666, 3290240],
+  },
+  {
+    name: '中局（多子交错）',
+    fen: 'r1ba1a3/4kn3/2n1b4/pNp1p1p1p/4c4/6P2/P1P2R2P/1CcC5/9/2BAKAB2 w - - 0 1',
+    counts: [38, 1128, 43929, 1339047],
+  },
+  {
+    name: '中局（炮架与将军）',
+    fen: '1rbaka2R/5r3/6n2/2p1p1p2/4P1bP1/PpC3Bc1/1nPR2P2/2N2AN2/1c2K1p2/2BAC4 w - - 0 1',
+    counts: [49, 2265, 100326, 4485547],
+  },
+  {
+    name: '中局（帅离原位）',
+    fen: '1cbak4/9/n2a5/2p1p3p/5cp2/2n2N3/6PCP/3AB4/2C6/3A1K1N1 w - - 0 1',
+    counts: [7, 281, 8620, 326201],
+  },
+  {
+    name: '残局',
+    fen: '4kcP1N/8n/3rb4/9/9/9/9/3p1A3/4K4/5CB2 w - - 0 1',
+    counts: [13, 272, 3707, 92741],
+  },
+];
+
+const opposite = side => (side === 'red' ? 'black' : 'red');
+
+/**
+ * perft
+ * 参数：board, side(走子方), depth
+ * 返回：自该局面走 depth 个半回合的叶节点数
+ * 说明：在同一棋盘上走子/还原，不克隆棋盘。
+ */
+function perft(board, side, depth) {
+  const moves = Rules.generateLegalMoves(board, side);
+  if (depth <= 1) return depth === 1 ? moves.length : 1;
+  const g = board.grid;
+  let nodes = 0;
+  for (const m of moves) {
+    const piece = g[m.from.row][m.from.col];
+    const captured = g[m.to.row][m.to.col];
+    g[m.to.row][m.to.col] = piece;
+    g[m.from.row][m.from.col] = null;
+    nodes += perft(board, opposite(side), depth - 1);
+    g[m.from.row][m.from.col] = piece;
+    g[m.to.row][m.to.col] = captured;
+  }
+  return nodes;
+}
+
+/**
+ * divide
+ * 参数：board, side, depth
+ * 返回：[{ move(ICCS), nodes }]，各根着法之下 depth - 1 层的叶节点数
+ */
+function divide(board, side, depth) {
+  const g = board.grid;
+  return Rules.generateLegalMoves(board, side).map((m) => {
+    const piece = g[m.from.row][m.from.col];
+    const captured = g[m.to.row][m.to.col];
+    g[m.to.row][m.to.col] = piece;
+    g[m.from.row][m.from.col] = null;
+    const nodes = perft(board, opposite(side), depth - 1);
+    g[m.from.row][m.from.col] = piece;
+    g[m.to.row][m.to.col] = captured;
+    return { move: Notation.toICCS(m), nodes };
+  });
+}
+
+/** 解析 FEN，返回 { board, side } */
+function parseFEN(fen) {
+  const pos = StorageAdapter.parseFEN(fen);
+  return { board: pos.board, side: pos.sideToMove };
+}
+
+/** 比对全部参考局面，返回是否全部一致 */
+function runReference(maxDepth) {
+  let ok = true;
+  REFERENCE_POSITIONS.forEach(({ name, fen, counts }) => {
+    console.log(`${name}：${fen}`);
+    const { board, side } = parseFEN(fen);
+    counts.slice(0, maxDepth).forEach((expected, i) => {
+      const t0 = Date.now();
+      const nodes = perft(board, side, i + 1);
+      const pass = nodes === expected;
+      if (!pass) ok = false;
+      console.log(`  深度 ${i + 1}：${nodes}（参考 ${expected}）${pass ? '通过' : '不一致'} ${Date.now() - t0}ms`);
+    });
+  });
+  return ok;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2) {
+    const maxDepth = parseInt(args[0], 10) || Infinity;
+    const ok = runReference(maxDepth);
+    console.log(ok ? '全部通过' : '存在不一致');
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+  const depth = parseInt(args[0], 10);
+  if (!(depth >= 1)) throw new Error(`深度非法：${args[0]}`);
+  const { board, side } = parseFEN(args[1]);
+  if (args.includes('--divide')) {
+    let total = 0;
+    divide(board, side, depth).forEach(({ move, nodes }) => {
+      total += nodes;
+      console.log(`${move}: ${nodes}`);
+    });
+    console.log(`合计：${total}`);
+    return;
+  }
+  for (let d = 1; d <= depth; d++) {
+    const t0 = Date.now();
+    console.log(`深度 ${d}：${perft(board, side, d)} ${Date.now() - t0}ms`);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { REFERENCE_POSITIONS, perft, divide, parseFEN };